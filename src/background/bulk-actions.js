@@ -0,0 +1,263 @@
+/**
+ * Bulk Actions
+ * Runs, disables, enables or cancels the workflows of a folder in one go
+ * Loaded by the service worker; relies on githubApiFetch, getToken, fetchRepoInfo, describeApiFailure, getNextPageUrl,
+ * fetchDispatchableWorkflows, dispatchWorkflowRun and getWorkflowApiId from it, on getRepoApiUrl from host-profiles.js,
+ * on getRepoStorageId from shared/host-storage.js, and on describeRequestError from request-scheduler.js
+ */
+
+const BULK_ACTIONS = ['dispatch', 'disable', 'enable', 'cancel'];
+const BULK_ACTION_BATCH_SIZE = 5;
+
+// Run states that can still be cancelled, each listed with its own request
+const CANCELLABLE_RUN_STATUSES = ['in_progress', 'queued'];
+
+/**
+ * Applies an async operation to items in small batches, keeping the result order
+ * @param {Array} items - Items to process
+ * @param {Function} operation - Async function called with each item
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapInBatches(items, operation) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += BULK_ACTION_BATCH_SIZE) {
+    const batch = items.slice(i, i + BULK_ACTION_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(operation)));
+  }
+
+  return results;
+}
+
+/**
+ * Enables or disables a workflow
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|number} workflowId - Workflow filename or numeric id
+ * @param {boolean} enabled - Whether the workflow should be enabled
+ * @returns {Promise<void>}
+ */
+async function setWorkflowEnabled(host, owner, repo, workflowId, enabled) {
+  const verb = enabled ? 'enable' : 'disable';
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const response = await githubApiFetch(
+    `${repoUrl}/actions/workflows/${encodeURIComponent(workflowId)}/${verb}`,
+    { method: 'PUT' }
+  );
+
+  if (!response.ok) {
+    throw new Error(await describeApiFailure(response, `${verb} the workflow`, 'actions:write'));
+  }
+}
+
+/**
+ * Lists the runs of a repository that can still be cancelled
+ * Follows the Link header through every page, since a busy repository can have more than 100 queued runs.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array<Object>>} Workflow runs from the API
+ */
+async function fetchCancellableRuns(host, owner, repo) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const runs = [];
+
+  for (const status of CANCELLABLE_RUN_STATUSES) {
+    let url = `${repoUrl}/actions/runs?status=${status}&per_page=100`;
+
+    while (url) {
+      const response = await githubApiFetch(url);
+
+      if (!response.ok) {
+        throw new Error(await describeApiFailure(response, 'list running workflows', 'actions:read'));
+      }
+
+      runs.push(...(await response.json()).workflow_runs);
+      url = getNextPageUrl(response.headers.get('Link'));
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Cancels a workflow run
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} runId - Workflow run id
+ * @returns {Promise<void>}
+ */
+async function cancelWorkflowRun(host, owner, repo, runId) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const response = await githubApiFetch(
+    `${repoUrl}/actions/runs/${runId}/cancel`,
+    { method: 'POST' }
+  );
+
+  if (!response.ok) {
+    throw new Error(await describeApiFailure(response, `cancel run ${runId}`, 'actions:write'));
+  }
+}
+
+/**
+ * Starts every dispatchable workflow on the default branch with its default inputs
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string}>} workflows - Workflows of the folder
+ * @returns {Promise<Array<{status: string, message: string}>>} Outcome per workflow
+ */
+async function dispatchWorkflows(host, owner, repo, workflows) {
+  const [dispatchable, repoInfo] = await Promise.all([
+    fetchDispatchableWorkflows(host, owner, repo),
+    fetchRepoInfo(host, owner, repo)
+  ]);
+
+  if (!dispatchable.success) {
+    throw new Error(`Could not read the workflow files: ${dispatchable.error || dispatchable.reason}`);
+  }
+  if (!repoInfo.success) {
+    throw new Error(`Could not find the default branch: ${repoInfo.error}`);
+  }
+
+  return mapInBatches(workflows, async (workflow) => {
+    const dispatch = dispatchable.workflows[workflow.path];
+    if (!dispatch) {
+      return { status: 'skipped', message: 'No workflow_dispatch trigger' };
+    }
+
+    const missing = dispatch.inputs
+      .filter(input => input.required && input.type !== 'boolean' && input.default === '')
+      .map(input => input.name);
+    if (missing.length > 0) {
+      return { status: 'skipped', message: `Needs inputs: ${missing.join(', ')}` };
+    }
+
+    // Omitted inputs take the defaults from the workflow file
+    const result = await dispatchWorkflowRun(host, owner, repo, { workflowPath: workflow.path, ref: repoInfo.defaultBranch });
+
+    return result.success
+      ? { status: 'success', message: `Run requested on ${result.ref}` }
+      : { status: 'failure', message: result.error };
+  });
+}
+
+/**
+ * Enables or disables every workflow
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string, id?: number|null}>} workflows - Workflows of the folder
+ * @param {boolean} enabled - Whether the workflows should be enabled
+ * @returns {Promise<Array<{status: string, message: string}>>} Outcome per workflow
+ */
+async function setWorkflowsEnabled(host, owner, repo, workflows, enabled) {
+  return mapInBatches(workflows, async (workflow) => {
+    const workflowId = getWorkflowApiId(workflow);
+    if (workflowId === null) {
+      return { status: 'skipped', message: 'Workflow id unknown' };
+    }
+
+    try {
+      await setWorkflowEnabled(host, owner, repo, workflowId, enabled);
+      return { status: 'success', message: enabled ? 'Enabled' : 'Disabled' };
+    } catch (error) {
+      return { status: 'failure', message: error.message };
+    }
+  });
+}
+
+/**
+ * Cancels the queued and in-progress runs of every workflow
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string}>} workflows - Workflows of the folder
+ * @returns {Promise<Array<{status: string, message: string}>>} Outcome per workflow
+ */
+async function cancelWorkflowsRuns(host, owner, repo, workflows) {
+  const runs = await fetchCancellableRuns(host, owner, repo);
+
+  return mapInBatches(workflows, async (workflow) => {
+    const ownRuns = runs.filter(run => run.path === workflow.path);
+    if (ownRuns.length === 0) {
+      return { status: 'skipped', message: 'No runs in progress' };
+    }
+
+    const errors = [];
+    for (const run of ownRuns) {
+      try {
+        await cancelWorkflowRun(host, owner, repo, run.id);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    const cancelled = ownRuns.length - errors.length;
+
+    return errors.length === 0
+      ? { status: 'success', message: `Cancelled ${cancelled} run${cancelled === 1 ? '' : 's'}` }
+      : { status: 'failure', message: `Cancelled ${cancelled} of ${ownRuns.length} runs. ${errors[0]}` };
+  });
+}
+
+/**
+ * Applies a bulk action to the workflows of a folder
+ * Clears the cached latest runs of the repository afterwards.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Array<{path: string, name: string, id?: number|null}>} workflows - Workflows of the folder
+ * @returns {Promise<{success: boolean, results?: Array<{path: string, name: string, status: string, message: string}>, reason?: string, error?: string}>}
+ */
+async function runBulkWorkflowAction(host, owner, repo, action, workflows) {
+  const token = await getToken(host, owner, repo);
+
+  if (!token) {
+    return {
+      success: false,
+      reason: 'no_token',
+      error: 'Bulk actions require a GitHub token with actions:write permission'
+    };
+  }
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return {
+      success: false,
+      error: `Unknown bulk action: ${action}`
+    };
+  }
+
+  try {
+    let outcomes;
+
+    if (action === 'dispatch') {
+      outcomes = await dispatchWorkflows(host, owner, repo, workflows);
+    } else if (action === 'cancel') {
+      outcomes = await cancelWorkflowsRuns(host, owner, repo, workflows);
+    } else {
+      outcomes = await setWorkflowsEnabled(host, owner, repo, workflows, action === 'enable');
+    }
+
+    await browser.storage.local.remove(`runs_${getRepoStorageId(host, owner, repo)}`);
+
+    const results = workflows.map((workflow, index) => ({
+      path: workflow.path,
+      name: workflow.name,
+      ...outcomes[index]
+    }));
+
+    console.log(`[Service Worker] Bulk ${action} on ${workflows.length} workflows:`, results);
+
+    return { success: true, results };
+  } catch (error) {
+    console.error(`[Service Worker] Bulk ${action} failed:`, error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
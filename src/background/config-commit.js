@@ -0,0 +1,230 @@
+/**
+ * Config Commit
+ * Creates or updates the folder config through the GitHub Contents API
+ * Loaded by the service worker; relies on githubApiFetch, getToken and clearConfigCache from it,
+ * on getRepoApiUrl from host-profiles.js, and on describeRequestError from request-scheduler.js
+ */
+
+const DEFAULT_COMMIT_CONFIG_PATH = '.github/actions-folders.json';
+const DEFAULT_COMMIT_MESSAGE = 'Update GitHub Actions folders config';
+
+/**
+ * Encodes text as base64, as required by the Contents API
+ * @param {string} text - UTF-8 text
+ * @returns {string} Base64 encoded text
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Turns a failed API response into a readable error message
+ * @param {Response} response - Failed response
+ * @param {string} action - What was being attempted, for the message
+ * @param {string} permission - Fine-grained permission the request needs, for 403/404 hints
+ * @returns {Promise<string>} Error message
+ */
+async function describeApiFailure(response, action, permission = 'contents:write') {
+  let detail = response.statusText;
+
+  try {
+    const data = await response.json();
+    if (data.message) {
+      detail = data.message;
+    }
+  } catch (error) {
+    // Body is not JSON, keep the status text
+  }
+
+  if (response.status === 403 || response.status === 404) {
+    return `Could not ${action} (HTTP ${response.status}: ${detail}). The token needs the ${permission} permission (repo scope for classic tokens)`;
+  }
+
+  if (response.status === 409) {
+    return `Could not ${action}: the file changed on the branch in the meantime (${detail}). Reload and try again`;
+  }
+
+  return `Could not ${action} (HTTP ${response.status}: ${detail})`;
+}
+
+/**
+ * Looks up the blob sha of a file, needed to update it
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} branch - Branch to look on
+ * @returns {Promise<string|null>} Blob sha, or null if the file does not exist
+ */
+async function fetchFileSha(host, owner, repo, path, branch) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const url = `${repoUrl}/contents/${path}?ref=${encodeURIComponent(branch)}`;
+  const response = await githubApiFetch(url);
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(await describeApiFailure(response, `read ${path}`));
+  }
+
+  const data = await response.json();
+  return data.sha;
+}
+
+/**
+ * Creates a branch pointing at the head of another branch
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseBranch - Branch to start from
+ * @param {string} newBranch - Name of the branch to create
+ * @returns {Promise<void>}
+ */
+async function createBranch(host, owner, repo, baseBranch, newBranch) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const refResponse = await githubApiFetch(
+    `${repoUrl}/git/ref/heads/${encodeURIComponent(baseBranch)}`
+  );
+
+  if (!refResponse.ok) {
+    throw new Error(await describeApiFailure(refResponse, `read branch ${baseBranch}`));
+  }
+
+  const baseRef = await refResponse.json();
+
+  const response = await githubApiFetch(`${repoUrl}/git/refs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ref: `refs/heads/${newBranch}`, sha: baseRef.object.sha })
+  });
+
+  if (!response.ok) {
+    throw new Error(await describeApiFailure(response, `create branch ${newBranch}`));
+  }
+
+  console.log(`[Service Worker] Created branch ${newBranch} from ${baseBranch}`);
+}
+
+/**
+ * Opens a pull request
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} head - Branch with the changes
+ * @param {string} base - Branch to merge into
+ * @param {string} title - Pull request title
+ * @returns {Promise<{url: string, number: number}>} Pull request
+ */
+async function createPullRequest(host, owner, repo, head, base, title) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const response = await githubApiFetch(`${repoUrl}/pulls`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      title,
+      head,
+      base,
+      body: 'Updates the folder layout used by the GitHub Actions Folder Organizer extension.'
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(await describeApiFailure(response, 'open a pull request'));
+  }
+
+  const data = await response.json();
+  console.log(`[Service Worker] Opened pull request #${data.number}`);
+
+  return { url: data.html_url, number: data.number };
+}
+
+/**
+ * Commits the config file, either directly to a branch or on a new branch with a pull request
+ * Clears the cached config of the repository afterwards.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options
+ * @param {string} options.content - New file content
+ * @param {string} options.branch - Branch to commit to, or the base branch when newBranch is set
+ * @param {string} [options.path] - File path, defaults to .github/actions-folders.json
+ * @param {string} [options.message] - Commit message
+ * @param {string} [options.newBranch] - Create this branch and open a pull request into `branch`
+ * @param {string} [options.sha] - Blob sha of the version the changes are based on; a newer version on the
+ *   branch then fails with 409 instead of being overwritten. Looked up when the file did not exist at load time.
+ * @returns {Promise<{success: boolean, created?: boolean, commitUrl?: string, pullRequestUrl?: string, reason?: string, error?: string}>}
+ */
+async function commitConfigFile(host, owner, repo, { content, branch, path = DEFAULT_COMMIT_CONFIG_PATH, message = DEFAULT_COMMIT_MESSAGE, newBranch = null, sha: loadedSha = null }) {
+  const token = await getToken(host, owner, repo);
+
+  if (!token) {
+    console.log('[Service Worker] No token available for committing the config');
+    return {
+      success: false,
+      reason: 'no_token',
+      error: 'Committing requires a GitHub token with contents:write permission'
+    };
+  }
+
+  try {
+    const repoUrl = await getRepoApiUrl(host, owner, repo);
+    const targetBranch = newBranch || branch;
+
+    if (newBranch) {
+      await createBranch(host, owner, repo, branch, newBranch);
+    }
+
+    const sha = loadedSha || await fetchFileSha(host, owner, repo, path, targetBranch);
+
+    const body = {
+      message,
+      content: encodeBase64(content),
+      branch: targetBranch
+    };
+    if (sha) {
+      body.sha = sha;
+    }
+
+    const response = await githubApiFetch(`${repoUrl}/contents/${path}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(await describeApiFailure(response, `${sha ? 'update' : 'create'} ${path}`));
+    }
+
+    const data = await response.json();
+    console.log(`[Service Worker] ${sha ? 'Updated' : 'Created'} ${path} on ${targetBranch}`);
+
+    const result = {
+      success: true,
+      created: !sha,
+      branch: targetBranch,
+      commitUrl: data.commit.html_url
+    };
+
+    if (newBranch) {
+      const pullRequest = await createPullRequest(host, owner, repo, newBranch, branch, message);
+      result.pullRequestUrl = pullRequest.url;
+    }
+
+    await clearConfigCache(host, owner, repo);
+
+    return result;
+  } catch (error) {
+    console.error('[Service Worker] Failed to commit config:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
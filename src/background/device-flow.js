@@ -0,0 +1,265 @@
+/**
+ * Device Flow
+ * Signs in through the OAuth device authorization flow and refreshes expiring user tokens
+ * Loaded by the service worker; relies on TOKENS_STORAGE_KEY and getStoredTokens from token-store.js
+ */
+
+const OAUTH_SETTINGS_STORAGE_KEY = 'oauth_settings';
+const DEVICE_FLOW_STORAGE_KEY = 'device_flow';
+const DEVICE_FLOW_SCOPES = 'repo workflow';
+
+// Refresh a little before the token expires, so requests in flight still carry a valid one
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Refresh tokens are single use, so concurrent requests share one refresh per token entry
+const pendingTokenRefreshes = new Map();
+
+/**
+ * Retrieves the OAuth app settings of a host
+ * The OAuth URL defaults to the host itself and can point at a local mock server for testing.
+ * @param {string} host - Hostname the token is for
+ * @returns {Promise<{clientId: string|null, oauthUrl: string}>} Client ID and base URL of the OAuth endpoints
+ */
+async function getOAuthSettings(host) {
+  const result = await browser.storage.sync.get(OAUTH_SETTINGS_STORAGE_KEY);
+  const settings = (result[OAUTH_SETTINGS_STORAGE_KEY] || {})[host] || {};
+
+  return {
+    clientId: settings.clientId || null,
+    oauthUrl: (settings.oauthUrl || `https://${host}`).replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Posts a form to an OAuth endpoint and returns its JSON answer
+ * GitHub answers most OAuth errors with status 200 and an error field, so both cases are returned as data.
+ * @param {string} url - Endpoint URL
+ * @param {Object<string, string>} params - Form fields
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postOAuthForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok && !data.error) {
+    throw new Error(`OAuth request failed: ${response.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Converts the lifetimes of an OAuth token response into timestamps
+ * OAuth app tokens do not expire; GitHub App user tokens come with expires_in and a refresh token.
+ * @param {Object} data - Token response
+ * @returns {{token: string, refreshToken: string|null, expiresAt: number|null, refreshTokenExpiresAt: number|null}}
+ */
+function readTokenResponse(data) {
+  const now = Date.now();
+
+  return {
+    token: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+    refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+  };
+}
+
+/**
+ * Starts a device flow sign-in for a host
+ * The pending flow is kept in storage so polling survives the service worker being stopped in between.
+ * @param {string} host - Hostname the token is for
+ * @returns {Promise<{success: boolean, userCode?: string, verificationUri?: string, expiresAt?: number, interval?: number, reason?: string, error?: string}>}
+ */
+async function startDeviceFlow(host) {
+  const { clientId, oauthUrl } = await getOAuthSettings(host);
+
+  if (!clientId) {
+    return {
+      success: false,
+      reason: 'no_client_id',
+      error: `No OAuth client ID is configured for ${host}`
+    };
+  }
+
+  try {
+    const data = await postOAuthForm(`${oauthUrl}/login/device/code`, {
+      client_id: clientId,
+      scope: DEVICE_FLOW_SCOPES
+    });
+
+    if (data.error) {
+      return { success: false, error: data.error_description || data.error };
+    }
+
+    const flow = {
+      host,
+      clientId,
+      oauthUrl,
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      interval: data.interval || 5
+    };
+
+    await browser.storage.local.set({ [DEVICE_FLOW_STORAGE_KEY]: flow });
+    console.log(`[Service Worker] Device flow started for ${host}`);
+
+    return {
+      success: true,
+      userCode: flow.userCode,
+      verificationUri: flow.verificationUri,
+      expiresAt: flow.expiresAt,
+      interval: flow.interval
+    };
+  } catch (error) {
+    console.error('[Service Worker] Failed to start device flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Asks once whether the user finished the pending device flow sign-in
+ * The caller polls again after the returned interval while the status is "pending".
+ * @returns {Promise<{success: boolean, status?: string, interval?: number, host?: string, token?: Object, error?: string}>}
+ *   status is "pending", "complete", "expired" or "denied"; token holds the fields of the new token on "complete"
+ */
+async function pollDeviceFlow() {
+  const flow = (await browser.storage.local.get(DEVICE_FLOW_STORAGE_KEY))[DEVICE_FLOW_STORAGE_KEY];
+
+  if (!flow) {
+    return { success: false, error: 'No sign-in is in progress' };
+  }
+
+  if (flow.expiresAt <= Date.now()) {
+    await browser.storage.local.remove(DEVICE_FLOW_STORAGE_KEY);
+    return { success: true, status: 'expired' };
+  }
+
+  try {
+    const data = await postOAuthForm(`${flow.oauthUrl}/login/oauth/access_token`, {
+      client_id: flow.clientId,
+      device_code: flow.deviceCode,
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+    });
+
+    if (data.error === 'authorization_pending') {
+      return { success: true, status: 'pending', interval: flow.interval };
+    }
+
+    if (data.error === 'slow_down') {
+      const interval = data.interval || flow.interval + 5;
+      await browser.storage.local.set({ [DEVICE_FLOW_STORAGE_KEY]: { ...flow, interval } });
+      return { success: true, status: 'pending', interval };
+    }
+
+    await browser.storage.local.remove(DEVICE_FLOW_STORAGE_KEY);
+
+    if (data.error === 'expired_token') {
+      return { success: true, status: 'expired' };
+    }
+
+    if (data.error === 'access_denied') {
+      return { success: true, status: 'denied' };
+    }
+
+    if (data.error) {
+      return { success: false, error: data.error_description || data.error };
+    }
+
+    console.log(`[Service Worker] Device flow completed for ${flow.host}`);
+
+    return {
+      success: true,
+      status: 'complete',
+      host: flow.host,
+      token: { ...readTokenResponse(data), clientId: flow.clientId, oauthUrl: flow.oauthUrl }
+    };
+  } catch (error) {
+    console.error('[Service Worker] Failed to poll device flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Drops the pending device flow sign-in
+ * @returns {Promise<void>}
+ */
+async function cancelDeviceFlow() {
+  await browser.storage.local.remove(DEVICE_FLOW_STORAGE_KEY);
+}
+
+/**
+ * Checks whether a token entry can still be used, directly or after a refresh
+ * @param {Object} entry - Token entry
+ * @returns {boolean} True unless the token and its refresh token have expired
+ */
+function isTokenUsable(entry) {
+  const now = Date.now();
+
+  if (!entry.expiresAt || entry.expiresAt > now) {
+    return true;
+  }
+
+  return Boolean(entry.refreshToken) && (!entry.refreshTokenExpiresAt || entry.refreshTokenExpiresAt > now);
+}
+
+/**
+ * Exchanges the refresh token of an entry for a new token and saves both
+ * @param {Object} entry - Token entry with refreshToken, clientId and oauthUrl
+ * @returns {Promise<string|null>} The new token, null if the refresh failed
+ */
+async function refreshStoredToken(entry) {
+  try {
+    const data = await postOAuthForm(`${entry.oauthUrl}/login/oauth/access_token`, {
+      client_id: entry.clientId,
+      refresh_token: entry.refreshToken,
+      grant_type: 'refresh_token'
+    });
+
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+
+    const refreshed = readTokenResponse(data);
+    const tokens = (await getStoredTokens()).map(stored => stored.id === entry.id ? { ...stored, ...refreshed } : stored);
+    await browser.storage.sync.set({ [TOKENS_STORAGE_KEY]: tokens });
+
+    console.log(`[Service Worker] Token "${entry.name}" refreshed`);
+    return refreshed.token;
+  } catch (error) {
+    console.error(`[Service Worker] Failed to refresh token "${entry.name}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Returns the token of an entry, refreshing it first when it is about to expire
+ * @param {Object} entry - Token entry
+ * @returns {Promise<string|null>} Usable token, null if it expired and could not be refreshed
+ */
+async function resolveTokenEntry(entry) {
+  if (!entry.expiresAt || entry.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return entry.token;
+  }
+
+  if (!entry.refreshToken) {
+    return entry.expiresAt > Date.now() ? entry.token : null;
+  }
+
+  if (!pendingTokenRefreshes.has(entry.id)) {
+    const refresh = refreshStoredToken(entry).finally(() => pendingTokenRefreshes.delete(entry.id));
+    pendingTokenRefreshes.set(entry.id, refresh);
+  }
+
+  return pendingTokenRefreshes.get(entry.id);
+}
@@ -0,0 +1,126 @@
+/**
+ * Host Profiles
+ * Resolves the API and raw-content URLs of github.com and configured GitHub Enterprise hosts,
+ * and registers the content scripts on enterprise hosts the user granted access to
+ * Loaded by the service worker before the modules that build API URLs; relies on DEFAULT_GITHUB_HOST,
+ * HOST_PROFILES_STORAGE_KEY and getHostProfiles from shared/host-storage.js
+ */
+
+const HOST_CONTENT_SCRIPT_ID = 'gaf-enterprise-hosts';
+
+// Built in; tokens for every host are kept in the token list (see token-store.js)
+const GITHUB_COM_PROFILE = {
+  host: DEFAULT_GITHUB_HOST,
+  apiUrl: 'https://api.github.com',
+  rawUrl: 'https://raw.githubusercontent.com/{owner}/{repo}/{branch}/{path}'
+};
+
+/**
+ * Finds the profile of a host
+ * @param {string} host - Hostname of the page (e.g. "github.example.com")
+ * @returns {Promise<{host: string, apiUrl: string, rawUrl: string}|null>} Profile, null for unknown hosts
+ */
+async function getHostProfile(host = DEFAULT_GITHUB_HOST) {
+  if (host === DEFAULT_GITHUB_HOST) {
+    return GITHUB_COM_PROFILE;
+  }
+
+  const profiles = await getHostProfiles();
+  return profiles.find(profile => profile.host === host) || null;
+}
+
+/**
+ * Finds the profile whose API a URL points at
+ * @param {string} url - Full API URL
+ * @returns {Promise<Object|null>} Profile, null if the URL belongs to no known host
+ */
+async function getHostProfileForUrl(url) {
+  if (url.startsWith(`${GITHUB_COM_PROFILE.apiUrl}/`)) {
+    return GITHUB_COM_PROFILE;
+  }
+
+  const profiles = await getHostProfiles();
+  return profiles.find(profile => url.startsWith(`${profile.apiUrl}/`)) || null;
+}
+
+/**
+ * Builds the API URL of a repository on a host
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string>} Repository API URL without a trailing slash
+ */
+async function getRepoApiUrl(host, owner, repo) {
+  const profile = await getHostProfile(host);
+
+  if (!profile) {
+    throw new Error(`${host} is not configured as a GitHub Enterprise host`);
+  }
+
+  return `${profile.apiUrl}/repos/${owner}/${repo}`;
+}
+
+/**
+ * Builds the raw-content URL of a file from a profile's URL scheme
+ * @param {{rawUrl: string}} profile - Host profile
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch or other git ref
+ * @param {string} filePath - File path in the repository
+ * @returns {string} Raw file URL
+ */
+function buildRawFileUrl(profile, owner, repo, branch, filePath) {
+  const values = { owner, repo, branch, path: filePath };
+  return profile.rawUrl.replace(/\{(owner|repo|branch|path)\}/g, (match, name) => values[name]);
+}
+
+/**
+ * Registers the content scripts on every enterprise host whose pages the extension may access
+ * Replaces the previous registration so removed hosts and revoked permissions are dropped.
+ * @returns {Promise<void>}
+ */
+async function registerHostContentScripts() {
+  const profiles = await getHostProfiles();
+  const matches = [];
+
+  for (const { host } of profiles) {
+    if (await browser.permissions.contains({ origins: [`https://${host}/*`] })) {
+      matches.push(`https://${host}/*/*/actions*`);
+    } else {
+      console.warn(`[Service Worker] No access to ${host}, the folder view stays off there`);
+    }
+  }
+
+  const registered = await browser.scripting.getRegisteredContentScripts({ ids: [HOST_CONTENT_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await browser.scripting.unregisterContentScripts({ ids: [HOST_CONTENT_SCRIPT_ID] });
+  }
+
+  if (matches.length === 0) {
+    return;
+  }
+
+  // Same scripts and styles as the github.com entry in the manifest
+  const [contentScript] = browser.runtime.getManifest().content_scripts;
+
+  await browser.scripting.registerContentScripts([{
+    id: HOST_CONTENT_SCRIPT_ID,
+    matches,
+    js: contentScript.js,
+    css: contentScript.css,
+    runAt: contentScript.run_at,
+    persistAcrossSessions: true
+  }]);
+
+  console.log('[Service Worker] Content scripts registered for', matches);
+}
+
+/**
+ * Re-registers the enterprise host content scripts, logging failures instead of throwing
+ * Used as a listener for installs, browser starts, permission changes and host list changes.
+ */
+function refreshHostContentScripts() {
+  registerHostContentScripts().catch(error => {
+    console.error('[Service Worker] Failed to register enterprise host content scripts:', error);
+  });
+}
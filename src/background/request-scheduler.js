@@ -0,0 +1,272 @@
+/**
+ * Request Scheduler
+ * Sends the GitHub API requests of the service worker: shares identical requests in flight, holds back
+ * low priority requests while the rate limit runs low, and waits out rate limit responses with backoff
+ * Loaded by the service worker; relies on trackRateLimit from it
+ */
+
+// Share of the hourly limit kept for the requests the user starts: below it, low priority requests wait for the reset.
+// Capped so large limits do not hold back more than needed; anonymous requests (60 per hour) keep 6.
+const RATE_LIMIT_RESERVE_RATIO = 0.1;
+const MAX_RATE_LIMIT_RESERVE = 100;
+
+// Longest a request waits for a reset or retry; beyond that it fails with a "rate limited until" error
+const MAX_RATE_LIMIT_WAIT_MS = 2 * 60 * 1000;
+
+// Secondary rate limits without Retry-After: GitHub asks to wait at least a minute, doubled on every repeat
+const SECONDARY_RATE_LIMIT_BACKOFF_MS = 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Pending GET requests by URL and headers, shared by identical calls whatever their priority
+const inFlightApiRequests = new Map();
+
+// Rate limit state per host and token, since each token has its own limit
+const rateLimitBuckets = new Map();
+
+/**
+ * Retrieves the rate limit state of a host and token, creating it on first use
+ * @param {string} bucket - Host and token the requests are counted against
+ * @returns {{remaining: number|null, limit: number|null, reset: number, blockedUntil: number, resetWait: Promise|null}}
+ *   Mutable state
+ */
+function getRateLimitBucket(bucket) {
+  if (!rateLimitBuckets.has(bucket)) {
+    rateLimitBuckets.set(bucket, { remaining: null, limit: null, reset: 0, blockedUntil: 0, resetWait: null });
+  }
+
+  return rateLimitBuckets.get(bucket);
+}
+
+/**
+ * Formats a timestamp as the local time shown in rate limit errors
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Time as HH:MM
+ */
+function formatRateLimitTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+/**
+ * Creates the error a request fails with while the rate limit is exhausted
+ * Its message is meant to be shown as is; reason and resetAt let callers tell it apart.
+ * @param {number} resetAt - When requests can be sent again, in milliseconds
+ * @returns {Error} Rate limit error
+ */
+function createRateLimitError(resetAt) {
+  const error = new Error(`GitHub API rate limit reached, rate limited until ${formatRateLimitTime(resetAt)}`);
+  error.reason = 'rate_limited';
+  error.resetAt = resetAt;
+  return error;
+}
+
+/**
+ * Builds the error fields of a failed response, keeping reason and resetAt of rate limit errors
+ * @param {Error} error - Caught error
+ * @returns {{error: string, reason?: string, resetAt?: number}} Fields to spread into the response
+ */
+function describeRequestError(error) {
+  return error.reason === 'rate_limited'
+    ? { error: error.message, reason: error.reason, resetAt: error.resetAt }
+    : { error: error.message };
+}
+
+/**
+ * Tells how many requests of a rate limit are kept for the requests the user starts
+ * @param {number|null} limit - Requests allowed per window, from X-RateLimit-Limit; null if unknown
+ * @returns {number} Remaining requests below which low priority requests wait
+ */
+function getRateLimitReserve(limit) {
+  return limit ? Math.min(MAX_RATE_LIMIT_RESERVE, Math.floor(limit * RATE_LIMIT_RESERVE_RATIO)) : 0;
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Creates the priority of a scheduled request, which a shared request can raise while it waits
+ * @param {string} priority - "low" for requests nobody is waiting on, "normal" otherwise
+ * @returns {{priority: string, raised: Promise<void>, raise: Function}} Mutable priority
+ */
+function createRequestPriority(priority) {
+  const schedule = { priority };
+
+  schedule.raised = new Promise(resolve => {
+    schedule.raise = () => {
+      schedule.priority = 'normal';
+      resolve();
+    };
+  });
+
+  return schedule;
+}
+
+/**
+ * Waits until a request may be sent
+ * Low priority requests queue up behind the rate limit reset while fewer than the reserve of the limit remain,
+ * and go out right away once their priority is raised.
+ * @param {Object} state - Rate limit state from getRateLimitBucket
+ * @param {Object} schedule - Priority from createRequestPriority
+ * @returns {Promise<void>}
+ * @throws {Error} Rate limit error if the wait would be longer than MAX_RATE_LIMIT_WAIT_MS
+ */
+async function waitForRateLimit(state, schedule) {
+  for (;;) {
+    if (state.blockedUntil > Date.now()) {
+      if (state.blockedUntil - Date.now() > MAX_RATE_LIMIT_WAIT_MS) {
+        throw createRateLimitError(state.blockedUntil);
+      }
+      await sleep(state.blockedUntil - Date.now());
+    }
+
+    if (state.remaining === null || state.reset <= Date.now()) {
+      return;
+    }
+
+    const isLow = state.remaining < getRateLimitReserve(state.limit);
+
+    if (state.remaining > 0 && !(isLow && schedule.priority === 'low')) {
+      return;
+    }
+
+    if (state.reset - Date.now() > MAX_RATE_LIMIT_WAIT_MS) {
+      throw createRateLimitError(state.reset);
+    }
+
+    // One timer for all queued requests; the limit is full again once it fires
+    if (!state.resetWait) {
+      console.warn(`[Service Worker] Rate limit low (${state.remaining} left), queueing requests until ${formatRateLimitTime(state.reset)}`);
+      state.resetWait = sleep(state.reset - Date.now()).then(() => {
+        state.resetWait = null;
+        state.remaining = null;
+      });
+    }
+
+    await Promise.race([state.resetWait, schedule.raised]);
+  }
+}
+
+/**
+ * Tells how long to wait before retrying a rate limited response
+ * Covers primary limits (no requests left), secondary limits (403 or 429, with or without Retry-After)
+ * and leaves other errors, such as missing permissions, to the caller.
+ * @param {Response} response - API response
+ * @param {number} attempt - Zero-based number of the attempt
+ * @returns {Promise<number|null>} Milliseconds to wait, null if the response is not rate limited
+ */
+async function getRateLimitDelay(response, attempt) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+  }
+
+  if (response.headers.get('X-RateLimit-Remaining') === '0') {
+    return parseInt(response.headers.get('X-RateLimit-Reset')) * 1000 - Date.now();
+  }
+
+  if (response.status === 403) {
+    const body = await response.clone().text().catch(() => '');
+    if (!/secondary rate limit|abuse/i.test(body)) {
+      return null;
+    }
+  }
+
+  return SECONDARY_RATE_LIMIT_BACKOFF_MS * 2 ** attempt;
+}
+
+/**
+ * Sends a request once the rate limit allows it, retrying rate limited responses
+ * @param {string} url - Full API URL
+ * @param {Object} options - fetch options
+ * @param {string} bucket - Host and token the request is counted against
+ * @param {Object} schedule - Priority from createRequestPriority
+ * @returns {Promise<Response>} Response that was not rate limited
+ * @throws {Error} Rate limit error when retrying would take too long or keeps failing
+ */
+async function sendScheduledRequest(url, options, bucket, schedule) {
+  const state = getRateLimitBucket(bucket);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit(state, schedule);
+
+    // Counted right away so concurrent requests do not all see the same remaining budget
+    if (state.remaining !== null) {
+      state.remaining--;
+    }
+
+    const response = await fetch(url, options);
+    trackRateLimit(response.headers);
+
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
+    if (remaining && reset) {
+      state.remaining = parseInt(remaining);
+      state.limit = parseInt(response.headers.get('X-RateLimit-Limit')) || null;
+      state.reset = parseInt(reset) * 1000;
+    }
+
+    const delay = await getRateLimitDelay(response, attempt);
+    if (delay === null) {
+      return response;
+    }
+
+    const retryAt = Date.now() + delay;
+    state.blockedUntil = Math.max(state.blockedUntil, retryAt);
+
+    if (attempt >= MAX_RATE_LIMIT_RETRIES || delay > MAX_RATE_LIMIT_WAIT_MS) {
+      console.warn(`[Service Worker] Rate limited until ${formatRateLimitTime(retryAt)}: ${url}`);
+      throw createRateLimitError(retryAt);
+    }
+
+    console.warn(`[Service Worker] Rate limited (HTTP ${response.status}), retrying in ${Math.ceil(delay / 1000)}s: ${url}`);
+  }
+}
+
+/**
+ * Schedules a GitHub API request
+ * Identical GET requests already in flight share one response; every caller gets its own copy to read.
+ * A shared request runs with the highest priority among its callers.
+ * @param {string} url - Full API URL
+ * @param {Object} options - fetch options, including the authentication header
+ * @param {Object} schedule
+ * @param {string} schedule.bucket - Host and token the request is counted against
+ * @param {string} [schedule.priority] - "low" for background requests nobody is waiting on
+ * @returns {Promise<Response>} Response
+ */
+async function scheduleApiRequest(url, options, { bucket, priority = 'normal' }) {
+  const method = (options.method || 'GET').toUpperCase();
+
+  if (method !== 'GET') {
+    return sendScheduledRequest(url, options, bucket, createRequestPriority(priority));
+  }
+
+  const key = `${url} ${JSON.stringify(options.headers)}`;
+  let inFlight = inFlightApiRequests.get(key);
+
+  if (!inFlight) {
+    const schedule = createRequestPriority(priority);
+    const request = sendScheduledRequest(url, options, bucket, schedule)
+      .finally(() => inFlightApiRequests.delete(key));
+    inFlight = { request, schedule };
+    inFlightApiRequests.set(key, inFlight);
+  } else {
+    console.log(`[Service Worker] Sharing request already in flight: ${url}`);
+
+    if (priority !== 'low' && inFlight.schedule.priority === 'low') {
+      inFlight.schedule.raise();
+    }
+  }
+
+  const response = await inFlight.request;
+  return response.clone();
+}
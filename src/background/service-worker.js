@@ -6,21 +6,46 @@
 
 // Chrome service workers use importScripts, Firefox loads via scripts array in manifest
 if (typeof importScripts === 'function') {
-  importScripts('/lib/browser-polyfill.min.js');
+  importScripts(
+    '/lib/browser-polyfill.min.js',
+    '/lib/js-yaml.min.js',
+    '/src/shared/host-storage.js',
+    '/src/background/host-profiles.js',
+    '/src/background/token-store.js',
+    '/src/background/device-flow.js',
+    '/src/background/request-scheduler.js',
+    '/src/background/workflow-runs.js',
+    '/src/background/config-commit.js',
+    '/src/background/workflow-dispatch.js',
+    '/src/background/bulk-actions.js'
+  );
 }
 
-const CONFIG_FILE_PATH = '.github/actions-folders.json';
+// Checked in order; the first file found wins
+const CONFIG_FILE_PATHS = [
+  '.github/actions-folders.json',
+  '.github/actions-folders.yml',
+  '.github/actions-folders.yaml',
+  '.github/workflows/actions-folders.yml',
+  '.github/workflows/actions-folders.yaml'
+];
 const CACHE_DURATION_MS = 5 * 60 * 1000;
-const TOKEN_STORAGE_KEY = 'github_token';
+const WORKFLOWS_PER_PAGE = 100;
+const DEFAULT_MAX_WORKFLOWS = 1000;
 
 /**
- * Retrieves the stored GitHub API token
+ * Retrieves the saved GitHub API token for a repository on a host
+ * Picks the token whose owner patterns match the repository most specifically (see selectToken),
+ * skipping expired ones and refreshing those about to expire.
+ * @param {string} host - Hostname of the page, github.com unless given
+ * @param {string|null} owner - Repository owner; without one only tokens scoped to "*" apply
+ * @param {string|null} repo - Repository name
  * @returns {Promise<string|null>} The token if exists, null otherwise
  */
-async function getToken() {
+async function getToken(host = DEFAULT_GITHUB_HOST, owner = null, repo = null) {
   try {
-    const result = await browser.storage.sync.get(TOKEN_STORAGE_KEY);
-    return result[TOKEN_STORAGE_KEY] || null;
+    const entry = selectToken((await getStoredTokens()).filter(isTokenUsable), host, owner, repo);
+    return entry ? await resolveTokenEntry(entry) : null;
   } catch (error) {
     console.error('[Service Worker] Failed to retrieve token:', error);
     return null;
@@ -45,133 +70,524 @@ function trackRateLimit(headers) {
       }
     });
 
-    if (parseInt(remaining) < 100) {
+    if (parseInt(remaining) < getRateLimitReserve(parseInt(limit))) {
       console.warn(`[Service Worker] Rate limit low: ${remaining}/${limit}`);
     }
   }
 }
 
 /**
- * Builds the raw GitHub URL for the config file
+ * Retrieves the last rate limit state recorded by trackRateLimit
+ * @returns {Promise<{limit: number, remaining: number, reset: number}|null>} Rate limit, null if unknown or already reset
  */
-function buildRawGitHubUrl(owner, repo, branch = 'main') {
-  return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${CONFIG_FILE_PATH}`;
+async function getStoredRateLimit() {
+  const result = await browser.storage.local.get('rate_limit');
+  const rateLimit = result.rate_limit;
+
+  if (!rateLimit || rateLimit.reset <= Date.now()) {
+    return null;
+  }
+
+  return rateLimit;
 }
 
 /**
- * Fetches all workflows from GitHub API
- * Uses token authentication if available for better rate limits
+ * Reads the owner and repository from a repository API URL
+ * @param {string} url - Full API URL
+ * @param {{apiUrl: string}} profile - Host profile the URL belongs to
+ * @returns {{owner: string|null, repo: string|null}} Owner and repository, null for other endpoints
+ */
+function parseRepoFromApiUrl(url, profile) {
+  const match = url.slice(profile.apiUrl.length).match(/^\/repos\/([^/?#]+)\/([^/?#]+)/);
+  return match
+    ? { owner: decodeURIComponent(match[1]), repo: decodeURIComponent(match[2]) }
+    : { owner: null, repo: null };
+}
+
+/**
+ * Sends a request to the GitHub REST API, authenticated when a token is stored
+ * The token is picked by the host whose API the URL points at and the repository in its path.
+ * Every API call goes through here, so the request scheduler sees them all (see request-scheduler.js).
+ * @param {string} url - Full API URL
+ * @param {Object} options - fetch options; headers are merged with the API defaults
+ * @param {string} [options.priority] - "low" for background requests that may wait while the rate limit is low
+ * @param {string} [options.token] - Token to send instead of the stored one, e.g. to test a token
+ * @returns {Promise<Response>} Raw response
+ * @throws {Error} With reason "rate_limited" and a "rate limited until HH:MM" message when the rate limit is exhausted
  */
-async function fetchWorkflows(owner, repo) {
-  const url = `https://api.github.com/repos/${owner}/${repo}/actions/workflows`;
-  const token = await getToken();
+async function githubApiFetch(url, { priority = 'normal', token: givenToken = null, ...options } = {}) {
+  const profile = await getHostProfileForUrl(url);
+  let token = givenToken;
+
+  if (profile && !token) {
+    const { owner, repo } = parseRepoFromApiUrl(url, profile);
+    token = await getToken(profile.host, owner, repo);
+  }
 
   const headers = {
     'Accept': 'application/vnd.github+json',
-    'X-GitHub-Api-Version': '2022-11-28'
+    'X-GitHub-Api-Version': '2022-11-28',
+    ...options.headers
   };
 
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
-    console.log(`[Service Worker] Fetching workflows from API with token: ${url}`);
-  } else {
-    console.log(`[Service Worker] Fetching workflows from API (unauthenticated): ${url}`);
   }
 
+  // Each token, and anonymous access, has its own rate limit per host
+  const bucket = `${profile ? profile.host : new URL(url).host} ${token || 'anonymous'}`;
+
+  return scheduleApiRequest(url, { ...options, headers }, { bucket, priority });
+}
+
+/**
+ * Builds the raw GitHub URL for a file in the repository
+ */
+async function buildRawGitHubUrl(host, owner, repo, branch = 'main', filePath = CONFIG_FILE_PATHS[0]) {
+  const profile = await getHostProfile(host);
+
+  if (!profile) {
+    throw new Error(`${host} is not configured as a GitHub Enterprise host`);
+  }
+
+  return buildRawFileUrl(profile, owner, repo, branch, filePath);
+}
+
+/**
+ * Parses config file text as JSON or YAML depending on the file extension
+ * @param {string} text - Raw file content
+ * @param {string} filePath - Path of the config file in the repository
+ * @returns {Object} Parsed config
+ */
+function parseConfigText(text, filePath) {
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(text);
+  }
+
+  return jsyaml.load(text);
+}
+
+/**
+ * Describes a JSON or YAML syntax error, with a 1-based line/column where the parser reports one
+ * @param {Error} error - Error thrown by JSON.parse or jsyaml.load
+ * @param {string} text - Raw file content
+ * @returns {{message: string, line?: number, column?: number}}
+ */
+function describeParseError(error, text) {
+  // js-yaml reports a zero-based mark
+  if (error.mark && typeof error.mark.line === 'number') {
+    return { message: error.reason || error.message, line: error.mark.line + 1, column: error.mark.column + 1 };
+  }
+
+  const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+  if (lineColumn) {
+    return { message: error.message, line: parseInt(lineColumn[1]), column: parseInt(lineColumn[2]) };
+  }
+
+  const position = error.message.match(/position (\d+)/);
+  if (position) {
+    const before = text.slice(0, parseInt(position[1])).split('\n');
+    return { message: error.message, line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  return { message: error.message };
+}
+
+/**
+ * Normalizes a list of folder entries, recursing into nested `folders`
+ * @param {Array} folders - Folder entries from the parsed config
+ * @returns {Array}
+ */
+function normalizeFolders(folders) {
+  return folders.map(folder => {
+    if (!folder || typeof folder !== 'object' || Array.isArray(folder)) {
+      return folder;
+    }
+
+    const normalized = { ...folder };
+
+    if (typeof folder.name === 'number') {
+      normalized.name = String(folder.name);
+    }
+
+    if (Array.isArray(folder.workflows)) {
+      normalized.workflows = folder.workflows.map(workflow => typeof workflow === 'number' ? String(workflow) : workflow);
+    }
+
+    if (Array.isArray(folder.folders)) {
+      normalized.folders = normalizeFolders(folder.folders);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Normalizes a parsed JSON or YAML config into the shape the content script consumes
+ * YAML configs may carry non-string scalars (e.g. a folder named 2024), which are coerced here.
+ * Structural problems are left for the content script's validator to report.
+ * @param {*} parsed - Parsed config file
+ * @returns {*} Normalized config
+ */
+function normalizeConfig(parsed) {
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.folders)) {
+    return parsed;
+  }
+
+  return {
+    ...parsed,
+    folders: normalizeFolders(parsed.folders)
+  };
+}
+
+/**
+ * Extracts the "next" page URL from a GitHub Link header
+ * @param {string|null} linkHeader - Value of the Link response header
+ * @returns {string|null} URL of the next page, null if this is the last page
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetches all workflows from GitHub API, following pagination
+ * Uses token authentication if available for better rate limits
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} maxWorkflows - Upper bound on the number of workflows to fetch
+ * @returns {Promise<{success: boolean, workflows?: Array, totalCount?: number, truncated?: boolean, error?: string}>}
+ */
+async function fetchWorkflows(host, owner, repo, maxWorkflows = DEFAULT_MAX_WORKFLOWS) {
+  const limit = Number.isInteger(maxWorkflows) && maxWorkflows > 0 ? maxWorkflows : DEFAULT_MAX_WORKFLOWS;
+  const token = await getToken(host, owner, repo);
+
+  const workflows = [];
+  let totalCount = null;
+
   try {
-    const response = await fetch(url, { headers });
-    trackRateLimit(response.headers);
+    let url = `${await getRepoApiUrl(host, owner, repo)}/actions/workflows?per_page=${WORKFLOWS_PER_PAGE}&page=1`;
+
+    while (url && workflows.length < limit) {
+      console.log(`[Service Worker] Fetching workflows from API${token ? ' with token' : ' (unauthenticated)'}: ${url}`);
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
+      const response = await githubApiFetch(url);
+
+      if (!response.ok) {
+        throw new Error(`API request failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (totalCount === null) {
+        totalCount = data.total_count;
+      }
+
+      workflows.push(...data.workflows);
+      url = getNextPageUrl(response.headers.get('Link'));
     }
 
-    const data = await response.json();
-    console.log(`[Service Worker] Found ${data.workflows.length} workflows`);
+    const truncated = workflows.length > limit || url !== null;
+    const result = workflows.slice(0, limit);
+
+    console.log(`[Service Worker] Found ${result.length} of ${totalCount} workflows${truncated ? ` (capped at ${limit})` : ''}`);
 
     return {
       success: true,
-      workflows: data.workflows
+      workflows: result,
+      totalCount,
+      truncated
     };
   } catch (error) {
     console.error('[Service Worker] Failed to fetch workflows:', error);
     return {
       success: false,
-      error: error.message
+      ...describeRequestError(error)
     };
   }
 }
 
 
 /**
- * Attempts to fetch the config file from multiple default branches
+ * Computes the git blob sha of a file, the version the Contents API expects when updating it
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<string>} Hex encoded blob sha
+ */
+async function computeGitBlobSha(bytes) {
+  const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+  const blob = new Uint8Array(header.length + bytes.length);
+  blob.set(header);
+  blob.set(bytes, header.length);
+
+  const digest = await crypto.subtle.digest('SHA-1', blob);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Looks for a config file on a single branch, trying every known file location
  * Note: raw.githubusercontent.com relies on browser session auth, not API tokens
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch or other git ref to look on
+ * @returns {Promise<{content: Object|null, raw: string, sha: string, configPath: string, branch: string, parseError?: Object}|null>}
+ *   Config (or its parse error) with the blob sha of the loaded version, or null if the branch has none
  */
-async function fetchConfigFromBranches(owner, repo) {
-  const branches = ['main', 'master'];
+async function findConfigOnBranch(host, owner, repo, branch) {
+  for (const configPath of CONFIG_FILE_PATHS) {
+    let text;
+    let sha;
 
-  for (const branch of branches) {
     try {
-      const url = buildRawGitHubUrl(owner, repo, branch);
+      const url = await buildRawGitHubUrl(host, owner, repo, branch, configPath);
       console.log(`[Service Worker] Fetching config from: ${url}`);
 
       const response = await fetch(url);
 
-      if (response.ok) {
-        const content = await response.json();
-        console.log(`[Service Worker] Config found on branch: ${branch}`);
-        return content;
+      if (!response.ok) {
+        continue;
       }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      text = new TextDecoder().decode(bytes);
+      sha = await computeGitBlobSha(bytes);
     } catch (error) {
-      console.warn(`[Service Worker] Failed to fetch from ${branch}:`, error);
+      console.warn(`[Service Worker] Failed to fetch ${configPath} from ${branch}:`, error);
       continue;
     }
+
+    // A config that exists but cannot be parsed is reported instead of silently skipped
+    try {
+      const content = normalizeConfig(parseConfigText(text, configPath));
+      console.log(`[Service Worker] Config found on branch: ${branch} (${configPath})`);
+      return { content, raw: text, sha, configPath, branch };
+    } catch (error) {
+      console.warn(`[Service Worker] Invalid config in ${configPath} on ${branch}:`, error);
+      return { content: null, raw: text, sha, configPath, branch, parseError: describeParseError(error, text) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Attempts to fetch the config file from the default branch and known file locations
+ * main/master are only tried as a last resort when the default branch has no config
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|null} defaultBranch - Resolved default branch, if known
+ * @returns {Promise<{content: Object|null, raw: string, sha: string, configPath: string, branch: string, parseError?: Object}>}
+ */
+async function fetchConfigFromBranches(host, owner, repo, defaultBranch = null) {
+  const branches = [...new Set([defaultBranch, 'main', 'master'].filter(Boolean))];
+
+  for (const branch of branches) {
+    const result = await findConfigOnBranch(host, owner, repo, branch);
+    if (result) {
+      return result;
+    }
   }
 
   throw new Error('Config file not found in any default branch');
 }
 
 /**
- * Fetches config with caching support
+ * Builds the storage key under which a repository's config is cached
+ * The default-branch config and each explicitly requested ref are cached separately
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|null} ref - Requested ref, null for the default branch
+ * @returns {string} Cache key
+ */
+function getConfigCacheKey(host, owner, repo, ref = null) {
+  const cacheKey = `config_${getRepoStorageId(host, owner, repo)}`;
+  return ref ? `${cacheKey}@${ref}` : cacheKey;
+}
+
+/**
+ * Reads a cached config entry if it has not expired
+ * @param {string} cacheKey - Cache key from getConfigCacheKey
+ * @returns {Promise<{content: Object|null, source: Object, age: number}|null>}
  */
-async function fetchConfigWithCache(owner, repo) {
-  const cacheKey = `config_${owner}_${repo}`;
+async function readCachedConfig(cacheKey) {
   const cacheTimestampKey = `${cacheKey}_timestamp`;
+  const cacheSourceKey = `${cacheKey}_source`;
+
+  const cached = await browser.storage.local.get([cacheKey, cacheTimestampKey, cacheSourceKey]);
+  const cachedTimestamp = cached[cacheTimestampKey];
+
+  if (!cachedTimestamp || !(cacheKey in cached)) {
+    return null;
+  }
+
+  const age = Date.now() - cachedTimestamp;
+  if (age >= CACHE_DURATION_MS) {
+    return null;
+  }
+
+  return {
+    content: cached[cacheKey],
+    source: cached[cacheSourceKey] || {},
+    age
+  };
+}
+
+/**
+ * Writes a config entry to the cache
+ * @param {string} cacheKey - Cache key from getConfigCacheKey
+ * @param {Object|null} content - Config content, null to remember that no config exists
+ * @param {Object} source - Where the config came from ({configPath, branch, raw, sha})
+ * @returns {Promise<void>}
+ */
+async function writeCachedConfig(cacheKey, content, source) {
+  await browser.storage.local.set({
+    [cacheKey]: content,
+    [`${cacheKey}_timestamp`]: Date.now(),
+    [`${cacheKey}_source`]: source
+  });
+}
+
+/**
+ * Fetches the config from a specific ref (e.g. a feature branch), cached per ref
+ * Misses are cached too, so browsing a branch without a config does not refetch every file
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch selected in the Actions UI
+ * @returns {Promise<{content: Object|null, raw: string, sha: string, configPath: string, branch: string, parseError?: Object, fromCache?: boolean}|null>}
+ */
+async function fetchConfigForRef(host, owner, repo, ref) {
+  const cacheKey = getConfigCacheKey(host, owner, repo, ref);
+  const cached = await readCachedConfig(cacheKey);
+
+  if (cached) {
+    console.log(`[Service Worker] Using cached config lookup for ${owner}/${repo}@${ref} (age: ${Math.round(cached.age / 1000)}s)`);
+    return cached.content
+      ? { content: cached.content, raw: cached.source.raw, sha: cached.source.sha || null, configPath: cached.source.configPath, branch: ref, fromCache: true }
+      : null;
+  }
+
+  const result = await findConfigOnBranch(host, owner, repo, ref);
+
+  // Configs with syntax errors are not cached so a fix shows up on the next page load
+  if (!result || !result.parseError) {
+    await writeCachedConfig(cacheKey, result ? result.content : null, {
+      configPath: result ? result.configPath : null,
+      branch: ref,
+      raw: result ? result.raw : null,
+      sha: result ? result.sha : null
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Builds the failure response for a config file that exists but cannot be parsed
+ * @param {{configPath: string, branch: string, raw: string, parseError: Object}} result - Lookup result
+ * @param {string|null} requestedRef - Branch selected in the Actions UI, if any
+ * @returns {Object} Response for the content script
+ */
+function buildParseErrorResponse(result, requestedRef) {
+  return {
+    success: false,
+    error: `Invalid config in ${result.configPath} on ${result.branch}: ${result.parseError.message}`,
+    parseError: result.parseError,
+    configPath: result.configPath,
+    branch: result.branch,
+    raw: result.raw,
+    requestedRef
+  };
+}
+
+/**
+ * Fetches config with caching support
+ * When a ref is requested, its config is preferred and the default branch is used as a fallback
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|null} defaultBranch - Resolved default branch, if known
+ * @param {string|null} ref - Branch selected in the Actions UI, if any
+ */
+async function fetchConfigWithCache(host, owner, repo, defaultBranch = null, ref = null) {
+  const cacheKey = getConfigCacheKey(host, owner, repo);
+  const requestedRef = ref && ref !== defaultBranch ? ref : null;
 
   try {
-    const cached = await browser.storage.local.get([cacheKey, cacheTimestampKey]);
-    const cachedContent = cached[cacheKey];
-    const cachedTimestamp = cached[cacheTimestampKey];
-
-    if (cachedContent && cachedTimestamp) {
-      const age = Date.now() - cachedTimestamp;
-      if (age < CACHE_DURATION_MS) {
-        console.log(`[Service Worker] Using cached config for ${owner}/${repo} (age: ${Math.round(age / 1000)}s)`);
+    if (requestedRef) {
+      const refResult = await fetchConfigForRef(host, owner, repo, requestedRef);
+
+      if (refResult && refResult.parseError) {
+        return buildParseErrorResponse(refResult, requestedRef);
+      }
+
+      if (refResult) {
         return {
           success: true,
-          content: cachedContent,
-          fromCache: true
+          ...refResult,
+          requestedRef
         };
       }
+
+      console.log(`[Service Worker] No config on ${requestedRef}, falling back to the default branch`);
     }
 
-    console.log(`[Service Worker] Fetching fresh config for ${owner}/${repo}`);
-    const content = await fetchConfigFromBranches(owner, repo);
+    const cached = await readCachedConfig(cacheKey);
 
-    await browser.storage.local.set({
-      [cacheKey]: content,
-      [cacheTimestampKey]: Date.now()
-    });
+    if (cached && cached.content) {
+      console.log(`[Service Worker] Using cached config for ${owner}/${repo} (age: ${Math.round(cached.age / 1000)}s)`);
+      return {
+        success: true,
+        content: cached.content,
+        raw: cached.source.raw || null,
+        sha: cached.source.sha || null,
+        configPath: cached.source.configPath || CONFIG_FILE_PATHS[0],
+        branch: cached.source.branch || null,
+        requestedRef,
+        refFallback: requestedRef !== null,
+        fromCache: true
+      };
+    }
+
+    console.log(`[Service Worker] Fetching fresh config for ${owner}/${repo} (default branch: ${defaultBranch || 'unknown'})`);
+    const result = await fetchConfigFromBranches(host, owner, repo, defaultBranch);
+
+    if (result.parseError) {
+      return buildParseErrorResponse(result, requestedRef);
+    }
+
+    const { content, raw, sha, configPath, branch } = result;
+
+    await writeCachedConfig(cacheKey, content, { configPath, branch, raw, sha });
 
     return {
       success: true,
-      content: content
+      content: content,
+      raw,
+      sha,
+      configPath,
+      branch,
+      requestedRef,
+      refFallback: requestedRef !== null
     };
   } catch (error) {
     console.warn(`[Service Worker] Failed to fetch config for ${owner}/${repo}:`, error);
     return {
       success: false,
-      error: error.message
+      ...describeRequestError(error)
     };
   }
 }
@@ -179,26 +595,14 @@ async function fetchConfigWithCache(owner, repo) {
 /**
  * Fetches repository information from GitHub API
  * Requires token for private repos, works unauthenticated for public repos
+ * @param {string} host - Hostname of the page
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @returns {Promise<{success: boolean, defaultBranch?: string, isPrivate?: boolean, error?: string}>}
  */
-async function fetchRepoInfo(owner, repo) {
-  const url = `https://api.github.com/repos/${owner}/${repo}`;
-  const token = await getToken();
-
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'X-GitHub-Api-Version': '2022-11-28'
-  };
-
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
+async function fetchRepoInfo(host, owner, repo) {
   try {
-    const response = await fetch(url, { headers });
-    trackRateLimit(response.headers);
+    const response = await githubApiFetch(await getRepoApiUrl(host, owner, repo));
 
     if (response.ok) {
       const data = await response.json();
@@ -220,7 +624,7 @@ async function fetchRepoInfo(owner, repo) {
     console.error('[Service Worker] Failed to fetch repo info:', error);
     return {
       success: false,
-      error: error.message
+      ...describeRequestError(error)
     };
   }
 }
@@ -228,13 +632,14 @@ async function fetchRepoInfo(owner, repo) {
 /**
  * Checks user permission level for a repository
  * REQUIRES token - this endpoint requires authentication even for public repos
+ * @param {string} host - Hostname of the page
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} username - GitHub username to check
  * @returns {Promise<{success: boolean, hasWriteAccess?: boolean, permission?: string, reason?: string, error?: string}>}
  */
-async function checkUserPermission(owner, repo, username) {
-  const token = await getToken();
+async function checkUserPermission(host, owner, repo, username) {
+  const token = await getToken(host, owner, repo);
 
   if (!token) {
     console.log('[Service Worker] No token available for permission check');
@@ -244,18 +649,9 @@ async function checkUserPermission(owner, repo, username) {
     };
   }
 
-  const url = `https://api.github.com/repos/${owner}/${repo}/collaborators/${username}/permission`;
-
   try {
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github+json',
-        'X-GitHub-Api-Version': '2022-11-28'
-      }
-    });
-
-    trackRateLimit(response.headers);
+    const url = `${await getRepoApiUrl(host, owner, repo)}/collaborators/${username}/permission`;
+    const response = await githubApiFetch(url);
 
     if (response.ok) {
       const data = await response.json();
@@ -277,6 +673,39 @@ async function checkUserPermission(owner, repo, username) {
     }
   } catch (error) {
     console.error('[Service Worker] Failed to check permission:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
+
+/**
+ * Checks write access through the repository settings page, which only collaborators with write access can open
+ * Relies on the browser session of the host rather than a token; the page is not part of the API, so it is
+ * fetched directly instead of through the API scheduler and its rate limits.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{success: boolean, status?: number, redirected?: boolean, error?: string}>}
+ *   Status of the settings page, and whether it redirected elsewhere
+ */
+async function checkSettingsPageAccess(host, owner, repo) {
+  try {
+    const response = await fetch(`https://${host}/${owner}/${repo}/settings`, {
+      method: 'HEAD',
+      redirect: 'manual',
+      credentials: 'include',
+      headers: { 'Accept': 'text/html' }
+    });
+
+    return {
+      success: true,
+      status: response.status,
+      redirected: response.type === 'opaqueredirect'
+    };
+  } catch (error) {
+    console.error('[Service Worker] Failed to check the settings page:', error);
     return {
       success: false,
       error: error.message
@@ -285,21 +714,72 @@ async function checkUserPermission(owner, repo, username) {
 }
 
 /**
- * Clears the cache for a specific repository
+ * Sends an API request with a token given by the caller, for testing and diagnosing tokens
+ * The token is only sent to the API of a configured host.
+ * @param {string} token - Token to send
+ * @param {string} url - Full API URL
+ * @param {Object} options
+ * @param {string} [options.method] - HTTP method
+ * @param {string} [options.body] - JSON request body
+ * @returns {Promise<{success: boolean, status?: number, statusText?: string, headers?: Object<string, string>, data?: Object|null, error?: string}>}
  */
-async function clearConfigCache(owner, repo) {
-  const cacheKey = `config_${owner}_${repo}`;
-  const cacheTimestampKey = `${cacheKey}_timestamp`;
+async function sendTokenRequest(token, url, { method = 'GET', body = undefined } = {}) {
+  if (!(await getHostProfileForUrl(url))) {
+    return {
+      success: false,
+      error: `${url} is not the API of a configured GitHub host`
+    };
+  }
+
+  try {
+    const response = await githubApiFetch(url, {
+      method,
+      body,
+      token,
+      headers: body ? { 'Content-Type': 'application/json' } : {}
+    });
+    const data = await response.json().catch(() => null);
+
+    return {
+      success: true,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers),
+      data
+    };
+  } catch (error) {
+    console.error('[Service Worker] Failed to send token request:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
 
-  await browser.storage.local.remove([cacheKey, cacheTimestampKey]);
-  console.log(`[Service Worker] Cache cleared for ${owner}/${repo}`);
+/**
+ * Clears the cache for a specific repository, including configs cached per ref
+ */
+async function clearConfigCache(host, owner, repo) {
+  const cacheKey = getConfigCacheKey(host, owner, repo);
+  const allData = await browser.storage.local.get(null);
+  const ownKeys = [cacheKey, `${cacheKey}_timestamp`, `${cacheKey}_source`];
+  const keys = Object.keys(allData).filter(key =>
+    ownKeys.includes(key) || key.startsWith(`${cacheKey}@`)
+  );
+
+  await browser.storage.local.remove(keys);
+  console.log(`[Service Worker] Cache cleared for ${host}/${owner}/${repo}`);
 }
 
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('[Service Worker] Received message:', request);
+  // Tokens being tested are left out of the log
+  console.log('[Service Worker] Received message:', request.token ? { ...request, token: '(hidden)' } : request);
+
+  // Content scripts send the hostname of their page; messages without one are about github.com
+  const host = request.host || DEFAULT_GITHUB_HOST;
 
   if (request.action === 'fetchConfig') {
-    const { owner, repo } = request;
+    const { owner, repo, defaultBranch, ref } = request;
 
     if (!owner || !repo) {
       sendResponse({
@@ -309,7 +789,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    fetchConfigWithCache(owner, repo)
+    fetchConfigWithCache(host, owner, repo, defaultBranch, ref)
       .then(result => {
         console.log('[Service Worker] Sending response:', result.success ? 'success' : 'failed');
         sendResponse(result);
@@ -318,7 +798,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.error('[Service Worker] Error:', error);
         sendResponse({
           success: false,
-          error: error.message
+          ...describeRequestError(error)
         });
       });
 
@@ -328,14 +808,14 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'clearCache') {
     const { owner, repo } = request;
 
-    clearConfigCache(owner, repo)
+    clearConfigCache(host, owner, repo)
       .then(() => {
         sendResponse({ success: true });
       })
       .catch(error => {
         sendResponse({
           success: false,
-          error: error.message
+          ...describeRequestError(error)
         });
       });
 
@@ -343,7 +823,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === 'fetchWorkflows') {
-    const { owner, repo } = request;
+    const { owner, repo, maxWorkflows } = request;
 
     if (!owner || !repo) {
       sendResponse({
@@ -353,7 +833,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    fetchWorkflows(owner, repo)
+    fetchWorkflows(host, owner, repo, maxWorkflows)
       .then(result => {
         console.log('[Service Worker] Sending workflows response');
         sendResponse(result);
@@ -362,7 +842,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.error('[Service Worker] Error fetching workflows:', error);
         sendResponse({
           success: false,
-          error: error.message
+          ...describeRequestError(error)
         });
       });
 
@@ -380,7 +860,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    checkUserPermission(owner, repo, username)
+    checkUserPermission(host, owner, repo, username)
       .then(result => {
         console.log('[Service Worker] Sending permission check response');
         sendResponse(result);
@@ -389,7 +869,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.error('[Service Worker] Error checking permission:', error);
         sendResponse({
           success: false,
-          error: error.message
+          ...describeRequestError(error)
         });
       });
 
@@ -407,7 +887,7 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    fetchRepoInfo(owner, repo)
+    fetchRepoInfo(host, owner, repo)
       .then(result => {
         console.log('[Service Worker] Sending repo info response');
         sendResponse(result);
@@ -416,13 +896,311 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.error('[Service Worker] Error fetching repo info:', error);
         sendResponse({
           success: false,
-          error: error.message
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'fetchWorkflowRuns') {
+    const { owner, repo, workflows, defaultBranch } = request;
+
+    if (!owner || !repo || !Array.isArray(workflows)) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner, repo, or workflows parameter'
+      });
+      return;
+    }
+
+    fetchLatestRuns(host, owner, repo, workflows, defaultBranch || null)
+      .then(result => {
+        console.log('[Service Worker] Sending workflow runs response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error fetching workflow runs:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'commitConfig') {
+    const { owner, repo, content, branch, path, message, newBranch, sha } = request;
+
+    if (!owner || !repo || typeof content !== 'string' || !branch) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner, repo, content, or branch parameter'
+      });
+      return;
+    }
+
+    commitConfigFile(host, owner, repo, { content, branch, path, message, newBranch, sha })
+      .then(result => {
+        console.log('[Service Worker] Sending commit config response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error committing config:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'fetchDispatchableWorkflows') {
+    const { owner, repo } = request;
+
+    if (!owner || !repo) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner or repo parameter'
+      });
+      return;
+    }
+
+    fetchDispatchableWorkflows(host, owner, repo)
+      .then(result => {
+        console.log('[Service Worker] Sending dispatchable workflows response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error finding dispatchable workflows:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'fetchDispatchRefs') {
+    const { owner, repo } = request;
+
+    if (!owner || !repo) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner or repo parameter'
+      });
+      return;
+    }
+
+    fetchDispatchRefs(host, owner, repo)
+      .then(result => {
+        console.log('[Service Worker] Sending dispatch refs response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error listing dispatch refs:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'dispatchWorkflow') {
+    const { owner, repo, workflowPath, ref, inputs } = request;
+
+    if (!owner || !repo || !workflowPath || !ref) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner, repo, workflowPath, or ref parameter'
+      });
+      return;
+    }
+
+    dispatchWorkflowRun(host, owner, repo, { workflowPath, ref, inputs })
+      .then(result => {
+        console.log('[Service Worker] Sending dispatch workflow response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error dispatching workflow:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
         });
       });
 
     return true;
   }
 
+  if (request.action === 'checkSettingsAccess') {
+    const { owner, repo } = request;
+
+    if (!owner || !repo) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner or repo parameter'
+      });
+      return;
+    }
+
+    checkSettingsPageAccess(host, owner, repo)
+      .then(result => {
+        console.log('[Service Worker] Sending settings access response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error checking the settings page:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'requestWithToken') {
+    const { token, url, method, body } = request;
+
+    if (!token || !url) {
+      sendResponse({
+        success: false,
+        error: 'Missing token or url parameter'
+      });
+      return;
+    }
+
+    sendTokenRequest(token, url, { method, body })
+      .then(result => {
+        console.log('[Service Worker] Sending token request response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error sending token request:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'hasToken') {
+    const { owner = null, repo = null } = request;
+
+    getToken(host, owner, repo)
+      .then(token => {
+        sendResponse({ success: true, hasToken: Boolean(token) });
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error checking for a token:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'startDeviceFlow') {
+    startDeviceFlow(host)
+      .then(result => {
+        console.log('[Service Worker] Sending device flow start response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error starting device flow:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'pollDeviceFlow') {
+    pollDeviceFlow()
+      .then(sendResponse)
+      .catch(error => {
+        console.error('[Service Worker] Error polling device flow:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'cancelDeviceFlow') {
+    cancelDeviceFlow()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('[Service Worker] Error cancelling device flow:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+  if (request.action === 'bulkWorkflowAction') {
+    const { owner, repo, bulkAction, workflows } = request;
+
+    if (!owner || !repo || !bulkAction || !Array.isArray(workflows)) {
+      sendResponse({
+        success: false,
+        error: 'Missing owner, repo, bulkAction, or workflows parameter'
+      });
+      return;
+    }
+
+    runBulkWorkflowAction(host, owner, repo, bulkAction, workflows)
+      .then(result => {
+        console.log('[Service Worker] Sending bulk workflow action response');
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error('[Service Worker] Error running bulk workflow action:', error);
+        sendResponse({
+          success: false,
+          ...describeRequestError(error)
+        });
+      });
+
+    return true;
+  }
+
+});
+
+// Tokens saved before they could be scoped become entries of the token list
+browser.runtime.onInstalled.addListener(() => {
+  migrateLegacyTokens().catch(error => {
+    console.error('[Service Worker] Failed to migrate saved tokens:', error);
+  });
+});
+
+// Content scripts on enterprise hosts are registered at runtime, once access to the host was granted
+browser.runtime.onInstalled.addListener(refreshHostContentScripts);
+browser.runtime.onStartup.addListener(refreshHostContentScripts);
+browser.permissions.onAdded.addListener(refreshHostContentScripts);
+browser.permissions.onRemoved.addListener(refreshHostContentScripts);
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && HOST_PROFILES_STORAGE_KEY in changes) {
+    refreshHostContentScripts();
+  }
 });
 
 console.log('[Service Worker] GitHub Actions Folder Organizer service worker loaded');
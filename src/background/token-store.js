@@ -0,0 +1,119 @@
+/**
+ * Token Store
+ * Picks the saved token for a request from its host and repository, and migrates single-token setups
+ * Loaded by the service worker; relies on DEFAULT_GITHUB_HOST and HOST_PROFILES_STORAGE_KEY from shared/host-storage.js
+ */
+
+const TOKENS_STORAGE_KEY = 'github_tokens';
+
+// Where the only token was kept before tokens could be scoped
+const LEGACY_TOKEN_STORAGE_KEY = 'github_token';
+
+/**
+ * Retrieves the saved tokens
+ * @returns {Promise<Array<{id: string, name: string, host: string, owners: Array<string>, token: string}>>} Token entries
+ */
+async function getStoredTokens() {
+  const result = await browser.storage.sync.get(TOKENS_STORAGE_KEY);
+  return Array.isArray(result[TOKENS_STORAGE_KEY]) ? result[TOKENS_STORAGE_KEY] : [];
+}
+
+/**
+ * Checks whether a repository matches an owner pattern
+ * Patterns are "*", an owner ("acme-corp", same as "acme-corp/*") or "owner/repo", where * matches any
+ * characters except "/". Matching ignores case, like GitHub does.
+ * @param {string} pattern - Owner pattern of a token
+ * @param {string|null} owner - Repository owner, null when the request is not about a repository
+ * @param {string|null} repo - Repository name
+ * @returns {boolean} True if the token applies to the repository
+ */
+function matchesOwnerPattern(pattern, owner, repo) {
+  if (pattern === '*') {
+    return true;
+  }
+
+  if (!owner) {
+    return false;
+  }
+
+  const fullPattern = pattern.includes('/') ? pattern : `${pattern}/*`;
+  const source = fullPattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+
+  return new RegExp(`^${source}$`, 'i').test(`${owner}/${repo}`);
+}
+
+/**
+ * Rates how narrowly an owner pattern targets repositories, so "acme-corp/app" beats "acme-corp/*" beats "*"
+ * @param {string} pattern - Owner pattern
+ * @returns {number} Number of literal characters in the pattern
+ */
+function getOwnerPatternSpecificity(pattern) {
+  return pattern.replace(/\*/g, '').length;
+}
+
+/**
+ * Picks the token for a repository on a host
+ * The token with the most specific matching owner pattern wins; on a tie, the one saved first.
+ * @param {Array<Object>} tokens - Token entries
+ * @param {string} host - Hostname of the page
+ * @param {string|null} owner - Repository owner
+ * @param {string|null} repo - Repository name
+ * @returns {Object|null} Token entry, null if none applies
+ */
+function selectToken(tokens, host, owner, repo) {
+  let best = null;
+  let bestSpecificity = -1;
+
+  tokens
+    .filter(entry => entry.host === host && entry.token)
+    .forEach(entry => {
+      entry.owners
+        .filter(pattern => matchesOwnerPattern(pattern, owner, repo))
+        .forEach(pattern => {
+          const specificity = getOwnerPatternSpecificity(pattern);
+          if (specificity > bestSpecificity) {
+            best = entry;
+            bestSpecificity = specificity;
+          }
+        });
+    });
+
+  return best;
+}
+
+/**
+ * Moves the single github.com token and the tokens of enterprise host profiles into the token list
+ * Runs on install and update; does nothing once nothing is left to move.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyTokens() {
+  const stored = await browser.storage.sync.get([LEGACY_TOKEN_STORAGE_KEY, HOST_PROFILES_STORAGE_KEY, TOKENS_STORAGE_KEY]);
+  const tokens = Array.isArray(stored[TOKENS_STORAGE_KEY]) ? stored[TOKENS_STORAGE_KEY] : [];
+  const profiles = Array.isArray(stored[HOST_PROFILES_STORAGE_KEY]) ? stored[HOST_PROFILES_STORAGE_KEY] : [];
+  const migrated = [];
+
+  if (stored[LEGACY_TOKEN_STORAGE_KEY]) {
+    migrated.push({ name: 'github.com', host: DEFAULT_GITHUB_HOST, token: stored[LEGACY_TOKEN_STORAGE_KEY] });
+  }
+
+  profiles.filter(profile => profile.token).forEach(profile => {
+    migrated.push({ name: profile.host, host: profile.host, token: profile.token });
+  });
+
+  if (migrated.length === 0) {
+    return;
+  }
+
+  const entries = migrated.map(entry => ({ id: crypto.randomUUID(), owners: ['*'], ...entry }));
+
+  await browser.storage.sync.set({
+    [TOKENS_STORAGE_KEY]: [...tokens, ...entries],
+    [HOST_PROFILES_STORAGE_KEY]: profiles.map(({ token, ...profile }) => profile)
+  });
+  await browser.storage.sync.remove(LEGACY_TOKEN_STORAGE_KEY);
+
+  console.log(`[Service Worker] Moved ${entries.length} token(s) into the token list`);
+}
@@ -0,0 +1,315 @@
+/**
+ * Workflow Dispatch
+ * Finds workflows with a workflow_dispatch trigger and starts them through the Actions API
+ * Loaded by the service worker; relies on githubApiFetch, getToken, getStoredRateLimit, fetchRepoInfo,
+ * describeApiFailure and getNextPageUrl from it, on getRepoApiUrl from host-profiles.js, on getRepoStorageId from shared/host-storage.js,
+ * and on describeRequestError from request-scheduler.js
+ */
+
+const DISPATCH_CACHE_DURATION_MS = 5 * 60 * 1000;
+const WORKFLOWS_DIRECTORY = '.github/workflows';
+const DISPATCH_INPUT_TYPES = ['string', 'boolean', 'choice', 'number', 'environment'];
+const BRANCHES_PER_PAGE = 100;
+
+// Branch pages listed for the run form; repositories with more branches only offer the first ones
+const MAX_BRANCH_PAGES = 10;
+
+// Workflow files downloaded per refresh; files whose sha did not change are reused from the cache
+const MAX_WORKFLOW_FILE_LOOKUPS = 50;
+const WORKFLOW_FILE_LOOKUP_BATCH_SIZE = 5;
+
+// File downloads are skipped once fewer API requests than this remain
+const DISPATCH_MIN_RATE_LIMIT_REMAINING = 200;
+
+/**
+ * Normalizes one entry of workflow_dispatch.inputs
+ * @param {string} name - Input name
+ * @param {Object|null} definition - Input definition from the workflow file
+ * @returns {{name: string, description: string, required: boolean, type: string, default: string, options: Array<string>}}
+ */
+function normalizeDispatchInput(name, definition) {
+  const input = definition && typeof definition === 'object' ? definition : {};
+
+  return {
+    name,
+    description: typeof input.description === 'string' ? input.description : '',
+    required: input.required === true,
+    type: DISPATCH_INPUT_TYPES.includes(input.type) ? input.type : 'string',
+    default: input.default !== undefined && input.default !== null ? String(input.default) : '',
+    options: Array.isArray(input.options) ? input.options.map(String) : []
+  };
+}
+
+/**
+ * Reads the workflow_dispatch trigger of a workflow file
+ * @param {string} text - Workflow file content
+ * @returns {{inputs: Array<Object>}|null} Dispatch inputs, or null if the workflow cannot be run manually
+ */
+function parseDispatchTrigger(text) {
+  let workflow;
+  try {
+    workflow = jsyaml.load(text);
+  } catch (error) {
+    return null;
+  }
+
+  const triggers = workflow && typeof workflow === 'object' ? workflow.on : null;
+
+  if (triggers === 'workflow_dispatch') {
+    return { inputs: [] };
+  }
+
+  if (Array.isArray(triggers)) {
+    return triggers.includes('workflow_dispatch') ? { inputs: [] } : null;
+  }
+
+  if (triggers && typeof triggers === 'object' && 'workflow_dispatch' in triggers) {
+    const dispatch = triggers.workflow_dispatch || {};
+    const inputs = dispatch.inputs && typeof dispatch.inputs === 'object' ? dispatch.inputs : {};
+
+    return {
+      inputs: Object.entries(inputs).map(([name, definition]) => normalizeDispatchInput(name, definition))
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Downloads a workflow file from the default branch
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - Workflow file path
+ * @returns {Promise<string|null>} File content, null if the request failed
+ */
+async function fetchWorkflowFileText(host, owner, repo, path) {
+  try {
+    const repoUrl = await getRepoApiUrl(host, owner, repo);
+    const response = await githubApiFetch(`${repoUrl}/contents/${path}`, {
+      headers: { 'Accept': 'application/vnd.github.raw+json' },
+      priority: 'low'
+    });
+
+    if (!response.ok) {
+      console.warn(`[Service Worker] Failed to read ${path}: ${response.status}`);
+      return null;
+    }
+
+    return await response.text();
+  } catch (error) {
+    console.warn(`[Service Worker] Failed to read ${path}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Picks the dispatchable workflows out of the cached file summaries
+ * @param {Object<string, {sha: string, dispatch: Object|null}>} files - File summaries by path
+ * @returns {Object<string, {inputs: Array<Object>}>} Dispatch inputs by workflow path
+ */
+function getDispatchableWorkflows(files) {
+  const workflows = {};
+
+  Object.entries(files).forEach(([path, file]) => {
+    if (file.dispatch) {
+      workflows[path] = file.dispatch;
+    }
+  });
+
+  return workflows;
+}
+
+/**
+ * Finds the workflows of a repository that can be run manually, with their inputs
+ * Lists .github/workflows once and only downloads files that changed since the last refresh.
+ * Files skipped for the lookup cap or the rate limit keep their previous result, and the result is only
+ * cached once every file was read, so they are picked up on the next call.
+ * Requires a token; dispatching needs one anyway.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{success: boolean, workflows?: Object<string, {inputs: Array<Object>}>, fromCache?: boolean, reason?: string, error?: string}>}
+ */
+async function fetchDispatchableWorkflows(host, owner, repo) {
+  const token = await getToken(host, owner, repo);
+
+  if (!token) {
+    return { success: false, reason: 'no_token' };
+  }
+
+  const cacheKey = `dispatch_${getRepoStorageId(host, owner, repo)}`;
+  const cached = (await browser.storage.local.get(cacheKey))[cacheKey];
+
+  if (cached && cached.complete && Date.now() - cached.timestamp < DISPATCH_CACHE_DURATION_MS) {
+    console.log(`[Service Worker] Using cached dispatchable workflows for ${owner}/${repo}`);
+    return { success: true, workflows: getDispatchableWorkflows(cached.files), fromCache: true };
+  }
+
+  try {
+    const repoUrl = await getRepoApiUrl(host, owner, repo);
+    const response = await githubApiFetch(`${repoUrl}/contents/${WORKFLOWS_DIRECTORY}`, { priority: 'low' });
+    const files = {};
+    let skipped = [];
+
+    if (response.status !== 404) {
+      if (!response.ok) {
+        throw new Error(`API request failed: ${response.status}`);
+      }
+
+      const entries = (await response.json())
+        .filter(entry => entry.type === 'file' && /\.ya?ml$/.test(entry.name));
+      const previous = cached ? cached.files : {};
+      const changed = [];
+
+      entries.forEach(entry => {
+        if (previous[entry.path] && previous[entry.path].sha === entry.sha) {
+          files[entry.path] = previous[entry.path];
+        } else {
+          changed.push(entry);
+        }
+      });
+
+      const lookups = changed.slice(0, MAX_WORKFLOW_FILE_LOOKUPS);
+
+      for (let i = 0; i < lookups.length; i += WORKFLOW_FILE_LOOKUP_BATCH_SIZE) {
+        const rateLimit = await getStoredRateLimit();
+        if (rateLimit && rateLimit.remaining < DISPATCH_MIN_RATE_LIMIT_REMAINING) {
+          console.warn(`[Service Worker] Rate limit low (${rateLimit.remaining} left), skipping ${lookups.length - i} workflow files`);
+          break;
+        }
+
+        const batch = lookups.slice(i, i + WORKFLOW_FILE_LOOKUP_BATCH_SIZE);
+        const texts = await Promise.all(batch.map(entry => fetchWorkflowFileText(host, owner, repo, entry.path)));
+
+        texts.forEach((text, index) => {
+          if (text !== null) {
+            files[batch[index].path] = { sha: batch[index].sha, dispatch: parseDispatchTrigger(text) };
+          }
+        });
+      }
+
+      // The previous entry keeps its old sha, so the file is downloaded again next time
+      skipped = changed.filter(entry => !files[entry.path]);
+      skipped.forEach(entry => {
+        if (previous[entry.path]) {
+          files[entry.path] = previous[entry.path];
+        }
+      });
+    }
+
+    if (skipped.length > 0) {
+      console.warn(`[Service Worker] ${skipped.length} workflow files not read yet, not caching dispatchable workflows`);
+    }
+
+    await browser.storage.local.set({
+      [cacheKey]: { files, complete: skipped.length === 0, timestamp: Date.now() }
+    });
+
+    const workflows = getDispatchableWorkflows(files);
+    console.log(`[Service Worker] Found ${Object.keys(workflows).length} dispatchable workflows in ${owner}/${repo}`);
+
+    return { success: true, workflows };
+  } catch (error) {
+    console.error('[Service Worker] Failed to find dispatchable workflows:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
+
+/**
+ * Lists the refs offered in the run form: the default branch and the other branches
+ * Follows the Link header through up to MAX_BRANCH_PAGES pages of branches.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{success: boolean, defaultBranch?: string|null, branches?: Array<string>, error?: string}>}
+ */
+async function fetchDispatchRefs(host, owner, repo) {
+  try {
+    const repoUrl = await getRepoApiUrl(host, owner, repo);
+    const repoInfoRequest = fetchRepoInfo(host, owner, repo);
+    const branches = [];
+    let url = `${repoUrl}/branches?per_page=${BRANCHES_PER_PAGE}`;
+
+    for (let page = 0; url && page < MAX_BRANCH_PAGES; page++) {
+      const response = await githubApiFetch(url);
+
+      if (!response.ok) {
+        throw new Error(await describeApiFailure(response, 'list branches', 'contents:read'));
+      }
+
+      branches.push(...(await response.json()).map(branch => branch.name));
+      url = getNextPageUrl(response.headers.get('Link'));
+    }
+
+    const repoInfo = await repoInfoRequest;
+
+    return {
+      success: true,
+      defaultBranch: repoInfo.success ? repoInfo.defaultBranch : null,
+      branches
+    };
+  } catch (error) {
+    console.error('[Service Worker] Failed to list branches:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
+
+/**
+ * Starts a workflow_dispatch run
+ * Clears the cached latest runs so the new run shows up on the next page load.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options
+ * @param {string} options.workflowPath - Workflow path (e.g. ".github/workflows/deploy.yml")
+ * @param {string} options.ref - Branch or tag to run on
+ * @param {Object<string, string>} [options.inputs] - Input values by name
+ * @returns {Promise<{success: boolean, ref?: string, reason?: string, error?: string}>}
+ */
+async function dispatchWorkflowRun(host, owner, repo, { workflowPath, ref, inputs = {} }) {
+  const token = await getToken(host, owner, repo);
+
+  if (!token) {
+    return {
+      success: false,
+      reason: 'no_token',
+      error: 'Running workflows requires a GitHub token with actions:write permission'
+    };
+  }
+
+  const workflowId = workflowPath.split('/').pop();
+
+  try {
+    const repoUrl = await getRepoApiUrl(host, owner, repo);
+    const response = await githubApiFetch(
+      `${repoUrl}/actions/workflows/${encodeURIComponent(workflowId)}/dispatches`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ref, inputs })
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(await describeApiFailure(response, `run ${workflowId}`, 'actions:write'));
+    }
+
+    await browser.storage.local.remove(`runs_${getRepoStorageId(host, owner, repo)}`);
+    console.log(`[Service Worker] Dispatched ${workflowId} on ${ref}`);
+
+    return { success: true, ref };
+  } catch (error) {
+    console.error('[Service Worker] Failed to dispatch workflow:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
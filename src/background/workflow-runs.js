@@ -0,0 +1,193 @@
+/**
+ * Workflow Runs
+ * Fetches the latest run of every workflow for the status badges and folder header counts in the folder view
+ * Loaded by the service worker; relies on githubApiFetch, getStoredRateLimit and fetchRepoInfo from it,
+ * on getRepoApiUrl from host-profiles.js, on getRepoStorageId from shared/host-storage.js, and on describeRequestError
+ * from request-scheduler.js
+ */
+
+const RUNS_CACHE_DURATION_MS = 60 * 1000;
+const RUNS_PER_PAGE = 100;
+
+// Per-workflow lookups for workflows missing from the recent runs page
+const MAX_WORKFLOW_RUN_LOOKUPS = 20;
+const WORKFLOW_RUN_LOOKUP_BATCH_SIZE = 5;
+
+// Per-workflow lookups are skipped once fewer API requests than this remain
+const RUNS_MIN_RATE_LIMIT_REMAINING = 200;
+
+/**
+ * Reduces a workflow run from the API to what the content script displays
+ * @param {Object} run - Workflow run object from the API
+ * @returns {{status: string, conclusion: string|null, updatedAt: string, url: string, branch: string, runNumber: number}}
+ */
+function summarizeRun(run) {
+  return {
+    status: run.status,
+    conclusion: run.conclusion,
+    updatedAt: run.updated_at,
+    url: run.html_url,
+    branch: run.head_branch,
+    runNumber: run.run_number
+  };
+}
+
+/**
+ * Picks the identifier the API accepts for a workflow
+ * Regular workflows can be addressed by filename, dynamic ones need their numeric id
+ * @param {{path: string, id?: number|null}} workflow - Workflow from the content script
+ * @returns {string|number|null} Workflow id, null if it cannot be addressed
+ */
+function getWorkflowApiId(workflow) {
+  if (workflow.path.startsWith('.github/workflows/')) {
+    return workflow.path.split('/').pop();
+  }
+
+  return typeof workflow.id === 'number' ? workflow.id : null;
+}
+
+/**
+ * Builds the branch filter appended to run list URLs
+ * @param {string|null} branch - Branch to filter on, null for all branches
+ * @returns {string} Query string fragment, empty without a branch
+ */
+function getRunsBranchQuery(branch) {
+  return branch ? `&branch=${encodeURIComponent(branch)}` : '';
+}
+
+/**
+ * Fetches the most recent run of a single workflow
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|number} workflowId - Workflow filename or numeric id
+ * @param {string|null} branch - Branch to look at, null for all branches
+ * @returns {Promise<Object|null>} Latest run, null if the workflow never ran or the request failed
+ */
+async function fetchLatestRunForWorkflow(host, owner, repo, workflowId, branch) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const url = `${repoUrl}/actions/workflows/${encodeURIComponent(workflowId)}/runs?per_page=1${getRunsBranchQuery(branch)}`;
+
+  try {
+    const response = await githubApiFetch(url, { priority: 'low' });
+
+    if (!response.ok) {
+      console.warn(`[Service Worker] Failed to fetch runs for ${workflowId}: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    return data.workflow_runs.length > 0 ? data.workflow_runs[0] : null;
+  } catch (error) {
+    console.warn(`[Service Worker] Failed to fetch runs for ${workflowId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Finds the latest run of each workflow, keyed by workflow path
+ * One request covers the most recent runs of the whole repository; workflows that did not
+ * appear there are looked up individually in small batches while the rate limit allows it.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string, id?: number|null}>} workflows - Workflows shown in the folder view
+ * @param {string|null} branch - Branch to look at, null for all branches
+ * @returns {Promise<Object<string, Object>>} Run summary per workflow path
+ * @throws {Error} If the runs of the repository cannot be listed
+ */
+async function collectLatestRuns(host, owner, repo, workflows, branch) {
+  const repoUrl = await getRepoApiUrl(host, owner, repo);
+  const url = `${repoUrl}/actions/runs?per_page=${RUNS_PER_PAGE}${getRunsBranchQuery(branch)}`;
+  const response = await githubApiFetch(url, { priority: 'low' });
+
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const runs = {};
+
+  // Runs are returned newest first, so the first run seen per path is the latest
+  data.workflow_runs.forEach(run => {
+    if (!runs[run.path]) {
+      runs[run.path] = summarizeRun(run);
+    }
+  });
+
+  const missing = workflows
+    .filter(workflow => !runs[workflow.path])
+    .map(workflow => ({ path: workflow.path, apiId: getWorkflowApiId(workflow) }))
+    .filter(workflow => workflow.apiId !== null)
+    .slice(0, MAX_WORKFLOW_RUN_LOOKUPS);
+
+  for (let i = 0; i < missing.length; i += WORKFLOW_RUN_LOOKUP_BATCH_SIZE) {
+    const rateLimit = await getStoredRateLimit();
+    if (rateLimit && rateLimit.remaining < RUNS_MIN_RATE_LIMIT_REMAINING) {
+      console.warn(`[Service Worker] Rate limit low (${rateLimit.remaining} left), skipping ${missing.length - i} run lookups`);
+      break;
+    }
+
+    const batch = missing.slice(i, i + WORKFLOW_RUN_LOOKUP_BATCH_SIZE);
+    const results = await Promise.all(batch.map(workflow => fetchLatestRunForWorkflow(host, owner, repo, workflow.apiId, branch)));
+
+    results.forEach((run, index) => {
+      if (run) {
+        runs[batch[index].path] = summarizeRun(run);
+      }
+    });
+  }
+
+  return runs;
+}
+
+/**
+ * Fetches the latest run of each workflow, keyed by workflow path
+ * `runs` holds the latest run on any branch for the workflow badges, `branchRuns` the latest run on the
+ * default branch for the folder header counts. Without a known default branch both hold runs on any branch.
+ * @param {string} host - Hostname of the page
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string, id?: number|null}>} workflows - Workflows shown in the folder view
+ * @param {string|null} [defaultBranch] - Default branch known to the page; looked up through the API when missing
+ * @returns {Promise<{success: boolean, runs?: Object<string, Object>, branchRuns?: Object<string, Object>,
+ *   branch?: string|null, fromCache?: boolean, error?: string}>}
+ */
+async function fetchLatestRuns(host, owner, repo, workflows, defaultBranch = null) {
+  const cacheKey = `runs_${getRepoStorageId(host, owner, repo)}`;
+
+  const cached = (await browser.storage.local.get(cacheKey))[cacheKey];
+  if (cached && cached.branchRuns && Date.now() - cached.timestamp < RUNS_CACHE_DURATION_MS) {
+    console.log(`[Service Worker] Using cached workflow runs for ${owner}/${repo}`);
+    return { success: true, runs: cached.runs, branchRuns: cached.branchRuns, branch: cached.branch, fromCache: true };
+  }
+
+  try {
+    let branch = defaultBranch;
+    if (!branch) {
+      const repoInfo = await fetchRepoInfo(host, owner, repo);
+      branch = repoInfo.success ? repoInfo.defaultBranch : null;
+    }
+
+    if (!branch) {
+      console.warn(`[Service Worker] Default branch of ${owner}/${repo} unknown, counting runs on all branches`);
+    }
+
+    const runs = await collectLatestRuns(host, owner, repo, workflows, null);
+    const branchRuns = branch ? await collectLatestRuns(host, owner, repo, workflows, branch) : runs;
+
+    await browser.storage.local.set({
+      [cacheKey]: { runs, branchRuns, branch, timestamp: Date.now() }
+    });
+
+    console.log(`[Service Worker] Latest runs found for ${Object.keys(runs).length} workflows, ${Object.keys(branchRuns).length} on ${branch || 'all branches'}`);
+
+    return { success: true, runs, branchRuns, branch };
+  } catch (error) {
+    console.error('[Service Worker] Failed to fetch workflow runs:', error);
+    return {
+      success: false,
+      ...describeRequestError(error)
+    };
+  }
+}
@@ -8,5 +8,29 @@ const MAX_DOM_WAIT_ATTEMPTS = 20;
 // Interval between DOM polling attempts (ms)
 const DOM_POLL_INTERVAL_MS = 250;
 
+// Workflows fetched from the API (100 per page) unless changed on the options page
+const DEFAULT_WORKFLOWS_FETCH_LIMIT = 1000;
+
+// Largest selectable number of workflows to fetch
+const MAX_WORKFLOWS_FETCH_LIMIT = 5000;
+
+// How long a detected default branch is cached per repository (ms)
+const DEFAULT_BRANCH_CACHE_DURATION_MS = 60 * 60 * 1000;
+
+// How often run statuses are refreshed while the folder view is open (ms)
+const RUN_STATUS_REFRESH_INTERVAL_MS = 2 * 60 * 1000;
+
+// Refresh interval without a token, which leaves only 60 API requests per hour (ms)
+const RUN_STATUS_ANONYMOUS_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// Number of workflows shown in the "Recent" folder unless changed on the options page
+const DEFAULT_RECENT_WORKFLOWS_LIMIT = 5;
+
+// Most recent workflow visits kept per repository, and the largest selectable folder size
+const MAX_RECENT_WORKFLOWS_LIMIT = 20;
+
+// Keyboard shortcut that focuses the workflow filter (Alt+Shift+<key>)
+const FILTER_SHORTCUT_KEY = 'KeyF';
+
 // Log prefix for console messages
 const LOG_PREFIX = '[GitHub Actions Folders]';
@@ -34,12 +34,83 @@ const CLASS_NAMES = {
   loadingSpinner: 'gaf-loading-spinner',
   folderContainer: 'gaf-folder-container',
   folder: 'gaf-folder',
+  subfolder: 'gaf-subfolder',
   folderHeader: 'gaf-folder-header',
   folderIcon: 'gaf-folder-icon',
   folderTitle: 'gaf-folder-title',
   folderCount: 'gaf-folder-count',
   folderContent: 'gaf-folder-content',
+  workflowItem: 'gaf-workflow-item',
   workflowLink: 'gaf-workflow-link',
+  workflowName: 'gaf-workflow-name',
+  workflowDisabled: 'gaf-workflow-disabled',
+  workflowStateLabel: 'gaf-workflow-state-label',
+  runStatus: 'gaf-run-status',
+  runStatusIcon: 'gaf-run-status-icon',
+  runStatusTime: 'gaf-run-status-time',
+  folderStatus: 'gaf-folder-status',
+  folderRunCounts: 'gaf-folder-run-counts',
+  folderRunCount: 'gaf-folder-run-count',
+  pinButton: 'gaf-pin-button',
+  pinnedFolder: 'gaf-pinned-folder',
+  recentFolder: 'gaf-recent-folder',
+  runButton: 'gaf-run-button',
+  dispatchForm: 'gaf-dispatch-form',
+  dispatchField: 'gaf-dispatch-field',
+  dispatchInput: 'gaf-dispatch-input',
+  dispatchActions: 'gaf-dispatch-actions',
+  dispatchStatus: 'gaf-dispatch-status',
+  folderMenu: 'gaf-folder-menu',
+  folderMenuItem: 'gaf-folder-menu-item',
+  bulkResults: 'gaf-bulk-results',
+  bulkResult: 'gaf-bulk-result',
+  bulkResultIcon: 'gaf-bulk-result-icon',
+  bulkStatus: 'gaf-bulk-status',
+  filter: 'gaf-filter',
+  filterInput: 'gaf-filter-input',
+  filterEmpty: 'gaf-filter-empty',
+  filterHighlight: 'gaf-filter-highlight',
+  configSource: 'gaf-config-source',
+  configSourceRef: 'gaf-config-source-ref',
+  configSourceNote: 'gaf-config-source-note',
+  validationPanel: 'gaf-validation-panel',
+  validationHint: 'gaf-validation-hint',
+  validationIssue: 'gaf-validation-issue',
+  validationIcon: 'gaf-validation-icon',
+  validationLocation: 'gaf-validation-location',
+  rateLimitNotice: 'gaf-rate-limit-notice',
+  modal: 'gaf-modal',
+  modalHeader: 'gaf-modal-header',
+  modalTitle: 'gaf-modal-title',
+  modalClose: 'gaf-modal-close',
+  modalBody: 'gaf-modal-body',
+  modalActions: 'gaf-modal-actions',
+  modalButton: 'gaf-modal-button',
+  layoutEditor: 'gaf-layout-editor',
+  layoutEditorHint: 'gaf-layout-editor-hint',
+  layoutEditorInput: 'gaf-layout-editor-input',
+  layoutEditorIssues: 'gaf-layout-editor-issues',
+  layoutEditView: 'gaf-layout-edit',
+  layoutEditToolbar: 'gaf-layout-edit-toolbar',
+  layoutEditFolder: 'gaf-layout-edit-folder',
+  layoutEditFolderHeader: 'gaf-layout-edit-folder-header',
+  layoutEditFolderToolbar: 'gaf-layout-edit-folder-toolbar',
+  layoutEditFolderButton: 'gaf-layout-edit-folder-button',
+  layoutEditFolderContent: 'gaf-layout-edit-folder-content',
+  layoutEditNameInput: 'gaf-layout-edit-name-input',
+  layoutEditWorkflow: 'gaf-layout-edit-workflow',
+  layoutEditUncategorized: 'gaf-layout-edit-uncategorized',
+  layoutEditDropTarget: 'gaf-layout-edit-drop-target',
+  layoutDiff: 'gaf-layout-diff',
+  layoutDiffLine: 'gaf-layout-diff-line',
+  commitForm: 'gaf-commit-form',
+  commitField: 'gaf-commit-field',
+  commitInput: 'gaf-commit-input',
+  commitCheckbox: 'gaf-commit-checkbox',
+  commitStatus: 'gaf-commit-status',
+  configPreview: 'gaf-config-preview',
+  configPreviewTree: 'gaf-config-preview-tree',
+  configPreviewWorkflows: 'gaf-config-preview-workflows',
   toggleContainer: 'gaf-toggle-container',
   toggleButton: 'gaf-toggle-button',
   toggleIcon: 'gaf-toggle-icon',
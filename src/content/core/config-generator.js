@@ -0,0 +1,153 @@
+/**
+ * Config Generator Module
+ * Suggests a folder config for a repository from its actual workflows
+ * Follows Single Responsibility Principle - only responsible for generating starter configs
+ */
+
+// Folder categories in display order; a workflow joins the category of its first recognized keyword
+const WORKFLOW_CATEGORIES = [
+  { name: 'Build', keywords: ['build', 'compile', 'ci', 'lint', 'format', 'check', 'checks'] },
+  { name: 'Testing', keywords: ['test', 'tests', 'testing', 'e2e', 'unit', 'integration', 'coverage', 'spec'] },
+  { name: 'Deployment', keywords: ['deploy', 'deployment', 'cd', 'staging', 'production', 'prod', 'preview', 'rollback'] },
+  { name: 'Release', keywords: ['release', 'releases', 'publish', 'tag', 'version', 'changelog'] },
+  { name: 'Security', keywords: ['security', 'codeql', 'scan', 'audit', 'dependabot', 'snyk', 'trivy'] },
+  { name: 'Maintenance', keywords: ['maintenance', 'stale', 'cleanup', 'label', 'labeler', 'triage', 'sync', 'dependencies', 'deps', 'backup'] },
+  { name: 'Monitoring', keywords: ['monitoring', 'monitor', 'health', 'metrics', 'uptime'] },
+  { name: 'Documentation', keywords: ['docs', 'documentation', 'pages', 'site'] }
+];
+
+/**
+ * Splits a filename or display name into lowercase words
+ * @param {string} text - Filename stem or display name
+ * @returns {Array<string>} Words
+ */
+function tokenizeWorkflowText(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Finds the category of the first word that is a known keyword
+ * @param {Array<string>} words - Words in order
+ * @returns {string|null} Category name, or null if no word is recognized
+ */
+function findCategoryForWords(words) {
+  for (const word of words) {
+    const category = WORKFLOW_CATEGORIES.find(({ keywords }) => keywords.includes(word));
+    if (category) {
+      return category.name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits a workflow filename into stem and extension
+ * @param {string} filename - Workflow filename (e.g. "build-docs.yml")
+ * @returns {{stem: string, extension: string}}
+ */
+function splitWorkflowFilename(filename) {
+  const match = /^(.*?)(\.ya?ml)?$/.exec(filename);
+  return { stem: match[1], extension: match[2] || '' };
+}
+
+/**
+ * Reads the "prefix-" part of a filename stem, if it has one
+ * @param {string} stem - Filename stem
+ * @returns {string|null} Prefix including its separator (e.g. "build-"), or null
+ */
+function getFilenamePrefix(stem) {
+  const match = /^([A-Za-z0-9]+[-_.])./.exec(stem);
+  return match ? match[1] : null;
+}
+
+/**
+ * Turns a filename prefix into a folder name
+ * @param {string} prefix - Prefix including its separator
+ * @returns {string} Category name for known prefixes, otherwise the capitalized prefix
+ */
+function getPrefixFolderName(prefix) {
+  const word = prefix.slice(0, -1).toLowerCase();
+  return findCategoryForWords([word]) || word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Generates a folder config from the repository's workflows
+ * Workflows sharing a filename prefix ("build-*", "test-*") are grouped by a glob, the rest by
+ * keywords in their filename or display name. Unrecognized workflows are left uncategorized.
+ * @param {Array} workflows - Workflows from the API or the DOM
+ * @returns {{folders: Array}} Generated config; empty folders list if nothing could be grouped
+ */
+function generateConfigFromWorkflows(workflows) {
+  const normalized = workflows.map(workflow => ({
+    name: workflow.name,
+    path: workflow.path,
+    filename: workflow.path.split('/').pop(),
+    isDynamic: workflow.path.startsWith('dynamic/')
+  }));
+
+  const foldersByName = new Map();
+  const addEntry = (folderName, entry, isPattern) => {
+    if (!foldersByName.has(folderName)) {
+      foldersByName.set(folderName, { patterns: [], exact: [] });
+    }
+    foldersByName.get(folderName)[isPattern ? 'patterns' : 'exact'].push(entry);
+  };
+
+  // Group files sharing a prefix, as long as a glob describes exactly that group
+  const byPrefix = new Map();
+  normalized.filter(workflow => !workflow.isDynamic).forEach(workflow => {
+    const prefix = getFilenamePrefix(splitWorkflowFilename(workflow.filename).stem);
+    if (prefix) {
+      if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+      byPrefix.get(prefix).push(workflow);
+    }
+  });
+
+  const grouped = new Set();
+
+  byPrefix.forEach((members, prefix) => {
+    if (members.length < 2) {
+      return;
+    }
+
+    const extensions = new Set(members.map(workflow => splitWorkflowFilename(workflow.filename).extension));
+    const glob = extensions.size === 1 ? `${prefix}*${[...extensions][0]}` : `${prefix}*`;
+    const pattern = globToRegExp(glob);
+    const matched = normalized.filter(workflow => pattern.test(workflow.filename));
+
+    if (matched.length !== members.length) {
+      return;
+    }
+
+    addEntry(getPrefixFolderName(prefix), glob, true);
+    members.forEach(workflow => grouped.add(workflow.path));
+  });
+
+  // Everything else goes by keywords, filename first, then display name
+  normalized.filter(workflow => !grouped.has(workflow.path)).forEach(workflow => {
+    const category = findCategoryForWords(tokenizeWorkflowText(splitWorkflowFilename(workflow.filename).stem))
+      || findCategoryForWords(tokenizeWorkflowText(workflow.name || ''));
+
+    if (category) {
+      addEntry(category, workflow.isDynamic ? { path: workflow.path } : workflow.filename, false);
+    }
+  });
+
+  const categoryOrder = WORKFLOW_CATEGORIES.map(category => category.name);
+  const rank = name => {
+    const index = categoryOrder.indexOf(name);
+    return index === -1 ? categoryOrder.length : index;
+  };
+
+  const folders = [...foldersByName.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(([name, { patterns, exact }]) => ({
+      name,
+      workflows: [...patterns.sort(), ...exact.sort((a, b) => String(a.path || a).localeCompare(String(b.path || b)))]
+    }));
+
+  console.log('[GitHub Actions Folders] Generated', folders.length, 'folders from', workflows.length, 'workflows');
+
+  return { folders };
+}
@@ -0,0 +1,293 @@
+/**
+ * Config Validator Module
+ * Checks a parsed folder config against the schema and reports errors and warnings
+ * Follows Single Responsibility Principle - only responsible for config validation
+ */
+
+// Only schema version understood by this extension
+const CONFIG_SCHEMA_VERSION = 1;
+
+// Keys allowed at each level of the config
+const CONFIG_KEYS = ['version', 'folders', 'disabledWorkflows'];
+const FOLDER_KEYS = ['name', 'workflows', 'folders'];
+const WORKFLOW_ENTRY_KEYS = ['name', 'path'];
+
+/**
+ * Records the source offset of every value in a JSON document, keyed by issue path
+ * Object properties point at their key, array items at the item itself.
+ * Expects text that JSON.parse already accepted.
+ * @param {string} text - Raw JSON text
+ * @returns {Map<string, number>} Issue path (e.g. "folders[0].name") to character offset
+ */
+function mapJsonPositions(text) {
+  const positions = new Map();
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const readString = () => {
+    const start = i;
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') i++;
+      i++;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    if (!positions.has(path)) {
+      positions.set(path, i);
+    }
+
+    const char = text[i];
+
+    if (char === '{') {
+      i++;
+      skipWhitespace();
+      while (text[i] !== '}' && i < text.length) {
+        skipWhitespace();
+        const keyStart = i;
+        const key = readString();
+        const keyPath = path ? `${path}.${key}` : key;
+        positions.set(keyPath, keyStart);
+        skipWhitespace();
+        i++; // colon
+        readValue(keyPath);
+        skipWhitespace();
+        if (text[i] === ',') i++;
+      }
+      i++;
+    } else if (char === '[') {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (text[i] !== ']' && i < text.length) {
+        readValue(`${path}[${index}]`);
+        index++;
+        skipWhitespace();
+        if (text[i] === ',') i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+  };
+
+  try {
+    readValue('');
+  } catch (error) {
+    console.warn('[GitHub Actions Folders] Could not map config positions:', error);
+  }
+
+  return positions;
+}
+
+/**
+ * Checks own-property presence without tripping over prototype keys
+ * @param {Object} object - Object to check
+ * @param {string} key - Property name
+ * @returns {boolean}
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}}
+ */
+function offsetToLineColumn(text, offset) {
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Checks whether a workflow entry from the config matches any known workflow
+ * @param {Object} matcher - Matcher from createWorkflowMatcher
+ * @param {Array} workflows - Workflows from the API or the DOM
+ * @returns {boolean} True if at least one workflow matches
+ */
+function matcherHasWorkflow(matcher, workflows) {
+  return workflows.some(workflow => {
+    const workflowData = {
+      name: workflow.name,
+      path: workflow.path,
+      filename: workflow.path.split('/').pop()
+    };
+    return matcherMatchesWorkflow(matcher, workflowData);
+  });
+}
+
+/**
+ * Validates a single workflow entry
+ * @param {*} entry - Workflow entry from the config
+ * @param {string} path - Issue path of the entry
+ * @param {string} folderName - Name of the containing folder, for messages
+ * @param {Function} report - Callback(level, path, message)
+ * @param {Array|null} workflows - Known workflows, null to skip existence checks
+ */
+function validateWorkflowEntry(entry, path, folderName, report, workflows) {
+  const isObject = entry && typeof entry === 'object' && !Array.isArray(entry);
+
+  if (typeof entry !== 'string' && !isObject) {
+    report('error', path, `Workflow entries in "${folderName}" must be filenames or {"name"}/{"path"} objects`);
+    return;
+  }
+
+  if (typeof entry === 'string' && entry.trim() === '') {
+    report('error', path, `Empty workflow entry in "${folderName}"`);
+    return;
+  }
+
+  if (isObject) {
+    const targets = WORKFLOW_ENTRY_KEYS.filter(key => key in entry);
+
+    if (targets.length !== 1 || typeof entry[targets[0]] !== 'string' || entry[targets[0]] === '') {
+      report('error', path, `Workflow objects in "${folderName}" need exactly one of "name" or "path" as a non-empty string`);
+      return;
+    }
+
+    Object.keys(entry)
+      .filter(key => !WORKFLOW_ENTRY_KEYS.includes(key))
+      .forEach(key => report('warning', `${path}.${key}`, `Unknown key "${key}" in workflow entry`));
+  }
+
+  const value = isObject ? entry[WORKFLOW_ENTRY_KEYS.find(key => key in entry)] : entry;
+
+  if (isRegexPattern(value) && getStatefulRegexFlags(value).length > 0) {
+    const flags = getStatefulRegexFlags(value).map(flag => `"${flag}"`).join(' and ');
+    report('error', path, `Regular expression ${value} in "${folderName}" uses the ${flags} flag, which is not supported`);
+    return;
+  }
+
+  if (isRegexPattern(value) && !compileWorkflowPattern(value)) {
+    report('error', path, `Invalid regular expression ${value} in "${folderName}"`);
+    return;
+  }
+
+  if (workflows) {
+    const matcher = createWorkflowMatcher(entry);
+    if (matcher && !matcherHasWorkflow(matcher, workflows)) {
+      const label = isObject ? JSON.stringify(entry) : value;
+      report('warning', path, matcher.pattern
+        ? `Pattern ${label} in "${folderName}" does not match any workflow`
+        : `Workflow ${label} in "${folderName}" does not exist in this repository`);
+    }
+  }
+}
+
+/**
+ * Validates a list of folders, recursing into subfolders
+ * @param {Array} folders - Folder entries from the config
+ * @param {string} path - Issue path of the list
+ * @param {Function} report - Callback(level, path, message)
+ * @param {Array|null} workflows - Known workflows, null to skip existence checks
+ */
+function validateFolders(folders, path, report, workflows) {
+  const seenNames = new Set();
+
+  folders.forEach((folder, index) => {
+    const folderPath = `${path}[${index}]`;
+
+    if (!folder || typeof folder !== 'object' || Array.isArray(folder)) {
+      report('error', folderPath, `Folder #${index + 1} must be an object with a "name"`);
+      return;
+    }
+
+    const hasName = typeof folder.name === 'string' && folder.name.trim() !== '';
+    const folderName = hasName ? folder.name : `#${index + 1}`;
+
+    if (!hasName) {
+      report('error', hasOwn(folder, 'name') ? `${folderPath}.name` : folderPath, `Folder #${index + 1} needs a non-empty "name"`);
+    } else if (seenNames.has(folder.name)) {
+      report('error', `${folderPath}.name`, `Duplicate folder name "${folder.name}"`);
+    } else {
+      seenNames.add(folder.name);
+    }
+
+    Object.keys(folder)
+      .filter(key => !FOLDER_KEYS.includes(key))
+      .forEach(key => report('warning', `${folderPath}.${key}`, `Unknown key "${key}" in folder "${folderName}"`));
+
+    if (folder.workflows !== undefined && !Array.isArray(folder.workflows)) {
+      report('error', `${folderPath}.workflows`, `"workflows" of "${folderName}" must be an array`);
+    } else if (Array.isArray(folder.workflows)) {
+      folder.workflows.forEach((entry, entryIndex) => {
+        validateWorkflowEntry(entry, `${folderPath}.workflows[${entryIndex}]`, folderName, report, workflows);
+      });
+    }
+
+    if (folder.folders !== undefined && !Array.isArray(folder.folders)) {
+      report('error', `${folderPath}.folders`, `"folders" of "${folderName}" must be an array`);
+    } else if (Array.isArray(folder.folders)) {
+      validateFolders(folder.folders, `${folderPath}.folders`, report, workflows);
+    }
+
+    if (folder.workflows === undefined && folder.folders === undefined) {
+      report('warning', folderPath, `Folder "${folderName}" has no "workflows" or "folders"`);
+    }
+  });
+}
+
+/**
+ * Validates a parsed folder config
+ * @param {*} config - Parsed config content
+ * @param {Object} [options]
+ * @param {string|null} [options.raw] - Raw file text, used to attach line/column positions for JSON files
+ * @param {Array|null} [options.workflows] - Known workflows; entries that match none of them get a warning
+ * @returns {{valid: boolean, errors: Array<{message: string, path: string, line?: number, column?: number}>, warnings: Array}}
+ */
+function validateConfig(config, { raw = null, workflows = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  let positions = null;
+
+  if (raw && raw.trim().startsWith('{')) {
+    positions = mapJsonPositions(raw);
+  }
+
+  const report = (level, path, message) => {
+    const issue = { message, path };
+
+    if (positions && positions.has(path)) {
+      Object.assign(issue, offsetToLineColumn(raw, positions.get(path)));
+    }
+
+    (level === 'error' ? errors : warnings).push(issue);
+  };
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    report('error', '', 'Config must be an object with a "folders" array');
+    return { valid: false, errors, warnings };
+  }
+
+  if (config.version !== undefined && Number(config.version) !== CONFIG_SCHEMA_VERSION) {
+    report('error', 'version', `Unsupported config version ${JSON.stringify(config.version)} (expected ${CONFIG_SCHEMA_VERSION})`);
+  }
+
+  if (config.disabledWorkflows !== undefined && !DISABLED_WORKFLOW_MODES.includes(config.disabledWorkflows)) {
+    report('error', 'disabledWorkflows', `"disabledWorkflows" must be one of ${DISABLED_WORKFLOW_MODES.map(mode => `"${mode}"`).join(', ')}`);
+  }
+
+  Object.keys(config)
+    .filter(key => !CONFIG_KEYS.includes(key))
+    .forEach(key => report('warning', key, `Unknown top-level key "${key}"`));
+
+  if (!Array.isArray(config.folders)) {
+    report('error', hasOwn(config, 'folders') ? 'folders' : '', 'Config is missing a "folders" array');
+  } else {
+    validateFolders(config.folders, 'folders', report, workflows);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
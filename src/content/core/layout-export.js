@@ -0,0 +1,211 @@
+/**
+ * Layout Export Module
+ * Editable folder model behind the edit layout mode, and its conversion back into a config
+ * Follows Single Responsibility Principle - only responsible for turning edited layouts into configs
+ */
+
+// Upper bound on fix-up passes when making the exported config reproduce the edited layout
+const MAX_EXPORT_PASSES = 10;
+
+/**
+ * Creates the config entry that targets exactly one workflow
+ * Dynamic workflows have no file, so they are targeted by path
+ * @param {{path: string, filename: string}} workflowData - Normalized workflow
+ * @returns {string|{path: string}} Workflow entry
+ */
+function createExactWorkflowEntry(workflowData) {
+  return workflowData.path.startsWith('dynamic/') ? { path: workflowData.path } : workflowData.filename;
+}
+
+/**
+ * Builds the editable model from a config and the folders its workflows were grouped into
+ * Unlike the rendered tree, folders without workflows are kept so workflows can be dropped into them.
+ * @param {Object|null} config - Config the folders were grouped with
+ * @param {{folders: Array, uncategorized: Array}} grouped - Result of groupWorkflowsByFolder
+ * @param {Array<string>} [order] - Top-level folder order from a personal layout
+ * @returns {{folders: Array<{name: string, entries: Array, workflows: Array, folders: Array}>, uncategorized: Array}}
+ */
+function createLayoutModel(config, grouped, order = []) {
+  const groupedByPath = new Map();
+  const collect = nodes => nodes.forEach(node => {
+    groupedByPath.set(node.path, node);
+    collect(node.folders);
+  });
+  collect(grouped.folders);
+
+  const build = (configFolders, parentPath) => configFolders.map(configFolder => {
+    const path = buildFolderPath(parentPath, configFolder.name);
+    const node = groupedByPath.get(path);
+
+    return {
+      name: configFolder.name,
+      entries: (configFolder.workflows || []).slice(),
+      workflows: node ? node.workflows.slice() : [],
+      folders: build(configFolder.folders || [], path)
+    };
+  });
+
+  return {
+    folders: sortFoldersByOrder(build(config ? config.folders : [], null), order),
+    uncategorized: grouped.uncategorized.slice()
+  };
+}
+
+/**
+ * Converts model folders into config folder entries
+ * @param {Array} modelFolders - Folders of the editable model
+ * @returns {Array} Config folder entries
+ */
+function modelFoldersToConfig(modelFolders) {
+  return modelFolders.map(folder => {
+    const configFolder = { name: folder.name, workflows: folder.entries.slice() };
+
+    if (folder.folders.length > 0) {
+      configFolder.folders = modelFoldersToConfig(folder.folders);
+    }
+
+    return configFolder;
+  });
+}
+
+/**
+ * Walks model folders depth-first, calling back with each folder and its path
+ * @param {Array} modelFolders - Folders of the editable model
+ * @param {Function} callback - Callback(folder, path)
+ * @param {string|null} [parentPath] - Path of the parent folder
+ */
+function forEachModelFolder(modelFolders, callback, parentPath = null) {
+  modelFolders.forEach(folder => {
+    const path = buildFolderPath(parentPath, folder.name);
+    callback(folder, path);
+    forEachModelFolder(folder.folders, callback, path);
+  });
+}
+
+/**
+ * Turns the edited model into a config that groups every workflow the way the model shows it
+ * Existing entries, including patterns, are kept where possible:
+ * - exact entries for workflows that now live elsewhere are dropped
+ * - workflows that no longer land in their folder get an exact entry there (exact entries win over patterns)
+ * - patterns that would pull an uncategorized workflow back in are replaced by the exact workflows they still cover
+ * @param {Object} model - Editable model from createLayoutModel
+ * @param {Object|null} baseConfig - Original config; keys other than "folders" are preserved
+ * @returns {Object} Config object
+ */
+function exportLayoutConfig(model, baseConfig) {
+  // Entries are rewritten below; keep the caller's model intact so editing can continue
+  model = structuredClone(model);
+
+  const expected = new Map();
+  const foldersByPath = new Map();
+  const allWorkflows = model.uncategorized.slice();
+
+  model.uncategorized.forEach(workflow => expected.set(workflow.path, null));
+  forEachModelFolder(model.folders, (folder, path) => {
+    foldersByPath.set(path, folder);
+    folder.workflows.forEach(workflow => {
+      expected.set(workflow.path, path);
+      allWorkflows.push(workflow);
+    });
+  });
+
+  // Drop exact entries pointing at workflows the model places in another folder
+  foldersByPath.forEach((folder, path) => {
+    folder.entries = folder.entries.filter(entry => {
+      const matcher = createWorkflowMatcher(entry);
+      if (!matcher || matcher.pattern) {
+        return true;
+      }
+
+      const matched = allWorkflows.find(workflow => matcherMatchesWorkflow(matcher, workflow));
+      return !matched || expected.get(matched.path) === path;
+    });
+  });
+
+  for (let pass = 0; pass < MAX_EXPORT_PASSES; pass++) {
+    const exactMatches = { path: new Map(), filename: new Map(), name: new Map() };
+    const patterns = [];
+    buildFolderTree(modelFoldersToConfig(model.folders), null, exactMatches, patterns);
+
+    let changed = false;
+
+    allWorkflows.forEach(workflow => {
+      const actualFolder = findFolderForWorkflow(workflow, exactMatches, patterns);
+      const actualPath = actualFolder ? actualFolder.path : null;
+      const expectedPath = expected.get(workflow.path);
+
+      if (actualPath === expectedPath) {
+        return;
+      }
+
+      changed = true;
+
+      if (expectedPath !== null) {
+        foldersByPath.get(expectedPath).entries.push(createExactWorkflowEntry(workflow));
+        return;
+      }
+
+      // Uncategorized but caught by a pattern: expand that pattern into its remaining exact matches
+      const pattern = patterns.find(({ key, pattern }) => pattern.test(workflow[key]));
+      const folder = foldersByPath.get(pattern.folder.path);
+      const index = folder.entries.findIndex(entry => {
+        const matcher = createWorkflowMatcher(entry);
+        return matcher && matcher.pattern && matcher.key === pattern.key && matcher.value === pattern.value;
+      });
+
+      const replacements = folder.workflows
+        .filter(folderWorkflow => pattern.pattern.test(folderWorkflow[pattern.key]))
+        .map(createExactWorkflowEntry);
+
+      folder.entries.splice(index, 1, ...replacements);
+    });
+
+    if (!changed) {
+      break;
+    }
+  }
+
+  return { ...(baseConfig || {}), folders: modelFoldersToConfig(model.folders) };
+}
+
+/**
+ * Computes a line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, text: string}>} Lines with type ' ' (unchanged), '-' (removed) or '+' (added)
+ */
+function diffLines(oldText, newText) {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      lines.push({ type: ' ', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: '-', text: oldLines[i++] });
+    } else {
+      lines.push({ type: '+', text: newLines[j++] });
+    }
+  }
+
+  while (i < oldLines.length) lines.push({ type: '-', text: oldLines[i++] });
+  while (j < newLines.length) lines.push({ type: '+', text: newLines[j++] });
+
+  return lines;
+}
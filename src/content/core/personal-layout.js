@@ -0,0 +1,221 @@
+/**
+ * Personal Layout Module
+ * Combines a user's own folder layout with the repository config
+ * Follows Single Responsibility Principle - only responsible for personal layout logic
+ */
+
+// "extend" merges the layout on top of the repo config, "replace" ignores the repo config
+const PERSONAL_LAYOUT_MODES = ['extend', 'replace'];
+
+// Keys allowed at the top level of a personal layout
+const PERSONAL_LAYOUT_KEYS = ['mode', 'folders', 'hide', 'order'];
+
+/**
+ * Creates the starting point for a new personal layout
+ * @param {boolean} hasRepoConfig - Whether the repository has its own config
+ * @returns {{mode: string, folders: Array, hide: Array, order: Array}}
+ */
+function createEmptyPersonalLayout(hasRepoConfig) {
+  return {
+    mode: hasRepoConfig ? 'extend' : 'replace',
+    folders: [],
+    hide: [],
+    order: []
+  };
+}
+
+/**
+ * Validates a personal layout
+ * Folder and workflow entries follow the same rules as the repository config.
+ * @param {*} layout - Parsed layout
+ * @param {Object} [options]
+ * @param {Array|null} [options.workflows] - Known workflows; entries that match none of them get a warning
+ * @returns {{valid: boolean, errors: Array<{message: string, path: string}>, warnings: Array}}
+ */
+function validatePersonalLayout(layout, { workflows = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const report = (level, path, message) => {
+    (level === 'error' ? errors : warnings).push({ message, path });
+  };
+
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    report('error', '', 'Layout must be an object');
+    return { valid: false, errors, warnings };
+  }
+
+  if (layout.mode !== undefined && !PERSONAL_LAYOUT_MODES.includes(layout.mode)) {
+    report('error', 'mode', `"mode" must be one of ${PERSONAL_LAYOUT_MODES.map(mode => `"${mode}"`).join(', ')}`);
+  }
+
+  Object.keys(layout)
+    .filter(key => !PERSONAL_LAYOUT_KEYS.includes(key))
+    .forEach(key => report('warning', key, `Unknown top-level key "${key}"`));
+
+  if (layout.folders !== undefined && !Array.isArray(layout.folders)) {
+    report('error', 'folders', '"folders" must be an array');
+  } else if (Array.isArray(layout.folders)) {
+    validateFolders(layout.folders, 'folders', report, workflows);
+  }
+
+  if (layout.hide !== undefined && !Array.isArray(layout.hide)) {
+    report('error', 'hide', '"hide" must be an array');
+  } else if (Array.isArray(layout.hide)) {
+    layout.hide.forEach((entry, index) => {
+      validateWorkflowEntry(entry, `hide[${index}]`, 'hide', report, workflows);
+    });
+  }
+
+  if (layout.order !== undefined && !Array.isArray(layout.order)) {
+    report('error', 'order', '"order" must be an array of folder names');
+  } else if (Array.isArray(layout.order)) {
+    layout.order.forEach((name, index) => {
+      if (typeof name !== 'string' || name.trim() === '') {
+        report('error', `order[${index}]`, 'Entries in "order" must be folder names');
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Collects the exact (non-pattern) matchers of a folder list, recursing into subfolders
+ * @param {Array} folders - Folder entries
+ * @param {Set<string>} claimed - "key:value" strings (filled in)
+ * @returns {Set<string>} The claimed set
+ */
+function collectExactEntries(folders, claimed) {
+  folders.forEach(folder => {
+    (folder.workflows || []).forEach(entry => {
+      const matcher = createWorkflowMatcher(entry);
+      if (matcher && !matcher.pattern) {
+        claimed.add(`${matcher.key}:${matcher.value}`);
+      }
+    });
+
+    collectExactEntries(folder.folders || [], claimed);
+  });
+
+  return claimed;
+}
+
+/**
+ * Removes exact entries claimed by the personal layout from repo folders
+ * Lets a personal layout move a workflow even if the repo config lists it in an earlier folder
+ * @param {Array} folders - Repo folder entries
+ * @param {Set<string>} claimed - "key:value" strings claimed by the personal layout
+ * @returns {Array} Folder entries without the claimed entries
+ */
+function withoutClaimedEntries(folders, claimed) {
+  return folders.map(folder => ({
+    ...folder,
+    workflows: (folder.workflows || []).filter(entry => {
+      const matcher = createWorkflowMatcher(entry);
+      return !matcher || matcher.pattern || !claimed.has(`${matcher.key}:${matcher.value}`);
+    }),
+    folders: withoutClaimedEntries(folder.folders || [], claimed)
+  }));
+}
+
+/**
+ * Merges personal folders into repo folders
+ * Folders with the same name are combined (personal entries first); new personal folders come first
+ * @param {Array} personalFolders - Folder entries from the personal layout
+ * @param {Array} repoFolders - Folder entries from the repo config
+ * @returns {Array} Merged folder entries
+ */
+function mergeFolderLists(personalFolders, repoFolders) {
+  const merged = repoFolders.slice();
+  const added = [];
+
+  personalFolders.forEach(personalFolder => {
+    const index = merged.findIndex(folder => folder.name === personalFolder.name);
+
+    if (index === -1) {
+      added.push(personalFolder);
+      return;
+    }
+
+    const repoFolder = merged[index];
+    merged[index] = {
+      name: repoFolder.name,
+      workflows: [...(personalFolder.workflows || []), ...(repoFolder.workflows || [])],
+      folders: mergeFolderLists(personalFolder.folders || [], repoFolder.folders || [])
+    };
+  });
+
+  return [...added, ...merged];
+}
+
+/**
+ * Builds the effective config from the repo config and a personal layout
+ * Without a repo config, or in "replace" mode, the personal folders are used as-is.
+ * @param {Object|null} config - Repository config, null if the repository has none
+ * @param {Object|null} layout - Personal layout, null if the user has none
+ * @returns {{folders: Array}} Config to group workflows with
+ */
+function applyPersonalLayout(config, layout) {
+  if (!layout) {
+    return config;
+  }
+
+  const personalFolders = layout.folders || [];
+
+  if (!config || layout.mode === 'replace') {
+    return { folders: personalFolders };
+  }
+
+  const claimed = collectExactEntries(personalFolders, new Set());
+
+  return {
+    ...config,
+    folders: mergeFolderLists(personalFolders, withoutClaimedEntries(config.folders, claimed))
+  };
+}
+
+/**
+ * Removes workflows matching any of the layout's "hide" entries
+ * @param {Array} workflows - Workflows from the API or the DOM
+ * @param {Array} [hide] - Workflow entries to hide
+ * @returns {Array} Visible workflows
+ */
+function filterHiddenWorkflows(workflows, hide = []) {
+  const matchers = hide.map(createWorkflowMatcher).filter(Boolean);
+
+  if (matchers.length === 0) {
+    return workflows;
+  }
+
+  return workflows.filter(workflow => {
+    const workflowData = {
+      name: workflow.name,
+      path: workflow.path,
+      filename: workflow.path.split('/').pop()
+    };
+    return !matchers.some(matcher => matcherMatchesWorkflow(matcher, workflowData));
+  });
+}
+
+/**
+ * Reorders top-level folders by the layout's "order" list
+ * Listed folders come first in the given order, the rest keep their config order.
+ * Only affects display; matching precedence still follows the config.
+ * @param {Array} folders - Grouped folder tree nodes
+ * @param {Array<string>} [order] - Folder names
+ * @returns {Array} Reordered folder tree nodes
+ */
+function sortFoldersByOrder(folders, order = []) {
+  if (order.length === 0) {
+    return folders;
+  }
+
+  const rank = folder => {
+    const index = order.indexOf(folder.name);
+    return index === -1 ? order.length : index;
+  };
+
+  // Array.prototype.sort is stable, so unlisted folders keep their relative order
+  return folders.slice().sort((a, b) => rank(a) - rank(b));
+}
@@ -4,16 +4,37 @@
  * Follows Single Responsibility Principle - only responsible for URL/repo parsing
  */
 
+/**
+ * Extracts the branch filter from an Actions search query
+ * e.g. "branch:feature/foo is:failure" -> "feature/foo"
+ * @param {string|null} query - Value of the `query` URL parameter
+ * @returns {string|null} Branch name or null if the query has no branch filter
+ */
+function parseBranchFromQuery(query) {
+  if (!query) {
+    return null;
+  }
+
+  const match = query.match(/(?:^|\s)branch:("[^"]+"|\S+)/);
+  if (!match) {
+    return null;
+  }
+
+  const branch = match[1].replace(/^"|"$/g, '');
+  return branch || null;
+}
+
 /**
  * Parses GitHub URL to extract owner and repository information
  * @param {string} url - GitHub URL to parse
- * @returns {{owner: string, repo: string, isActionsPage: boolean} | null}
+ * @param {Array<string>} hosts - Hostnames to accept, github.com unless GitHub Enterprise hosts are configured
+ * @returns {{host: string, owner: string, repo: string, isActionsPage: boolean, branch: string|null, workflowPath: string|null} | null}
  */
-function parseGitHubUrl(url) {
+function parseGitHubUrl(url, hosts = [DEFAULT_GITHUB_HOST]) {
   try {
     const urlObj = new URL(url);
 
-    if (urlObj.hostname !== 'github.com') {
+    if (!hosts.includes(urlObj.hostname)) {
       return null;
     }
 
@@ -26,8 +47,16 @@ function parseGitHubUrl(url) {
     const owner = pathSegments[0];
     const repo = pathSegments[1];
     const isActionsPage = pathSegments.length >= 3 && pathSegments[2] === 'actions';
+    // Only the branch filter counts; single run pages (/actions/runs/<id>) have no workflow list to organize
+    const branch = isActionsPage ? parseBranchFromQuery(urlObj.searchParams.get('query')) : null;
+
+    // Runs page of a single workflow: /owner/repo/actions/workflows/<workflow id>
+    const isWorkflowPage = isActionsPage && pathSegments[3] === 'workflows' && pathSegments.length >= 5;
+    const workflowPath = isWorkflowPage
+      ? getWorkflowPathFromId(pathSegments.slice(4).map(decodeURIComponent).join('/'))
+      : null;
 
-    return { owner, repo, isActionsPage };
+    return { host: urlObj.hostname, owner, repo, isActionsPage, branch, workflowPath };
   } catch (error) {
     console.error('[GitHub Actions Folders] Error parsing URL:', error);
     return null;
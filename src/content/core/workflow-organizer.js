@@ -4,56 +4,370 @@
  * Follows Single Responsibility Principle - only responsible for workflow organization
  */
 
+// How disabled workflows are shown: marked in their folder, left out, or moved to a "Disabled" folder
+const DISABLED_WORKFLOW_MODES = ['show', 'hide', 'folder'];
+const DEFAULT_DISABLED_WORKFLOWS_MODE = 'show';
+
+// Regex flags that make test() keep state between calls, so the same workflow could match only every other time
+const STATEFUL_REGEX_FLAGS = ['g', 'y'];
+
+/**
+ * Checks whether a config entry is a /regex/ pattern
+ * @param {string} entry - Workflow entry from the config
+ * @returns {boolean} True if the entry is wrapped in slashes
+ */
+function isRegexPattern(entry) {
+  return /^\/.+\/[a-z]*$/.test(entry);
+}
+
+/**
+ * Lists the stateful flags of a /regex/ config entry
+ * @param {string} entry - Workflow entry from the config
+ * @returns {Array<string>} Flags from STATEFUL_REGEX_FLAGS the entry uses
+ */
+function getStatefulRegexFlags(entry) {
+  const flags = entry.slice(entry.lastIndexOf('/') + 1);
+  return STATEFUL_REGEX_FLAGS.filter(flag => flags.includes(flag));
+}
+
+/**
+ * Checks whether a config entry is a glob pattern
+ * @param {string} entry - Workflow entry from the config
+ * @returns {boolean} True if the entry contains glob wildcards
+ */
+function isGlobPattern(entry) {
+  return /[*?]/.test(entry);
+}
+
+/**
+ * Converts a glob into a regular expression
+ * `*` matches within a path segment, `**` matches across segments, `?` matches one character
+ * @param {string} glob - Glob pattern such as "deploy-*.yml"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles a glob or /regex/ config entry into a regular expression
+ * @param {string} entry - Workflow entry from the config
+ * @returns {RegExp|null} Compiled pattern, or null if the entry is a plain filename, an invalid regex
+ *   or a regex with the g or y flag
+ */
+function compileWorkflowPattern(entry) {
+  if (isRegexPattern(entry)) {
+    const lastSlash = entry.lastIndexOf('/');
+
+    if (getStatefulRegexFlags(entry).length > 0) {
+      console.warn('[GitHub Actions Folders] Ignoring regex with g or y flag in config:', entry);
+      return null;
+    }
+
+    try {
+      return new RegExp(entry.slice(1, lastSlash), entry.slice(lastSlash + 1));
+    } catch (error) {
+      console.warn('[GitHub Actions Folders] Ignoring invalid regex in config:', entry, error.message);
+      return null;
+    }
+  }
+
+  if (isGlobPattern(entry)) {
+    return globToRegExp(entry);
+  }
+
+  return null;
+}
+
+/**
+ * Workflow properties a config entry can target
+ * Plain strings target the filename; objects target `name` (sidebar display name) or `path`
+ */
+const WORKFLOW_MATCH_KEYS = ['path', 'filename', 'name'];
+
+/**
+ * Turns a config entry into a matcher description
+ * @param {string|{name?: string, path?: string}} entry - Workflow entry from the config
+ * @returns {{key: string, value: string, pattern: RegExp|null}|null} Matcher, or null if the entry is unusable
+ */
+function createWorkflowMatcher(entry) {
+  let key = 'filename';
+  let value = entry;
+
+  if (entry && typeof entry === 'object') {
+    key = typeof entry.path === 'string' ? 'path' : 'name';
+    value = entry[key];
+  }
+
+  if (typeof value !== 'string' || value.length === 0) {
+    console.warn('[GitHub Actions Folders] Ignoring unusable workflow entry in config:', entry);
+    return null;
+  }
+
+  const pattern = compileWorkflowPattern(value);
+
+  if (!pattern && isRegexPattern(value)) {
+    return null;
+  }
+
+  return { key, value, pattern };
+}
+
+/**
+ * Checks whether a matcher matches a workflow
+ * @param {{key: string, value: string, pattern: RegExp|null}} matcher - Matcher from createWorkflowMatcher
+ * @param {{path: string, filename: string, name: string}} workflowData - Normalized workflow
+ * @returns {boolean}
+ */
+function matcherMatchesWorkflow(matcher, workflowData) {
+  const value = workflowData[matcher.key];
+  return matcher.pattern ? matcher.pattern.test(value) : value === matcher.value;
+}
+
+/**
+ * Builds the URL of a workflow's runs page
+ * Dynamic workflows (e.g. "dynamic/pages/pages-build-deployment") are linked without the "dynamic/" prefix
+ * @param {string} path - Workflow path from the API
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {string} Workflow runs URL
+ */
+function buildWorkflowUrl(path, owner, repo) {
+  const workflowId = path.startsWith('dynamic/')
+    ? path.slice('dynamic/'.length)
+    : path.split('/').pop();
+
+  // Format: https://{host}/{owner}/{repo}/actions/workflows/{filename}, on the host of the current page
+  return `${window.location.origin}/${owner}/${repo}/actions/workflows/${workflowId}`;
+}
+
+/**
+ * Turns the workflow id of a runs page URL back into the workflow path, the inverse of buildWorkflowUrl
+ * @param {string} workflowId - Part of the URL after /actions/workflows/ (e.g. "ci.yml")
+ * @returns {string} Workflow path (e.g. ".github/workflows/ci.yml" or "dynamic/pages/pages-build-deployment")
+ */
+function getWorkflowPathFromId(workflowId) {
+  return workflowId.includes('/') ? `dynamic/${workflowId}` : `.github/workflows/${workflowId}`;
+}
+
+/**
+ * Joins folder names into the path used to identify nested folders (e.g. "Deploy/Production")
+ * @param {string|null} parentPath - Path of the parent folder, null for top-level folders
+ * @param {string} name - Folder name
+ * @returns {string} Folder path
+ */
+function buildFolderPath(parentPath, name) {
+  return parentPath ? `${parentPath}/${name}` : name;
+}
+
+/**
+ * Counts the workflows in a folder and all of its subfolders
+ * @param {{workflows: Array, folders: Array}} folder - Folder tree node
+ * @returns {number} Recursive workflow count
+ */
+function countFolderWorkflows(folder) {
+  return folder.folders.reduce(
+    (total, subfolder) => total + countFolderWorkflows(subfolder),
+    folder.workflows.length
+  );
+}
+
+/**
+ * Builds an empty folder tree mirroring the config, registering matchers along the way
+ * Folders are visited depth-first in config order, which defines pattern precedence
+ * @param {Array} configFolders - Folder entries from the config
+ * @param {string|null} parentPath - Path of the parent folder
+ * @param {Object<string, Map>} exactMatches - Per match key, exact value to folder node maps (filled in)
+ * @param {Array} patterns - Pattern matchers in config order (filled in)
+ * @returns {Array} Folder tree nodes
+ */
+function buildFolderTree(configFolders, parentPath, exactMatches, patterns) {
+  return configFolders.map(configFolder => {
+    const node = {
+      name: configFolder.name,
+      path: buildFolderPath(parentPath, configFolder.name),
+      workflows: [],
+      folders: []
+    };
+
+    (configFolder.workflows || []).forEach(entry => {
+      const matcher = createWorkflowMatcher(entry);
+
+      if (!matcher) {
+        return;
+      }
+
+      if (matcher.pattern) {
+        patterns.push({ ...matcher, folder: node });
+      } else if (!exactMatches[matcher.key].has(matcher.value)) {
+        exactMatches[matcher.key].set(matcher.value, node);
+      }
+    });
+
+    node.folders = buildFolderTree(configFolder.folders || [], node.path, exactMatches, patterns);
+
+    return node;
+  });
+}
+
+/**
+ * Finds the folder a workflow belongs to
+ * Exact path, filename and name matches win over patterns; patterns apply in config order
+ * @param {{path: string, filename: string, name: string}} workflowData - Normalized workflow
+ * @param {Object<string, Map>} exactMatches - Exact value to folder node maps per match key
+ * @param {Array} patterns - Pattern matchers in config order
+ * @returns {Object|null} Folder tree node, or null if uncategorized
+ */
+function findFolderForWorkflow(workflowData, exactMatches, patterns) {
+  for (const key of WORKFLOW_MATCH_KEYS) {
+    const folder = exactMatches[key].get(workflowData[key]);
+    if (folder) {
+      return folder;
+    }
+  }
+
+  const patternMatch = patterns.find(({ key, pattern }) => pattern.test(workflowData[key]));
+  return patternMatch ? patternMatch.folder : null;
+}
+
+/**
+ * Removes folders that have no workflows anywhere in their subtree
+ * @param {Array} folders - Folder tree nodes
+ * @returns {Array} Pruned folder tree nodes
+ */
+function pruneEmptyFolders(folders) {
+  return folders
+    .map(folder => ({ ...folder, folders: pruneEmptyFolders(folder.folders) }))
+    .filter(folder => countFolderWorkflows(folder) > 0);
+}
+
 /**
  * Groups workflows by their configured folders
+ * Folder entries may be exact filenames, globs ("deploy-*.yml") or regexes ("/^test-/"),
+ * or objects targeting the display name ({"name": "CI"}) or path ({"path": "dynamic/pages/..."}).
+ * Precedence: an exact match wins, otherwise the first matching pattern in config order.
+ * Works the same for workflows from the API and those extracted from the DOM.
+ * Folders may contain nested `folders`; the result is a tree in config order.
  * @param {Object} config - Configuration object with folders
- * @param {Array} apiWorkflows - Array of workflow objects from GitHub API
+ * @param {Array} apiWorkflows - Array of workflow objects from GitHub API (or extracted from the DOM)
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {{folders: Map, uncategorized: Array}}
+ * @param {number} [totalCount] - Total workflow count reported by the API, if known
+ * @returns {{folders: Array<{name: string, path: string, workflows: Array, folders: Array}>, uncategorized: Array}}
  */
-function groupWorkflowsByFolder(config, apiWorkflows, owner, repo) {
+function groupWorkflowsByFolder(config, apiWorkflows, owner, repo, totalCount) {
   console.log('[GitHub Actions Folders] Processing', apiWorkflows.length, 'workflows from API');
 
-  // Create a map of workflow filename to folder
-  const workflowToFolder = new Map();
-  config.folders.forEach(folder => {
-    folder.workflows.forEach(workflow => {
-      workflowToFolder.set(workflow, folder.name);
-    });
-  });
+  if (typeof totalCount === 'number' && totalCount !== apiWorkflows.length) {
+    console.warn(`[GitHub Actions Folders] Only ${apiWorkflows.length} of ${totalCount} workflows were fetched, some workflows will be missing from folders`);
+  }
+
+  // Map exact values to folders, and collect patterns in config order
+  const exactMatches = { path: new Map(), filename: new Map(), name: new Map() };
+  const patterns = [];
+  const tree = buildFolderTree(config.folders, null, exactMatches, patterns);
 
-  // Group workflows by folder
-  const folders = new Map();
   const uncategorized = [];
 
   apiWorkflows.forEach(workflow => {
-    // workflow.path is like ".github/workflows/ci.yml"
-    const filename = workflow.path.split('/').pop();
-    const folderName = workflowToFolder.get(filename);
-
-    // Construct the correct URL to the workflow runs page
-    // Format: https://github.com/{owner}/{repo}/actions/workflows/{filename}
-    const workflowUrl = `https://github.com/${owner}/${repo}/actions/workflows/${filename}`;
-
+    // workflow.path is like ".github/workflows/ci.yml" or "dynamic/pages/pages-build-deployment"
     const workflowData = {
+      id: workflow.id,
       name: workflow.name,
       path: workflow.path,
-      filename: filename,
-      url: workflowUrl
+      filename: workflow.path.split('/').pop(),
+      url: buildWorkflowUrl(workflow.path, owner, repo),
+      state: workflow.state || 'active'
     };
 
-    if (folderName) {
-      if (!folders.has(folderName)) {
-        folders.set(folderName, []);
-      }
-      folders.get(folderName).push(workflowData);
+    const folder = findFolderForWorkflow(workflowData, exactMatches, patterns);
+
+    if (folder) {
+      folder.workflows.push(workflowData);
     } else {
       uncategorized.push(workflowData);
     }
   });
 
-  console.log('[GitHub Actions Folders] Grouped into', folders.size, 'folders +', uncategorized.length, 'uncategorized');
+  const folders = pruneEmptyFolders(tree);
+
+  console.log('[GitHub Actions Folders] Grouped into', folders.length, 'top-level folders +', uncategorized.length, 'uncategorized');
 
   return { folders, uncategorized };
 }
+
+/**
+ * Checks whether a workflow is disabled, manually or due to inactivity
+ * @param {{state?: string}} workflowData - Workflow data object
+ * @returns {boolean}
+ */
+function isWorkflowDisabled(workflowData) {
+  return typeof workflowData.state === 'string' && workflowData.state.startsWith('disabled');
+}
+
+/**
+ * Picks how disabled workflows are shown: the user's choice for the repository, then the config default
+ * @param {string|null} storedMode - Mode saved for the repository
+ * @param {Object|null} config - Folder config, may set "disabledWorkflows"
+ * @returns {string} One of DISABLED_WORKFLOW_MODES
+ */
+function resolveDisabledWorkflowsMode(storedMode, config) {
+  if (DISABLED_WORKFLOW_MODES.includes(storedMode)) {
+    return storedMode;
+  }
+
+  if (config && DISABLED_WORKFLOW_MODES.includes(config.disabledWorkflows)) {
+    return config.disabledWorkflows;
+  }
+
+  return DEFAULT_DISABLED_WORKFLOWS_MODE;
+}
+
+/**
+ * Takes disabled workflows out of a grouped folder tree
+ * Folders left without workflows are dropped, as in groupWorkflowsByFolder.
+ * @param {Array} folders - Folder tree nodes from groupWorkflowsByFolder
+ * @param {Array} uncategorized - Uncategorized workflows
+ * @returns {{folders: Array, uncategorized: Array, disabled: Array}} Tree and uncategorized without
+ *   disabled workflows, and the disabled workflows in tree order
+ */
+function separateDisabledWorkflows(folders, uncategorized) {
+  const disabled = [];
+
+  const strip = nodes => nodes.map(node => {
+    const subfolders = strip(node.folders);
+    disabled.push(...node.workflows.filter(isWorkflowDisabled));
+
+    return {
+      ...node,
+      workflows: node.workflows.filter(workflowData => !isWorkflowDisabled(workflowData)),
+      folders: subfolders
+    };
+  });
+
+  const activeFolders = pruneEmptyFolders(strip(folders));
+  disabled.push(...uncategorized.filter(isWorkflowDisabled));
+
+  return {
+    folders: activeFolders,
+    uncategorized: uncategorized.filter(workflowData => !isWorkflowDisabled(workflowData)),
+    disabled
+  };
+}
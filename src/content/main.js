@@ -11,7 +11,8 @@ console.log('[GitHub Actions Folders] Content script loaded');
 async function initialize() {
   console.log('[GitHub Actions Folders] Initializing...');
 
-  const parsed = parseGitHubUrl(window.location.href);
+  const enterpriseHosts = await getHostProfiles();
+  const parsed = parseGitHubUrl(window.location.href, [DEFAULT_GITHUB_HOST, ...enterpriseHosts.map(profile => profile.host)]);
 
   if (!parsed || !parsed.isActionsPage) {
     console.log('[GitHub Actions Folders] Not on Actions page, skipping');
@@ -20,7 +21,14 @@ async function initialize() {
 
   console.log('[GitHub Actions Folders] On Actions page:', parsed);
 
-  showTokenNotification().catch(error => {
+  // Runs on the first load and on every navigation the URL observer below picks up
+  if (parsed.workflowPath) {
+    await recordWorkflowVisit(parsed.owner, parsed.repo, parsed.workflowPath).catch(error => {
+      console.warn('[GitHub Actions Folders] Failed to record workflow visit:', error);
+    });
+  }
+
+  showTokenNotification(parsed.owner, parsed.repo).catch(error => {
     console.error('[GitHub Actions Folders] Failed to show notification:', error);
   });
 
@@ -45,21 +53,50 @@ async function initialize() {
 
     const loadingState = showLoadingState(workflowList);
 
+    // Kept for the fallback below, so the config generator can still suggest folders
+    let fetchedWorkflows = null;
+
     try {
-      const [configResult, workflowsResult] = await Promise.all([
-        fetchConfig(parsed.owner, parsed.repo),
-        fetchWorkflows(parsed.owner, parsed.repo)
+      const [configResult, workflowsResult, personalLayout, storedDisabledMode] = await Promise.all([
+        fetchConfig(parsed.owner, parsed.repo, parsed.branch).catch(error => {
+          console.log('[GitHub Actions Folders] No repository config:', error.message);
+          return { content: null };
+        }),
+        fetchWorkflows(parsed.owner, parsed.repo),
+        getPersonalLayout(parsed.owner, parsed.repo),
+        getDisabledWorkflowsMode(parsed.owner, parsed.repo)
       ]);
 
-      if (!configResult.content) {
+      fetchedWorkflows = workflowsResult.workflows || null;
+
+      // A "replace" layout does not depend on the repo config at all
+      const usesRepoConfig = !personalLayout || personalLayout.mode !== 'replace';
+      const knownWorkflows = workflowsResult.truncated ? null : workflowsResult.workflows || null;
+      const layoutButtonOptions = {
+        hasLayout: Boolean(personalLayout),
+        hasRepoConfig: Boolean(configResult.content),
+        workflows: knownWorkflows
+      };
+
+      if (usesRepoConfig && configResult.parseError) {
+        console.warn('[GitHub Actions Folders] Config could not be parsed, using default GitHub UI');
+        restoreOriginalUI(loadingState, workflowList);
+        showValidationPanel({ errors: [configResult.parseError], warnings: [] }, configResult.configPath, workflowList);
+        addLayoutButton(parsed.owner, parsed.repo, workflowList, layoutButtonOptions);
+        addToggleButton(parsed.owner, parsed.repo, workflowList, true);
+        return;
+      }
+
+      if (!configResult.content && !personalLayout) {
         console.log('[GitHub Actions Folders] No config found, using default GitHub UI');
         restoreOriginalUI(loadingState, workflowList);
+        addLayoutButton(parsed.owner, parsed.repo, workflowList, layoutButtonOptions);
 
         const hasWriteAccess = await checkWriteAccess(parsed.owner, parsed.repo);
 
         if (hasWriteAccess) {
           console.log('[GitHub Actions Folders] User has write access, showing create config button');
-          addConfigButton(parsed.owner, parsed.repo, workflowList);
+          addConfigButton(parsed.owner, parsed.repo, workflowList, workflowsResult.workflows);
         } else {
           console.log('[GitHub Actions Folders] User does not have write access, hiding button');
         }
@@ -74,23 +111,79 @@ async function initialize() {
         return;
       }
 
-      console.log('[GitHub Actions Folders] Config fetched:', configResult.fromCache ? '(from cache)' : '(fresh)');
+      if (configResult.content) {
+        console.log('[GitHub Actions Folders] Config fetched from', configResult.configPath, configResult.fromCache ? '(from cache)' : '(fresh)');
+        console.log('[GitHub Actions Folders] Parsed config:', configResult.content);
+      }
+      if (personalLayout) {
+        console.log('[GitHub Actions Folders] Using personal layout:', personalLayout);
+      }
       console.log('[GitHub Actions Folders] Workflows fetched:', workflowsResult.workflows.length, 'total');
 
-      const config = configResult.content;
-      console.log('[GitHub Actions Folders] Parsed config:', config);
+      // Existence checks are skipped when the workflow list was capped
+      const validation = usesRepoConfig && configResult.content
+        ? validateConfig(configResult.content, { raw: configResult.raw, workflows: knownWorkflows })
+        : { valid: true, errors: [], warnings: [] };
+
+      if (!validation.valid) {
+        console.warn('[GitHub Actions Folders] Config has errors, using default GitHub UI:', validation.errors);
+        restoreOriginalUI(loadingState, workflowList);
+        showValidationPanel(validation, configResult.configPath, workflowList);
+        addLayoutButton(parsed.owner, parsed.repo, workflowList, layoutButtonOptions);
+        addToggleButton(parsed.owner, parsed.repo, workflowList, true);
+        return;
+      }
 
       loadingState.remove();
       removeHidingCSS();
 
-      const { folders, uncategorized } = groupWorkflowsByFolder(
+      const config = applyPersonalLayout(usesRepoConfig ? configResult.content : null, personalLayout);
+      const workflows = personalLayout
+        ? filterHiddenWorkflows(workflowsResult.workflows, personalLayout.hide)
+        : workflowsResult.workflows;
+
+      const grouped = groupWorkflowsByFolder(
         config,
-        workflowsResult.workflows,
+        workflows,
         parsed.owner,
-        parsed.repo
+        parsed.repo,
+        workflowsResult.totalCount
       );
 
-      const folderContainer = await buildFolderUIFromData(folders, uncategorized, parsed.owner, parsed.repo);
+      const orderedFolders = personalLayout ? sortFoldersByOrder(grouped.folders, personalLayout.order) : grouped.folders;
+
+      // Disabled workflows stay in `grouped` so the layout editor still sees them
+      const disabledMode = resolveDisabledWorkflowsMode(storedDisabledMode, config);
+      const hasDisabledWorkflows = workflows.some(isWorkflowDisabled);
+      const visible = disabledMode === 'show'
+        ? { folders: orderedFolders, uncategorized: grouped.uncategorized, disabled: [] }
+        : separateDisabledWorkflows(orderedFolders, grouped.uncategorized);
+
+      const folderContainer = await buildFolderUIFromData(
+        visible.folders,
+        visible.uncategorized,
+        parsed.owner,
+        parsed.repo,
+        disabledMode === 'folder' ? visible.disabled : []
+      );
+
+      if (configResult.configPath || personalLayout) {
+        folderContainer.appendChild(createConfigSourceLabel(usesRepoConfig ? configResult : {}, personalLayout));
+      }
+
+      folderContainer.appendChild(createLayoutEditButton(folderContainer, {
+        owner: parsed.owner,
+        repo: parsed.repo,
+        config,
+        grouped,
+        configResult,
+        personalLayout
+      }));
+      folderContainer.appendChild(createLayoutButton(parsed.owner, parsed.repo, layoutButtonOptions));
+
+      if (hasDisabledWorkflows) {
+        folderContainer.appendChild(createDisabledWorkflowsButton(parsed.owner, parsed.repo, disabledMode));
+      }
 
       const toggleButton = createToggleButton(parsed.owner, parsed.repo, true);
       folderContainer.appendChild(toggleButton);
@@ -99,7 +192,27 @@ async function initialize() {
       if (parent) {
         workflowList.style.display = 'none';
         parent.insertBefore(folderContainer, workflowList.nextSibling);
+        showValidationPanel(validation, configResult.configPath, folderContainer);
         console.log('[GitHub Actions Folders] Folder UI injected successfully');
+
+        if (workflowsResult.rateLimitedUntil) {
+          showRateLimitNotice(folderContainer, workflowsResult.rateLimitedUntil, 'Showing the workflows listed on the page.');
+        }
+
+        loadRunStatuses(folderContainer, parsed.owner, parsed.repo, workflows).catch(error => {
+          console.warn('[GitHub Actions Folders] Failed to load run statuses:', error);
+        });
+        startRunStatusRefresh(folderContainer, parsed.owner, parsed.repo, workflows).catch(error => {
+          console.warn('[GitHub Actions Folders] Failed to start the run status refresh:', error);
+        });
+
+        enableWorkflowDispatch(folderContainer, parsed.owner, parsed.repo).catch(error => {
+          console.warn('[GitHub Actions Folders] Failed to enable workflow dispatch:', error);
+        });
+
+        enableFolderBulkActions(folderContainer, parsed.owner, parsed.repo).catch(error => {
+          console.warn('[GitHub Actions Folders] Failed to enable folder actions:', error);
+        });
       }
 
     } catch (error) {
@@ -111,7 +224,8 @@ async function initialize() {
 
       if (hasWriteAccess) {
         console.log('[GitHub Actions Folders] User has write access, showing create config button');
-        addConfigButton(parsed.owner, parsed.repo, workflowList);
+        const workflows = fetchedWorkflows || (await extractWorkflowsFromDOM()).workflows;
+        addConfigButton(parsed.owner, parsed.repo, workflowList, workflows);
       } else {
         console.log('[GitHub Actions Folders] User does not have write access, hiding button');
       }
@@ -141,9 +255,19 @@ function cleanup() {
     oldContainer.remove();
   }
 
-  const oldToggle = document.querySelector(`.${CLASS_NAMES.toggleContainer}`);
-  if (oldToggle) {
-    oldToggle.remove();
+  document.querySelectorAll(`.${CLASS_NAMES.toggleContainer}`).forEach(oldToggle => oldToggle.remove());
+
+  const oldEditView = document.querySelector(`.${CLASS_NAMES.layoutEditView}`);
+  if (oldEditView) {
+    oldEditView.remove();
+  }
+
+  closeFolderMenu();
+  stopRunStatusRefresh();
+
+  const oldPanel = document.querySelector(`.${CLASS_NAMES.validationPanel}`);
+  if (oldPanel) {
+    oldPanel.remove();
   }
 
   const oldLoading = document.querySelector(`.${CLASS_NAMES.loadingOverlay}`);
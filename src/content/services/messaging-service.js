@@ -5,12 +5,13 @@
 
 /**
  * Sends a message to the service worker and waits for response
+ * The hostname of the page is added so the service worker talks to the matching GitHub host.
  * @param {Object} message - Message to send
  * @returns {Promise<Object>} Response from service worker
  */
 async function sendMessage(message) {
   try {
-    const response = await browser.runtime.sendMessage(message);
+    const response = await browser.runtime.sendMessage({ host: window.location.hostname, ...message });
     return response;
   } catch (error) {
     throw new Error(error.message || 'Failed to send message');
@@ -39,20 +40,26 @@ async function extractWorkflowsFromDOM() {
 
   const workflows = [];
   workflowLinks.forEach(link => {
-    const name = link.textContent.trim();
+    // Disabled workflows carry a "Disabled" label; the sidebar does not say why they were disabled
+    const disabledLabel = Array.from(link.querySelectorAll('span'))
+      .find(element => element.children.length === 0 && element.textContent.trim().toLowerCase() === 'disabled');
+    const name = (disabledLabel ? link.textContent.replace(disabledLabel.textContent, '') : link.textContent).trim();
     const href = link.getAttribute('href');
 
     // Extract workflow filename from URL (format: /owner/repo/actions/workflows/filename.yml)
-    const match = href.match(/\/actions\/workflows\/([^?]+)/);
+    // Dynamic workflows link to e.g. /actions/workflows/pages/pages-build-deployment
+    const match = href.match(/\/actions\/workflows\/([^?#]+)/);
     if (match && match[1]) {
+      const workflowId = match[1];
       workflows.push({
         name: name,
-        path: `.github/workflows/${match[1]}`,
-        state: 'active',
-        id: workflows.length + 1,
+        path: getWorkflowPathFromId(workflowId),
+        state: disabledLabel ? 'disabled_manually' : 'active',
+        // Numeric workflow ids are not exposed in the sidebar
+        id: null,
         node_id: '',
         badge_url: '',
-        html_url: `https://github.com${href}`,
+        html_url: `${window.location.origin}${href}`,
         url: ''
       });
     }
@@ -71,7 +78,8 @@ async function extractWorkflowsFromDOM() {
  * Fetches workflows from GitHub API via service worker, with DOM fallback
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<Object>} Response with workflows or error
+ * @returns {Promise<Object>} Response with workflows or error; a DOM fallback caused by the rate limit
+ *   carries rateLimitedUntil
  */
 async function fetchWorkflows(owner, repo) {
   try {
@@ -79,12 +87,16 @@ async function fetchWorkflows(owner, repo) {
     const response = await sendMessage({
       action: 'fetchWorkflows',
       owner,
-      repo
+      repo,
+      maxWorkflows: await getWorkflowsFetchLimit()
     });
 
     if (response.success) {
-      console.log(`[GitHub Actions Folders] Successfully fetched ${response.workflows?.length || 0} workflows via API`);
+      console.log(`[GitHub Actions Folders] Successfully fetched ${response.workflows?.length || 0} of ${response.totalCount} workflows via API`);
       return response;
+    } else if (response.reason === 'rate_limited') {
+      console.warn(`[GitHub Actions Folders] ${response.error}, falling back to DOM extraction`);
+      return { ...await extractWorkflowsFromDOM(), rateLimitedUntil: response.resetAt };
     } else {
       console.log(`[GitHub Actions Folders] Workflows API failed for ${owner}/${repo} (likely private repo), falling back to DOM extraction`);
       return await extractWorkflowsFromDOM();
@@ -99,19 +111,31 @@ async function fetchWorkflows(owner, repo) {
  * Fetches the configuration for the current repository via service worker
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<Object>} Response with config or error
+ * @param {string|null} ref - Branch selected in the Actions UI; falls back to the default branch
+ * @returns {Promise<Object>} Response with config, or with `parseError` if the config file is malformed
+ * @throws {Error} If no config file was found
  */
-async function fetchConfig(owner, repo) {
+async function fetchConfig(owner, repo, ref = null) {
   try {
-    console.log(`[GitHub Actions Folders] Fetching config for ${owner}/${repo}`);
+    const defaultBranch = await resolveDefaultBranch(owner, repo);
+
+    console.log(`[GitHub Actions Folders] Fetching config for ${owner}/${repo} (default branch: ${defaultBranch || 'unknown'})`);
     const response = await sendMessage({
       action: 'fetchConfig',
       owner,
-      repo
+      repo,
+      defaultBranch,
+      ref
     });
 
     if (response.success) {
-      console.log(`[GitHub Actions Folders] Successfully fetched config for ${owner}/${repo}`);
+      console.log(`[GitHub Actions Folders] Successfully fetched config for ${owner}/${repo} from ${response.branch || 'cache'}`);
+      response.defaultBranch = defaultBranch;
+      return response;
+    } else if (response.parseError) {
+      // The config exists but is malformed; returned so the error can be shown on the page
+      console.warn(`[GitHub Actions Folders] ${response.error}`);
+      response.defaultBranch = defaultBranch;
       return response;
     } else {
       throw new Error(`Config fetch failed for ${owner}/${repo}: ${response.error || 'Unknown error'}`);
@@ -121,3 +145,171 @@ async function fetchConfig(owner, repo) {
     throw error;
   }
 }
+
+/**
+ * Fetches the latest run of each workflow via service worker
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<{path: string, id?: number|null}>} workflows - Workflows to fetch runs for
+ * @returns {Promise<{runs: Object<string, Object>, branchRuns: Object<string, Object>, rateLimitedUntil: number|null}>}
+ *   Latest run per workflow path on any branch and on the default branch, empty if unavailable,
+ *   and when the rate limit resets if that is why
+ */
+async function fetchWorkflowRuns(owner, repo, workflows) {
+  try {
+    // Cached per repository, so refreshes do not ask the API for the default branch every time
+    const defaultBranch = await resolveDefaultBranch(owner, repo);
+
+    const response = await sendMessage({
+      action: 'fetchWorkflowRuns',
+      owner,
+      repo,
+      defaultBranch,
+      workflows: workflows.map(workflow => ({ path: workflow.path, id: workflow.id }))
+    });
+
+    if (response.success) {
+      return { runs: response.runs, branchRuns: response.branchRuns, rateLimitedUntil: null };
+    }
+
+    console.warn(`[GitHub Actions Folders] Workflow runs unavailable for ${owner}/${repo}: ${response.error}`);
+
+    if (response.reason === 'rate_limited') {
+      return { runs: {}, branchRuns: {}, rateLimitedUntil: response.resetAt };
+    }
+  } catch (error) {
+    console.warn(`[GitHub Actions Folders] Error fetching workflow runs for ${owner}/${repo}:`, error.message);
+  }
+
+  return { runs: {}, branchRuns: {}, rateLimitedUntil: null };
+}
+
+/**
+ * Commits the config file through the service worker using the stored token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options
+ * @param {string} options.content - New file content
+ * @param {string} options.branch - Branch to commit to, or the base branch of the pull request
+ * @param {string} [options.path] - Config file path, defaults to .github/actions-folders.json
+ * @param {string} [options.message] - Commit message
+ * @param {string} [options.newBranch] - Commit to this new branch and open a pull request
+ * @param {string} [options.sha] - Blob sha of the file version the changes are based on
+ * @returns {Promise<Object>} Commit result ({success, commitUrl, pullRequestUrl} or {success: false, error})
+ */
+async function commitConfig(owner, repo, { content, branch, path, message, newBranch, sha }) {
+  try {
+    return await sendMessage({
+      action: 'commitConfig',
+      owner,
+      repo,
+      content,
+      branch,
+      path,
+      message,
+      newBranch,
+      sha
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Finds the workflows that can be run manually via service worker
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object<string, {inputs: Array<Object>}>>} Dispatch inputs per workflow path, empty if unavailable
+ */
+async function fetchDispatchableWorkflows(owner, repo) {
+  try {
+    const response = await sendMessage({
+      action: 'fetchDispatchableWorkflows',
+      owner,
+      repo
+    });
+
+    if (response.success) {
+      return response.workflows;
+    }
+
+    console.warn(`[GitHub Actions Folders] Dispatchable workflows unavailable for ${owner}/${repo}: ${response.error || response.reason}`);
+  } catch (error) {
+    console.warn(`[GitHub Actions Folders] Error finding dispatchable workflows for ${owner}/${repo}:`, error.message);
+  }
+
+  return {};
+}
+
+/**
+ * Lists the branches a workflow can be run on via service worker
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{defaultBranch: string|null, branches: Array<string>}>} Refs, empty if unavailable
+ */
+async function fetchDispatchRefs(owner, repo) {
+  try {
+    const response = await sendMessage({
+      action: 'fetchDispatchRefs',
+      owner,
+      repo
+    });
+
+    if (response.success) {
+      return { defaultBranch: response.defaultBranch, branches: response.branches };
+    }
+
+    console.warn(`[GitHub Actions Folders] Branches unavailable for ${owner}/${repo}: ${response.error}`);
+  } catch (error) {
+    console.warn(`[GitHub Actions Folders] Error listing branches for ${owner}/${repo}:`, error.message);
+  }
+
+  return { defaultBranch: null, branches: [] };
+}
+
+/**
+ * Starts a workflow_dispatch run through the service worker using the stored token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options
+ * @param {string} options.workflowPath - Workflow path
+ * @param {string} options.ref - Branch or tag to run on
+ * @param {Object<string, string>} options.inputs - Input values by name
+ * @returns {Promise<Object>} Dispatch result ({success, ref} or {success: false, error})
+ */
+async function dispatchWorkflow(owner, repo, { workflowPath, ref, inputs }) {
+  try {
+    return await sendMessage({
+      action: 'dispatchWorkflow',
+      owner,
+      repo,
+      workflowPath,
+      ref,
+      inputs
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Runs a bulk action on a group of workflows through the service worker using the stored token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} bulkAction - "dispatch", "disable", "enable" or "cancel"
+ * @param {Array<{path: string, name: string, id: number|null}>} workflows - Workflows to act on
+ * @returns {Promise<Object>} Result ({success, results} or {success: false, error})
+ */
+async function bulkWorkflowAction(owner, repo, bulkAction, workflows) {
+  try {
+    return await sendMessage({
+      action: 'bulkWorkflowAction',
+      owner,
+      repo,
+      bulkAction,
+      workflows
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
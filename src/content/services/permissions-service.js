@@ -30,7 +30,7 @@ function getCurrentUsername() {
  */
 async function checkWriteAccessViaAPI(owner, repo, username) {
   try {
-    const response = await browser.runtime.sendMessage({
+    const response = await sendMessage({
       action: 'checkPermission',
       owner,
       repo,
@@ -61,22 +61,23 @@ async function checkWriteAccessViaAPI(owner, repo, username) {
  * @returns {Promise<boolean|null>} True if has access, false if no access, null if check failed
  */
 async function checkWriteAccessFromHTMLEndpoint(owner, repo, username) {
-  const url = `https://github.com/${owner}/${repo}/settings`;
-  console.log('[GitHub Actions Folders] Checking write access by attempting to access settings:', url);
+  console.log(`[GitHub Actions Folders] Checking write access by attempting to access settings of ${owner}/${repo}`);
 
   try {
     // Uses session cookies, will redirect if no access
-    const response = await fetch(url, {
-      method: 'HEAD',
-      redirect: 'manual'
-    });
+    const response = await sendMessage({ action: 'checkSettingsAccess', owner, repo });
+
+    if (!response || !response.success) {
+      console.warn('[GitHub Actions Folders] Failed to check write access via settings page:', response?.error);
+      return null;
+    }
 
     if (response.status === 200) {
       console.log('[GitHub Actions Folders] Write access confirmed: settings page accessible');
       return true;
     }
 
-    if (response.status === 301 || response.status === 302 || response.status === 303) {
+    if (response.redirected || response.status === 301 || response.status === 302 || response.status === 303) {
       console.log('[GitHub Actions Folders] No write access: settings page redirected');
       return false;
     }
@@ -183,7 +184,7 @@ function checkWriteAccessFromDOM() {
  */
 async function getDefaultBranchViaAPI(owner, repo) {
   try {
-    const response = await browser.runtime.sendMessage({
+    const response = await sendMessage({
       action: 'getRepoInfo',
       owner,
       repo
@@ -203,12 +204,12 @@ async function getDefaultBranchViaAPI(owner, repo) {
 }
 
 /**
- * Detects the default branch by fetching the repository home page
+ * Detects the default branch via the API, falling back to the repository home page
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<string>} Default branch name (e.g., 'main' or 'master')
+ * @returns {Promise<string|null>} Default branch name, or null if it could not be detected
  */
-async function getDefaultBranch(owner, repo) {
+async function detectDefaultBranch(owner, repo) {
   const apiResult = await getDefaultBranchViaAPI(owner, repo);
 
   if (apiResult) {
@@ -219,7 +220,7 @@ async function getDefaultBranch(owner, repo) {
 
   try {
     // Uses session cookies for private repos
-    const url = `https://github.com/${owner}/${repo}`;
+    const url = `${window.location.origin}/${owner}/${repo}`;
     console.log('[GitHub Actions Folders] Fetching default branch from repo page:', url);
 
     const response = await fetch(url);
@@ -247,6 +248,84 @@ async function getDefaultBranch(owner, repo) {
     console.warn('[GitHub Actions Folders] Failed to fetch default branch from HTML:', error);
   }
 
+  return null;
+}
+
+/**
+ * Retrieves the cached default branch for a repository
+ * Cache expires after 1 hour
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string|null>} Cached branch or null if not cached/expired
+ */
+async function getCachedDefaultBranch(owner, repo) {
+  const cacheKey = getRepoStorageKey('default_branch', owner, repo, window.location.hostname);
+
+  try {
+    const result = await browser.storage.local.get(cacheKey);
+    const cached = result[cacheKey];
+
+    if (cached && cached.timestamp && Date.now() - cached.timestamp < DEFAULT_BRANCH_CACHE_DURATION_MS) {
+      return cached.branch;
+    }
+  } catch (error) {
+    console.error('[GitHub Actions Folders] Failed to retrieve cached default branch:', error);
+  }
+
+  return null;
+}
+
+/**
+ * Caches the default branch of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Default branch name
+ * @returns {Promise<void>}
+ */
+async function cacheDefaultBranch(owner, repo, branch) {
+  const cacheKey = getRepoStorageKey('default_branch', owner, repo, window.location.hostname);
+  await browser.storage.local.set({
+    [cacheKey]: {
+      branch,
+      timestamp: Date.now()
+    }
+  });
+}
+
+/**
+ * Resolves the default branch of a repository, using the cache when possible
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string|null>} Default branch name, or null if it could not be detected
+ */
+async function resolveDefaultBranch(owner, repo) {
+  const cached = await getCachedDefaultBranch(owner, repo);
+  if (cached) {
+    console.log(`[GitHub Actions Folders] Using cached default branch: ${cached}`);
+    return cached;
+  }
+
+  const branch = await detectDefaultBranch(owner, repo);
+  if (branch) {
+    await cacheDefaultBranch(owner, repo, branch);
+  }
+
+  return branch;
+}
+
+/**
+ * Gets the default branch of a repository, falling back to 'main' if it cannot be detected
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string>} Default branch name (e.g., 'main' or 'master')
+ */
+async function getDefaultBranch(owner, repo) {
+  const branch = await resolveDefaultBranch(owner, repo);
+
+  if (branch) {
+    return branch;
+  }
+
   console.log('[GitHub Actions Folders] Could not detect branch, using default: main');
   return 'main';
 }
@@ -256,13 +335,14 @@ async function getDefaultBranch(owner, repo) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} defaultBranch - Default branch name (optional, will auto-detect)
+ * @param {Object} [config] - Config to pre-fill (optional, defaults to an example config)
  * @returns {Promise<string>} URL to GitHub's file creation page
  */
-async function buildConfigCreationUrl(owner, repo, defaultBranch = null) {
+async function buildConfigCreationUrl(owner, repo, defaultBranch = null, config = null) {
   const branch = defaultBranch || await getDefaultBranch(owner, repo);
   const filename = '.github/actions-folders.json';
 
-  const template = {
+  const template = config || {
     folders: [
       {
         name: "Build & Test",
@@ -278,5 +358,18 @@ async function buildConfigCreationUrl(owner, repo, defaultBranch = null) {
   const templateJson = JSON.stringify(template, null, 2);
   const encodedValue = encodeURIComponent(templateJson);
 
-  return `https://github.com/${owner}/${repo}/new/${branch}?filename=${encodeURIComponent(filename)}&value=${encodedValue}`;
+  return `${window.location.origin}/${owner}/${repo}/new/${branch}?filename=${encodeURIComponent(filename)}&value=${encodedValue}`;
+}
+
+/**
+ * Builds the GitHub URL to edit an existing config file
+ * GitHub's edit page cannot be pre-filled, so callers provide the new content some other way
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch the config file is on
+ * @param {string} configPath - Path of the config file
+ * @returns {string} URL to GitHub's file edit page
+ */
+function buildConfigEditUrl(owner, repo, branch, configPath) {
+  return `${window.location.origin}/${owner}/${repo}/edit/${branch}/${configPath}`;
 }
@@ -1,16 +1,43 @@
 /**
  * Storage Service
  * Abstraction over Chrome Storage API
+ * Per-repository keys are scoped to the host through getRepoStorageId from shared/host-storage.js
  */
 
+/**
+ * Builds the storage key of a per-repository setting
+ * @param {string} prefix - Setting name (e.g. "folder_states")
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} host - Hostname of the repository
+ * @returns {string} Storage key (e.g. "folder_states_octo_repo" or "folder_states_github.example.com_octo_repo")
+ */
+function getRepoStorageKey(prefix, owner, repo, host) {
+  return `${prefix}_${getRepoStorageId(host, owner, repo)}`;
+}
+
+/**
+ * Lists the repositories that have a per-repository setting
+ * @param {Object} items - All items of a storage area
+ * @param {string} prefix - Setting name (e.g. "folder_states")
+ * @returns {Array<{host: string, owner: string, repo: string, value: *}>} Repositories with the stored value
+ */
+function listRepoStorageItems(items, prefix) {
+  return Object.keys(items)
+    .filter(key => key.startsWith(`${prefix}_`))
+    .map(key => ({ ...parseRepoStorageId(key.slice(prefix.length + 1)), value: items[key] }))
+    .filter(entry => entry.owner);
+}
+
 /**
  * Gets the enabled state for a specific repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
  * @returns {Promise<boolean>} True if enabled, false if disabled
  */
-async function getExtensionEnabled(owner, repo) {
-  const key = `enabled_${owner}_${repo}`;
+async function getExtensionEnabled(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('enabled', owner, repo, host);
   const result = await browser.storage.local.get(key);
   return result[key] !== false;
 }
@@ -20,10 +47,11 @@ async function getExtensionEnabled(owner, repo) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {boolean} enabled - Whether extension is enabled
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
  * @returns {Promise<void>}
  */
-async function setExtensionEnabled(owner, repo, enabled) {
-  const key = `enabled_${owner}_${repo}`;
+async function setExtensionEnabled(owner, repo, enabled, host = window.location.hostname) {
+  const key = getRepoStorageKey('enabled', owner, repo, host);
   await browser.storage.local.set({ [key]: enabled });
 }
 
@@ -31,10 +59,11 @@ async function setExtensionEnabled(owner, repo, enabled) {
  * Gets the folder states for a specific repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<Object>} Object mapping folder names to expanded state (true = expanded, false = collapsed)
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Object>} Object mapping folder paths (e.g. "Deploy/Production") to expanded state (true = expanded, false = collapsed)
  */
-async function getFolderStates(owner, repo) {
-  const key = `folder_states_${owner}_${repo}`;
+async function getFolderStates(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('folder_states', owner, repo, host);
   const result = await browser.storage.local.get(key);
   return result[key] || {};
 }
@@ -43,46 +72,261 @@ async function getFolderStates(owner, repo) {
  * Sets the state for a specific folder in a repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {string} folderName - Name of the folder
+ * @param {string} folderPath - Path of the folder; top-level folders use their name
  * @param {boolean} isExpanded - Whether the folder is expanded
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
  * @returns {Promise<void>}
  */
-async function setFolderState(owner, repo, folderName, isExpanded) {
-  const key = `folder_states_${owner}_${repo}`;
-  const states = await getFolderStates(owner, repo);
-  states[folderName] = isExpanded;
+async function setFolderState(owner, repo, folderPath, isExpanded, host = window.location.hostname) {
+  const key = getRepoStorageKey('folder_states', owner, repo, host);
+  const states = await getFolderStates(owner, repo, host);
+  states[folderPath] = isExpanded;
   await browser.storage.local.set({ [key]: states });
 }
 
 /**
  * Gets all repositories that have saved folder states
- * @returns {Promise<Array<{owner: string, repo: string}>>} Array of repository info
+ * @returns {Promise<Array<{host: string, owner: string, repo: string}>>} Array of repository info
  */
 async function getAllRepositoriesWithStates() {
   const items = await browser.storage.local.get(null);
-  const repos = [];
-
-  for (const key in items) {
-    if (key.startsWith('folder_states_')) {
-      const parts = key.replace('folder_states_', '').split('_');
-      if (parts.length >= 2) {
-        const owner = parts[0];
-        const repo = parts.slice(1).join('_');
-        repos.push({ owner, repo });
-      }
-    }
-  }
-
-  return repos;
+  return listRepoStorageItems(items, 'folder_states').map(({ host, owner, repo }) => ({ host, owner, repo }));
 }
 
 /**
  * Clears folder states for a specific repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
  * @returns {Promise<void>}
  */
-async function clearFolderStatesForRepo(owner, repo) {
-  const key = `folder_states_${owner}_${repo}`;
+async function clearFolderStatesForRepo(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('folder_states', owner, repo, host);
   await browser.storage.local.remove(key);
 }
+
+/**
+ * Gets the personal folder layout for a specific repository
+ * Layouts live in sync storage so they follow the user across browsers.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Object|null>} Layout ({mode, folders, hide, order}), or null if none is saved
+ */
+async function getPersonalLayout(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('layout', owner, repo, host);
+  const result = await browser.storage.sync.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Saves the personal folder layout for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} layout - Layout to save
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<void>}
+ */
+async function setPersonalLayout(owner, repo, layout, host = window.location.hostname) {
+  const key = getRepoStorageKey('layout', owner, repo, host);
+  await browser.storage.sync.set({ [key]: layout });
+}
+
+/**
+ * Removes the personal folder layout for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<void>}
+ */
+async function removePersonalLayout(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('layout', owner, repo, host);
+  await browser.storage.sync.remove(key);
+}
+
+/**
+ * Gets all repositories that have a personal layout
+ * @returns {Promise<Array<{host: string, owner: string, repo: string, layout: Object}>>} Array of repository info with layouts
+ */
+async function getAllPersonalLayouts() {
+  const items = await browser.storage.sync.get(null);
+  return listRepoStorageItems(items, 'layout').map(({ host, owner, repo, value }) => ({ host, owner, repo, layout: value }));
+}
+
+/**
+ * Gets the pinned workflows for a specific repository
+ * Pins live in sync storage so they follow the user across browsers.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Array<string>>} Workflow paths in the order they were pinned
+ */
+async function getPinnedWorkflows(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('pinned', owner, repo, host);
+  const result = await browser.storage.sync.get(key);
+  return result[key] || [];
+}
+
+/**
+ * Pins or unpins a workflow in a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflowPath - Workflow path (e.g. ".github/workflows/deploy.yml")
+ * @param {boolean} isPinned - Whether the workflow should be pinned
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Array<string>>} Updated pinned workflow paths
+ */
+async function setWorkflowPinned(owner, repo, workflowPath, isPinned, host = window.location.hostname) {
+  const key = getRepoStorageKey('pinned', owner, repo, host);
+  const pinned = (await getPinnedWorkflows(owner, repo, host)).filter(path => path !== workflowPath);
+
+  if (isPinned) {
+    pinned.push(workflowPath);
+  }
+
+  if (pinned.length > 0) {
+    await browser.storage.sync.set({ [key]: pinned });
+  } else {
+    await browser.storage.sync.remove(key);
+  }
+
+  return pinned;
+}
+
+/**
+ * Gets all repositories that have pinned workflows
+ * @returns {Promise<Array<{host: string, owner: string, repo: string, paths: Array<string>}>>} Array of repository info with pins
+ */
+async function getAllPinnedWorkflows() {
+  const items = await browser.storage.sync.get(null);
+  return listRepoStorageItems(items, 'pinned').map(({ host, owner, repo, value }) => ({ host, owner, repo, paths: value }));
+}
+
+/**
+ * Clears all pinned workflows for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<void>}
+ */
+async function clearPinnedWorkflows(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('pinned', owner, repo, host);
+  await browser.storage.sync.remove(key);
+}
+
+/**
+ * Gets how many workflows the "Recent" folder shows
+ * @returns {Promise<number>} Folder size, 0 when the folder is turned off
+ */
+async function getRecentWorkflowsLimit() {
+  const result = await browser.storage.sync.get('recent_workflows_limit');
+  return result.recent_workflows_limit !== undefined ? result.recent_workflows_limit : DEFAULT_RECENT_WORKFLOWS_LIMIT;
+}
+
+/**
+ * Sets how many workflows the "Recent" folder shows
+ * @param {number} limit - Folder size between 0 and MAX_RECENT_WORKFLOWS_LIMIT, 0 turns the folder off
+ * @returns {Promise<void>}
+ */
+async function setRecentWorkflowsLimit(limit) {
+  await browser.storage.sync.set({ recent_workflows_limit: limit });
+}
+
+/**
+ * Gets how many workflows are fetched from the API at most
+ * @returns {Promise<number>} Upper bound on fetched workflows
+ */
+async function getWorkflowsFetchLimit() {
+  const result = await browser.storage.sync.get('workflows_fetch_limit');
+  return result.workflows_fetch_limit !== undefined ? result.workflows_fetch_limit : DEFAULT_WORKFLOWS_FETCH_LIMIT;
+}
+
+/**
+ * Sets how many workflows are fetched from the API at most
+ * @param {number} limit - Upper bound between 100 and MAX_WORKFLOWS_FETCH_LIMIT
+ * @returns {Promise<void>}
+ */
+async function setWorkflowsFetchLimit(limit) {
+  await browser.storage.sync.set({ workflows_fetch_limit: limit });
+}
+
+/**
+ * Gets the recently visited workflows for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Array<string>>} Workflow paths, most recent first
+ */
+async function getRecentWorkflows(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('recent_workflows', owner, repo, host);
+  const result = await browser.storage.local.get(key);
+  return result[key] || [];
+}
+
+/**
+ * Records a visit to a workflow's runs page
+ * Up to MAX_RECENT_WORKFLOWS_LIMIT visits are kept so a larger folder size applies immediately.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflowPath - Workflow path (e.g. ".github/workflows/deploy.yml")
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<Array<string>>} Updated recent workflow paths
+ */
+async function recordWorkflowVisit(owner, repo, workflowPath, host = window.location.hostname) {
+  const key = getRepoStorageKey('recent_workflows', owner, repo, host);
+  const recent = (await getRecentWorkflows(owner, repo, host)).filter(path => path !== workflowPath);
+
+  recent.unshift(workflowPath);
+  recent.splice(MAX_RECENT_WORKFLOWS_LIMIT);
+
+  await browser.storage.local.set({ [key]: recent });
+
+  return recent;
+}
+
+/**
+ * Gets how disabled workflows are shown for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<string|null>} "show", "hide" or "folder", or null to follow the config
+ */
+async function getDisabledWorkflowsMode(owner, repo, host = window.location.hostname) {
+  const key = getRepoStorageKey('disabled_workflows', owner, repo, host);
+  const result = await browser.storage.sync.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Sets how disabled workflows are shown for a specific repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} mode - "show", "hide" or "folder"
+ * @param {string} [host] - Hostname of the repository, the current page's unless given
+ * @returns {Promise<void>}
+ */
+async function setDisabledWorkflowsMode(owner, repo, mode, host = window.location.hostname) {
+  const key = getRepoStorageKey('disabled_workflows', owner, repo, host);
+  await browser.storage.sync.set({ [key]: mode });
+}
+
+/**
+ * Adds a GitHub Enterprise host, replacing an existing profile of the same host
+ * @param {{host: string, apiUrl: string, rawUrl: string, token?: string}} profile - Host profile
+ * @returns {Promise<void>}
+ */
+async function saveHostProfile(profile) {
+  const profiles = (await getHostProfiles()).filter(existing => existing.host !== profile.host);
+  profiles.push(profile);
+  await browser.storage.sync.set({ [HOST_PROFILES_STORAGE_KEY]: profiles });
+}
+
+/**
+ * Removes a GitHub Enterprise host
+ * @param {string} host - Hostname of the profile to remove
+ * @returns {Promise<void>}
+ */
+async function removeHostProfile(host) {
+  const profiles = (await getHostProfiles()).filter(existing => existing.host !== host);
+  await browser.storage.sync.set({ [HOST_PROFILES_STORAGE_KEY]: profiles });
+}
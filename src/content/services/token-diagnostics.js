@@ -0,0 +1,152 @@
+/**
+ * Token Diagnostics
+ * Reads the scopes and expiry of a token and probes a repository to tell which extension features work with it
+ * Used by the options page; relies on parseTokenExpiration and requestWithToken from token-service.js
+ */
+
+const TOKEN_TYPES = {
+  'ghp_': 'Classic personal access token',
+  'github_pat_': 'Fine-grained personal access token',
+  'gho_': 'OAuth app token',
+  'ghu_': 'GitHub App user token',
+  'ghs_': 'GitHub App installation token'
+};
+
+/**
+ * Names the kind of a token from its prefix
+ * @param {string} token - Token
+ * @returns {string} Token type, "Unknown token type" for unrecognized prefixes
+ */
+function getTokenType(token) {
+  const prefix = Object.keys(TOKEN_TYPES).find(entry => token.startsWith(entry));
+  return prefix ? TOKEN_TYPES[prefix] : 'Unknown token type';
+}
+
+/**
+ * Turns the answer to a probe into a feature verdict
+ * Write probes send incomplete bodies on purpose: 422 means the token passed the permission check
+ * and the request was only rejected as invalid, so nothing is changed in the repository.
+ * @param {{status: number, headers: Headers}} probe - Result of requestWithToken
+ * @param {string} permission - Fine-grained permission the feature needs (e.g. "actions:write")
+ * @param {string} scope - Classic scope the feature needs
+ * @returns {{works: boolean, detail: string}} Verdict
+ */
+function describeProbe(probe, permission, scope) {
+  if (probe.status === 422) {
+    return { works: true, detail: 'Allowed (checked with an invalid request, nothing was changed)' };
+  }
+
+  if (probe.status >= 200 && probe.status < 300) {
+    return { works: true, detail: 'Allowed' };
+  }
+
+  // Names the fine-grained permissions the endpoint accepts, e.g. "actions=write"
+  const accepted = probe.headers.get('X-Accepted-GitHub-Permissions');
+  const needs = accepted ? accepted.replace(/=/g, ':').replace(/;\s*/g, ' or ') : permission;
+
+  return {
+    works: false,
+    detail: `HTTP ${probe.status}. Needs ${needs} (${scope} scope for classic tokens)`
+  };
+}
+
+/**
+ * Checks what a token can do on a repository
+ * Reads the token's scopes and expiry, then probes the endpoints behind each extension feature.
+ * @param {string} token - Token to check
+ * @param {string} apiUrl - API URL of the token's host
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{valid: boolean, error?: string, type?: string, login?: string, scopes?: Array<string>|null,
+ *   expiresAt?: number|null, repository?: Object|null, features?: Array<{feature: string, works: boolean|null, detail: string}>}>}
+ *   scopes is null for token types without OAuth scopes (fine-grained and GitHub App tokens)
+ */
+async function diagnoseToken(token, apiUrl, owner, repo) {
+  try {
+    const user = await requestWithToken(token, `${apiUrl}/user`);
+
+    if (user.status === 401) {
+      return { valid: false, error: 'Unauthorized: Token is invalid or expired' };
+    }
+
+    const scopesHeader = user.headers.get('X-OAuth-Scopes');
+    const result = {
+      valid: true,
+      type: getTokenType(token),
+      login: user.data && user.data.login ? user.data.login : null,
+      scopes: scopesHeader === null ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean),
+      expiresAt: parseTokenExpiration(user.headers.get('GitHub-Authentication-Token-Expiration')),
+      repository: null,
+      features: []
+    };
+
+    const repoUrl = `${apiUrl}/repos/${owner}/${repo}`;
+    const repoProbe = await requestWithToken(token, repoUrl);
+
+    if (repoProbe.status !== 200) {
+      result.features.push({
+        feature: 'Repository access',
+        works: false,
+        detail: `HTTP ${repoProbe.status}. The repository does not exist or the token cannot see it`
+      });
+      return result;
+    }
+
+    const permissions = repoProbe.data.permissions || {};
+    result.repository = {
+      fullName: repoProbe.data.full_name,
+      private: repoProbe.data.private,
+      canPush: Boolean(permissions.push)
+    };
+
+    const [workflows, commits, runs] = await Promise.all([
+      requestWithToken(token, `${repoUrl}/actions/workflows?per_page=1`),
+      requestWithToken(token, `${repoUrl}/commits?per_page=1`),
+      requestWithToken(token, `${repoUrl}/actions/runs?per_page=1`)
+    ]);
+
+    // An empty repository answers 409 but reading it is allowed
+    if (commits.status === 409) {
+      commits.status = 200;
+    }
+
+    const firstWorkflow = workflows.status === 200 && workflows.data.workflows.length > 0
+      ? workflows.data.workflows[0]
+      : null;
+
+    const [dispatch, refs, pulls] = await Promise.all([
+      firstWorkflow
+        ? requestWithToken(token, `${repoUrl}/actions/workflows/${firstWorkflow.id}/dispatches`, { method: 'POST', body: '{}' })
+        : null,
+      requestWithToken(token, `${repoUrl}/git/refs`, { method: 'POST', body: '{}' }),
+      requestWithToken(token, `${repoUrl}/pulls`, { method: 'POST', body: '{}' })
+    ]);
+
+    result.features.push(
+      { feature: 'Folder view from the API', ...describeProbe(workflows, 'actions:read', 'repo') },
+      { feature: 'Repository config file', ...describeProbe(commits, 'contents:read', 'repo') },
+      { feature: 'Latest run status', ...describeProbe(runs, 'actions:read', 'repo') },
+      {
+        feature: 'Run workflows and folder bulk actions',
+        ...(dispatch
+          ? describeProbe(dispatch, 'actions:write', 'repo')
+          : { works: null, detail: 'Not checked, the repository has no workflows' })
+      },
+      { feature: 'Commit config changes', ...describeProbe(refs, 'contents:write', 'repo') },
+      { feature: 'Open pull requests with config changes', ...describeProbe(pulls, 'pull_requests:write', 'repo') }
+    );
+
+    // Classic tokens need the extra workflow scope to write anything below .github/workflows
+    const commitRow = result.features.find(row => row.feature === 'Commit config changes');
+    if (commitRow.works && result.scopes && !result.scopes.includes('workflow')) {
+      commitRow.detail += '. Config files in .github/workflows also need the workflow scope';
+    }
+
+    return result;
+  } catch (error) {
+    return {
+      valid: false,
+      error: `Network error: ${error.message}`
+    };
+  }
+}
@@ -1,50 +1,127 @@
 /**
  * Token Service
- * Manages GitHub API token storage, validation, and retrieval
+ * Manages the saved GitHub API tokens, each scoped to a host and owner patterns, and their validation
  */
 
-const TOKEN_STORAGE_KEY = 'github_token';
+const TOKENS_STORAGE_KEY = 'github_tokens';
+const OAUTH_SETTINGS_STORAGE_KEY = 'oauth_settings';
+
+// Used to test tokens of github.com; enterprise hosts are tested against the API URL of their profile
+const GITHUB_COM_API_URL = 'https://api.github.com';
+
+// Tokens expiring within this window are flagged in the options page
+const TOKEN_EXPIRY_WARNING_MS = 7 * 24 * 60 * 60 * 1000;
+
+// "*", an owner ("acme-corp"), or owner/repo, each part allowing * wildcards
+const OWNER_PATTERN_REGEX = /^(\*|[\w.*-]+(\/[\w.*-]+)?)$/;
 
 /**
- * Saves a GitHub API token to Chrome storage
- * @param {string} token - The GitHub personal access token
- * @returns {Promise<void>}
+ * Retrieves the saved tokens
+ * @returns {Promise<Array<{id: string, name: string, host: string, owners: Array<string>, token: string, lastTest?: Object}>>} Token entries
  */
-async function saveToken(token) {
+async function getTokens() {
+  const result = await browser.storage.sync.get(TOKENS_STORAGE_KEY);
+  return Array.isArray(result[TOKENS_STORAGE_KEY]) ? result[TOKENS_STORAGE_KEY] : [];
+}
+
+/**
+ * Splits the owner patterns typed into the options page
+ * @param {string} value - Patterns separated by commas or whitespace (e.g. "acme-corp/*, octo/app")
+ * @returns {Array<string>|null} Patterns, null if one of them is invalid
+ */
+function parseOwnerPatterns(value) {
+  const patterns = value.split(/[\s,]+/).filter(Boolean);
+  return patterns.every(pattern => OWNER_PATTERN_REGEX.test(pattern)) ? patterns : null;
+}
+
+/**
+ * Saves a new token
+ * Tokens from the device flow sign-in also carry what the service worker needs to refresh them.
+ * @param {Object} entry - Token entry without an id
+ * @param {string} entry.name - Display name
+ * @param {string} entry.host - Hostname the token is for
+ * @param {Array<string>} entry.owners - Owner patterns
+ * @param {string} entry.token - The token
+ * @param {Object} [entry.oauth] - refreshToken, expiresAt, refreshTokenExpiresAt, clientId and oauthUrl of a signed-in token
+ * @returns {Promise<Object>} The saved entry
+ */
+async function saveTokenEntry({ name, host, owners, token, oauth = null }) {
   if (!token || typeof token !== 'string') {
     throw new Error('Invalid token: must be a non-empty string');
   }
 
-  await browser.storage.sync.set({ [TOKEN_STORAGE_KEY]: token });
-  console.log('[Token Service] Token saved successfully');
+  const saved = { id: crypto.randomUUID(), name, host, owners: owners.length > 0 ? owners : ['*'], token, ...oauth };
+  const tokens = await getTokens();
+  tokens.push(saved);
+
+  await browser.storage.sync.set({ [TOKENS_STORAGE_KEY]: tokens });
+  console.log(`[Token Service] Token "${name}" saved for ${host}`);
+
+  return saved;
 }
 
 /**
- * Retrieves the stored GitHub API token
- * @returns {Promise<string|null>} The token if exists, null otherwise
+ * Removes a saved token
+ * @param {string} id - Id of the token entry
+ * @returns {Promise<void>}
  */
-async function getToken() {
-  try {
-    const result = await browser.storage.sync.get(TOKEN_STORAGE_KEY);
-    return result[TOKEN_STORAGE_KEY] || null;
-  } catch (error) {
-    console.error('[Token Service] Failed to retrieve token:', error);
-    return null;
-  }
+async function removeTokenEntry(id) {
+  const tokens = (await getTokens()).filter(entry => entry.id !== id);
+  await browser.storage.sync.set({ [TOKENS_STORAGE_KEY]: tokens });
+  console.log('[Token Service] Token removed');
+}
+
+/**
+ * Stores the outcome of testToken with a saved token
+ * @param {string} id - Id of the token entry
+ * @param {{valid: boolean, error?: string, rateLimit?: Object, expiresAt?: number|null}} result - Result of testToken
+ * @returns {Promise<void>}
+ */
+async function recordTokenTest(id, { valid, error, rateLimit, expiresAt }) {
+  const tokens = (await getTokens()).map(entry => entry.id === id
+    ? {
+      ...entry,
+      lastTest: {
+        valid,
+        error: error || null,
+        remaining: rateLimit ? rateLimit.remaining : null,
+        limit: rateLimit ? rateLimit.limit : null,
+        expiresAt: expiresAt || null,
+        testedAt: Date.now()
+      }
+    }
+    : entry);
+
+  await browser.storage.sync.set({ [TOKENS_STORAGE_KEY]: tokens });
 }
 
 /**
- * Clears the stored GitHub API token
+ * Retrieves the OAuth app used to sign in on a host
+ * @param {string} host - Hostname
+ * @returns {Promise<{clientId?: string, oauthUrl?: string}>} Saved settings, empty if none
+ */
+async function getOAuthSettings(host) {
+  const result = await browser.storage.sync.get(OAUTH_SETTINGS_STORAGE_KEY);
+  return (result[OAUTH_SETTINGS_STORAGE_KEY] || {})[host] || {};
+}
+
+/**
+ * Saves the OAuth app used to sign in on a host
+ * @param {string} host - Hostname
+ * @param {{clientId: string, oauthUrl?: string}} settings - Client ID, and the OAuth base URL when it is not the host itself
  * @returns {Promise<void>}
  */
-async function clearToken() {
-  await browser.storage.sync.remove(TOKEN_STORAGE_KEY);
-  console.log('[Token Service] Token cleared');
+async function saveOAuthSettings(host, { clientId, oauthUrl }) {
+  const result = await browser.storage.sync.get(OAUTH_SETTINGS_STORAGE_KEY);
+  const settings = result[OAUTH_SETTINGS_STORAGE_KEY] || {};
+  settings[host] = oauthUrl ? { clientId, oauthUrl } : { clientId };
+
+  await browser.storage.sync.set({ [OAUTH_SETTINGS_STORAGE_KEY]: settings });
 }
 
 /**
  * Validates token format (basic check)
- * GitHub tokens start with: ghp_ (personal), gho_ (OAuth), ghs_ (server), or github_pat_ (fine-grained)
+ * GitHub tokens start with: ghp_ (personal), gho_ (OAuth), ghu_ (GitHub App user), ghs_ (server), or github_pat_ (fine-grained)
  * @param {string} token - Token to validate
  * @returns {boolean} True if format appears valid
  */
@@ -53,7 +130,7 @@ function validateTokenFormat(token) {
     return false;
   }
 
-  const validPrefixes = ['ghp_', 'gho_', 'ghs_', 'github_pat_'];
+  const validPrefixes = ['ghp_', 'gho_', 'ghu_', 'ghs_', 'github_pat_'];
   const hasValidPrefix = validPrefixes.some(prefix => token.startsWith(prefix));
 
   if (!hasValidPrefix) {
@@ -69,12 +146,67 @@ function validateTokenFormat(token) {
   return true;
 }
 
+/**
+ * Parses the GitHub-Authentication-Token-Expiration header
+ * GitHub sends it as "2026-11-01 12:00:00 UTC" or "2026-11-01 12:00:00 +0200".
+ * @param {string|null} value - Header value
+ * @returns {number|null} Expiry timestamp, null when the token does not expire
+ */
+function parseTokenExpiration(value) {
+  if (!value) {
+    return null;
+  }
+
+  const iso = value.trim()
+    .replace(' ', 'T')
+    .replace(/ UTC$/, 'Z')
+    .replace(/ ([+-]\d\d)(\d\d)$/, '$1:$2');
+  const timestamp = Date.parse(iso);
+
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Tells whether an expiry is close enough to warn about
+ * @param {number|null} expiresAt - Expiry timestamp
+ * @returns {boolean} True if the token expired or expires within TOKEN_EXPIRY_WARNING_MS
+ */
+function isTokenExpiringSoon(expiresAt) {
+  return Boolean(expiresAt) && expiresAt - Date.now() < TOKEN_EXPIRY_WARNING_MS;
+}
+
+/**
+ * Sends an API request with a token through the service worker, so it is scheduled like every other API call
+ * @param {string} token - Token to send
+ * @param {string} url - Full API URL of a configured host
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method
+ * @param {string} [options.body] - JSON request body
+ * @returns {Promise<{status: number, statusText: string, headers: Headers, data: Object|null}>} Status, headers and JSON body if any
+ * @throws {Error} If the request could not be sent, e.g. while rate limited
+ */
+async function requestWithToken(token, url, { method = 'GET', body = undefined } = {}) {
+  const response = await browser.runtime.sendMessage({ action: 'requestWithToken', token, url, method, body });
+
+  if (!response || !response.success) {
+    throw new Error(response ? response.error : 'No response from the service worker');
+  }
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: new Headers(response.headers),
+    data: response.data
+  };
+}
+
 /**
  * Tests if a token is valid by making an API call to GitHub
  * @param {string} token - Token to test
- * @returns {Promise<{valid: boolean, error?: string, rateLimit?: object}>}
+ * @param {string} apiUrl - API URL of the token's host, github.com unless given
+ * @returns {Promise<{valid: boolean, error?: string, rateLimit?: object, expiresAt?: number|null}>}
  */
-async function testToken(token) {
+async function testToken(token, apiUrl = GITHUB_COM_API_URL) {
   if (!validateTokenFormat(token)) {
     return {
       valid: false,
@@ -83,23 +215,18 @@ async function testToken(token) {
   }
 
   try {
-    const response = await fetch('https://api.github.com/rate_limit', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github+json',
-        'X-GitHub-Api-Version': '2022-11-28'
-      }
-    });
+    const response = await requestWithToken(token, `${apiUrl}/rate_limit`);
 
-    if (response.ok) {
-      const data = await response.json();
+    if (response.status === 200) {
+      const { data } = response;
       return {
         valid: true,
         rateLimit: {
           limit: data.rate.limit,
           remaining: data.rate.remaining,
           reset: new Date(data.rate.reset * 1000)
-        }
+        },
+        expiresAt: parseTokenExpiration(response.headers.get('GitHub-Authentication-Token-Expiration'))
       };
     } else if (response.status === 401) {
       return {
@@ -126,10 +253,13 @@ async function testToken(token) {
 }
 
 /**
- * Checks if a token is currently stored
- * @returns {Promise<boolean>} True if token exists
+ * Checks if a saved token applies to a repository on the current page's host
+ * The service worker picks the token, so this matches the token its requests will use.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<boolean>} True if a token applies
  */
-async function hasToken() {
-  const token = await getToken();
-  return token !== null && token.length > 0;
+async function hasToken(owner, repo) {
+  const response = await sendMessage({ action: 'hasToken', owner, repo });
+  return Boolean(response && response.hasToken);
 }
@@ -0,0 +1,158 @@
+/**
+ * Commit Dialog Module
+ * Form for committing the config file with the stored token
+ * Follows Single Responsibility Principle - only responsible for the commit form and its result
+ */
+
+/**
+ * Creates a labelled form field
+ * @param {string} labelText - Label text
+ * @param {HTMLElement} input - Input element
+ * @returns {HTMLElement} Field element
+ */
+function createCommitField(labelText, input) {
+  const field = document.createElement('label');
+  field.className = CLASS_NAMES.commitField;
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+
+  field.appendChild(label);
+  field.appendChild(input);
+
+  return field;
+}
+
+/**
+ * Creates a text input for the commit form
+ * @param {string} value - Initial value
+ * @returns {HTMLInputElement} Input
+ */
+function createCommitInput(value) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = CLASS_NAMES.commitInput;
+  input.value = value;
+  input.spellcheck = false;
+  return input;
+}
+
+/**
+ * Shows the outcome of a commit in the dialog
+ * @param {HTMLElement} status - Status element
+ * @param {Object} result - Response from commitConfig
+ */
+function renderCommitResult(status, result) {
+  status.textContent = '';
+  status.className = CLASS_NAMES.commitStatus;
+
+  if (!result.success) {
+    status.classList.add(`${CLASS_NAMES.commitStatus}-error`);
+    status.textContent = result.error || 'Commit failed';
+    return;
+  }
+
+  status.classList.add(`${CLASS_NAMES.commitStatus}-success`);
+  status.appendChild(document.createTextNode(`${result.created ? 'Created' : 'Updated'} the config on ${result.branch}. `));
+
+  const link = document.createElement('a');
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.href = result.pullRequestUrl || result.commitUrl;
+  link.textContent = result.pullRequestUrl ? 'View pull request' : 'View commit';
+  status.appendChild(link);
+}
+
+/**
+ * Opens the commit form for a config file
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options
+ * @param {string} options.content - New file content
+ * @param {string} options.branch - Suggested branch
+ * @param {string} [options.path] - Config file path, defaults to .github/actions-folders.json
+ * @param {string} [options.sha] - Blob sha of the file as loaded from the suggested branch, if it existed
+ */
+function openCommitConfigDialog(owner, repo, { content, branch, path = '.github/actions-folders.json', sha = null }) {
+  const form = document.createElement('div');
+  form.className = CLASS_NAMES.commitForm;
+
+  const intro = document.createElement('p');
+  intro.className = CLASS_NAMES.layoutEditorHint;
+  intro.textContent = `Commits ${path} with your saved token. The token needs the contents:write permission.`;
+
+  const branchInput = createCommitInput(branch);
+  const messageInput = createCommitInput('Update GitHub Actions folders config');
+
+  const pullRequestToggle = document.createElement('input');
+  pullRequestToggle.type = 'checkbox';
+
+  const pullRequestLabel = document.createElement('label');
+  pullRequestLabel.className = CLASS_NAMES.commitCheckbox;
+  pullRequestLabel.appendChild(pullRequestToggle);
+  pullRequestLabel.appendChild(document.createTextNode(' Commit to a new branch and open a pull request'));
+
+  const newBranchInput = createCommitInput(`actions-folders-${new Date().toISOString().slice(0, 10)}`);
+  const newBranchField = createCommitField('New branch', newBranchInput);
+  newBranchField.style.display = 'none';
+
+  pullRequestToggle.addEventListener('change', () => {
+    newBranchField.style.display = pullRequestToggle.checked ? '' : 'none';
+  });
+
+  const status = document.createElement('p');
+  status.className = CLASS_NAMES.commitStatus;
+
+  form.appendChild(intro);
+  form.appendChild(createCommitField('Branch', branchInput));
+  form.appendChild(createCommitField('Commit message', messageInput));
+  form.appendChild(pullRequestLabel);
+  form.appendChild(newBranchField);
+  form.appendChild(status);
+
+  let committed = false;
+
+  openModalDialog({
+    title: `Commit config to ${owner}/${repo}`,
+    content: form,
+    actions: [
+      { label: 'Close', onClick: () => {} },
+      {
+        label: 'Commit',
+        variant: 'primary',
+        onClick: async () => {
+          if (committed) {
+            return false;
+          }
+
+          const targetBranch = branchInput.value.trim();
+          const newBranch = pullRequestToggle.checked ? newBranchInput.value.trim() : null;
+
+          if (!targetBranch || (pullRequestToggle.checked && !newBranch)) {
+            renderCommitResult(status, { success: false, error: 'Please enter a branch name' });
+            return false;
+          }
+
+          status.className = CLASS_NAMES.commitStatus;
+          status.textContent = 'Committing...';
+
+          // The loaded version only applies to the branch it was loaded from
+          const result = await commitConfig(owner, repo, {
+            content,
+            path,
+            branch: targetBranch,
+            message: messageInput.value.trim() || undefined,
+            newBranch,
+            sha: targetBranch === branch ? sha || undefined : undefined
+          });
+
+          renderCommitResult(status, result);
+          committed = result.success;
+          console.log('[GitHub Actions Folders] Config commit', result.success ? 'succeeded' : 'failed', result);
+
+          return false;
+        }
+      }
+    ]
+  });
+}
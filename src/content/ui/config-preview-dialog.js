@@ -0,0 +1,162 @@
+/**
+ * Config Preview Dialog Module
+ * Lets the user review and tweak a generated config before creating it on GitHub
+ * Follows Single Responsibility Principle - only responsible for the create config preview
+ */
+
+/**
+ * Parses and validates the config text from the editor
+ * @param {string} text - Config JSON
+ * @param {Array} workflows - Repository workflows
+ * @returns {{config: Object|null, validation: {valid: boolean, errors: Array, warnings: Array}}}
+ */
+function readPreviewConfig(text, workflows) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    return {
+      config: null,
+      validation: { valid: false, errors: [describeJsonError(error, text)], warnings: [] }
+    };
+  }
+
+  return { config, validation: validateConfig(config, { raw: text, workflows }) };
+}
+
+/**
+ * Renders a folder tree as nested lists showing which workflows end up where
+ * @param {Array} folders - Folder tree nodes from groupWorkflowsByFolder
+ * @returns {HTMLElement} List element
+ */
+function createPreviewFolderList(folders) {
+  const list = document.createElement('ul');
+
+  folders.forEach(folder => {
+    const item = document.createElement('li');
+
+    const name = document.createElement('strong');
+    name.textContent = `${folder.name} (${countFolderWorkflows(folder)})`;
+    item.appendChild(name);
+
+    if (folder.folders.length > 0) {
+      item.appendChild(createPreviewFolderList(folder.folders));
+    }
+
+    if (folder.workflows.length > 0) {
+      const workflows = document.createElement('div');
+      workflows.className = CLASS_NAMES.configPreviewWorkflows;
+      workflows.textContent = folder.workflows.map(workflow => workflow.name).join(', ');
+      item.appendChild(workflows);
+    }
+
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Opens the preview of a config generated from the repository's workflows
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} workflows - Repository workflows
+ * @returns {Promise<void>}
+ */
+async function openConfigPreviewDialog(owner, repo, workflows) {
+  const generated = generateConfigFromWorkflows(workflows);
+  const canCommit = await hasToken(owner, repo);
+
+  const content = document.createElement('div');
+
+  const hint = document.createElement('p');
+  hint.className = CLASS_NAMES.layoutEditorHint;
+  hint.textContent = `Suggested folders for the ${workflows.length} workflows in this repository. ` +
+    'Edit the JSON to adjust them; the preview updates as you type.';
+
+  const columns = document.createElement('div');
+  columns.className = CLASS_NAMES.configPreview;
+
+  const textarea = document.createElement('textarea');
+  textarea.className = CLASS_NAMES.layoutEditorInput;
+  textarea.rows = 18;
+  textarea.spellcheck = false;
+  textarea.value = JSON.stringify(generated, null, 2);
+  textarea.setAttribute('aria-label', 'Generated config');
+
+  const preview = document.createElement('div');
+  preview.className = CLASS_NAMES.configPreviewTree;
+
+  const issues = document.createElement('ul');
+  issues.className = CLASS_NAMES.layoutEditorIssues;
+
+  columns.appendChild(textarea);
+  columns.appendChild(preview);
+  content.appendChild(hint);
+  content.appendChild(columns);
+  content.appendChild(issues);
+
+  const update = () => {
+    const { config, validation } = readPreviewConfig(textarea.value, workflows);
+    renderLayoutIssues(issues, validation);
+    preview.textContent = '';
+
+    if (!validation.valid) {
+      return null;
+    }
+
+    const { folders, uncategorized } = groupWorkflowsByFolder(config, workflows, owner, repo);
+    preview.appendChild(createPreviewFolderList(folders));
+
+    if (uncategorized.length > 0) {
+      preview.appendChild(createPreviewFolderList([{ name: 'Uncategorized', workflows: uncategorized, folders: [] }]));
+    }
+
+    return config;
+  };
+
+  textarea.addEventListener('input', update);
+  update();
+
+  const actions = [{ label: 'Cancel', onClick: () => {} }];
+
+  if (canCommit) {
+    actions.push({
+      label: 'Commit…',
+      onClick: async (dialog) => {
+        const config = update();
+        if (!config) {
+          return false;
+        }
+
+        const branch = await getDefaultBranch(owner, repo);
+        dialog.close();
+        openCommitConfigDialog(owner, repo, {
+          content: `${JSON.stringify(config, null, 2)}\n`,
+          branch
+        });
+      }
+    });
+  }
+
+  actions.push({
+    label: 'Open GitHub editor',
+    variant: 'primary',
+    onClick: async () => {
+      const config = update();
+      if (!config) {
+        return false;
+      }
+
+      const configUrl = await buildConfigCreationUrl(owner, repo, null, config);
+      console.log('[GitHub Actions Folders] Navigating to config creation:', configUrl);
+      window.location.href = configUrl;
+    }
+  });
+
+  openModalDialog({
+    title: 'Create config file',
+    content,
+    actions
+  });
+}
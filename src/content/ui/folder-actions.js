@@ -0,0 +1,269 @@
+/**
+ * Folder Actions Module
+ * Context menu on folder headers for running, disabling, enabling or cancelling all workflows of a folder
+ * Follows Single Responsibility Principle - only responsible for folder bulk actions
+ */
+
+// Menu entries in display order
+const FOLDER_BULK_ACTIONS = {
+  dispatch: {
+    label: 'Run all workflows',
+    confirm: 'Run',
+    description: 'Starts every workflow with a workflow_dispatch trigger on the default branch, using its default inputs.'
+  },
+  disable: {
+    label: 'Disable all workflows',
+    confirm: 'Disable',
+    description: 'Disabled workflows are not triggered by any event until they are enabled again.'
+  },
+  enable: {
+    label: 'Enable all workflows',
+    confirm: 'Enable',
+    description: 'Enables every workflow so its triggers run again.'
+  },
+  cancel: {
+    label: 'Cancel running workflows',
+    confirm: 'Cancel runs',
+    description: 'Cancels every queued or in-progress run of these workflows.'
+  }
+};
+
+const BULK_RESULT_ICONS = {
+  success: '✓',
+  skipped: '–',
+  failure: '✗'
+};
+
+// Closes the open menu on outside clicks and scrolling; set while a menu is open
+let folderMenuDismissHandler = null;
+
+/**
+ * Lists the workflows of a folder, including its subfolders, without duplicates
+ * @param {HTMLElement} folder - Folder element
+ * @returns {Array<{path: string, name: string, id: number|null}>} Workflows
+ */
+function collectFolderWorkflows(folder) {
+  const workflows = new Map();
+
+  folder.querySelectorAll(`.${CLASS_NAMES.workflowLink}[data-workflow-path]`).forEach(link => {
+    const { workflowPath, workflowName, workflowId } = link.dataset;
+    if (!workflows.has(workflowPath)) {
+      workflows.set(workflowPath, {
+        path: workflowPath,
+        name: workflowName,
+        id: workflowId ? Number(workflowId) : null
+      });
+    }
+  });
+
+  return Array.from(workflows.values());
+}
+
+/**
+ * Closes the open folder menu, if any
+ */
+function closeFolderMenu() {
+  const menu = document.querySelector(`.${CLASS_NAMES.folderMenu}`);
+  if (menu) {
+    menu.remove();
+  }
+
+  if (folderMenuDismissHandler) {
+    document.removeEventListener('mousedown', folderMenuDismissHandler, true);
+    window.removeEventListener('scroll', folderMenuDismissHandler, true);
+    folderMenuDismissHandler = null;
+  }
+}
+
+/**
+ * Renders the per-workflow outcome of a bulk action
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array<{name: string, status: string, message: string}>} results - Results from bulkWorkflowAction
+ */
+function renderBulkResults(list, results) {
+  list.textContent = '';
+
+  results.forEach(({ name, status, message }) => {
+    const item = document.createElement('li');
+    item.className = CLASS_NAMES.bulkResult;
+    item.dataset.status = status;
+
+    const icon = document.createElement('span');
+    icon.className = CLASS_NAMES.bulkResultIcon;
+    icon.textContent = BULK_RESULT_ICONS[status] || '?';
+
+    const text = document.createElement('span');
+    text.textContent = `${name}: ${message}`;
+
+    item.appendChild(icon);
+    item.appendChild(text);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Asks for confirmation, runs a bulk action and shows the result per workflow
+ * @param {HTMLElement} folder - Folder element
+ * @param {string} action - Key of FOLDER_BULK_ACTIONS
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ */
+function confirmFolderBulkAction(folder, action, owner, repo) {
+  const { label, confirm, description } = FOLDER_BULK_ACTIONS[action];
+  const folderName = folder.querySelector(`:scope > .${CLASS_NAMES.folderHeader} .${CLASS_NAMES.folderTitle}`).textContent;
+  const workflows = collectFolderWorkflows(folder);
+
+  const content = document.createElement('div');
+
+  const intro = document.createElement('p');
+  intro.className = CLASS_NAMES.layoutEditorHint;
+  intro.textContent = `${description} Affects ${workflows.length} workflow${workflows.length === 1 ? '' : 's'} in "${folderName}":`;
+
+  const list = document.createElement('ul');
+  list.className = CLASS_NAMES.bulkResults;
+  workflows.forEach(workflow => {
+    const item = document.createElement('li');
+    item.textContent = workflow.name;
+    list.appendChild(item);
+  });
+
+  const status = document.createElement('p');
+  status.className = CLASS_NAMES.bulkStatus;
+
+  content.appendChild(intro);
+  content.appendChild(list);
+  content.appendChild(status);
+
+  let done = false;
+
+  openModalDialog({
+    title: `${label} in "${folderName}"`,
+    content,
+    actions: [
+      { label: 'Close', onClick: () => {} },
+      {
+        label: confirm,
+        variant: 'primary',
+        onClick: async () => {
+          if (done) {
+            return false;
+          }
+
+          status.className = CLASS_NAMES.bulkStatus;
+          status.textContent = 'Working...';
+
+          const result = await bulkWorkflowAction(owner, repo, action, workflows);
+          done = result.success;
+
+          if (!result.success) {
+            status.classList.add(`${CLASS_NAMES.bulkStatus}-error`);
+            status.textContent = result.error || 'The action failed';
+            return false;
+          }
+
+          const failures = result.results.filter(entry => entry.status === 'failure').length;
+          status.textContent = failures === 0
+            ? 'Done. Reload the page to see the updated workflows.'
+            : `Done with ${failures} error${failures === 1 ? '' : 's'}.`;
+          renderBulkResults(list, result.results);
+
+          return false;
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Opens the bulk action menu for a folder at the pointer, or below the header for keyboard users
+ * @param {MouseEvent} event - Context menu event
+ * @param {HTMLElement} folder - Folder element
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ */
+function openFolderMenu(event, folder, owner, repo) {
+  closeFolderMenu();
+
+  const menu = document.createElement('div');
+  menu.className = CLASS_NAMES.folderMenu;
+  menu.setAttribute('role', 'menu');
+
+  Object.entries(FOLDER_BULK_ACTIONS).forEach(([action, { label }]) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = CLASS_NAMES.folderMenuItem;
+    item.setAttribute('role', 'menuitem');
+    item.textContent = label;
+    item.addEventListener('click', () => {
+      closeFolderMenu();
+      confirmFolderBulkAction(folder, action, owner, repo);
+    });
+    menu.appendChild(item);
+  });
+
+  menu.addEventListener('keydown', (keyEvent) => {
+    const items = Array.from(menu.querySelectorAll(`.${CLASS_NAMES.folderMenuItem}`));
+    const index = items.indexOf(document.activeElement);
+
+    if (keyEvent.key === 'Escape') {
+      keyEvent.preventDefault();
+      closeFolderMenu();
+      folder.querySelector(`:scope > .${CLASS_NAMES.folderHeader}`).focus();
+    } else if (keyEvent.key === 'ArrowDown' || keyEvent.key === 'ArrowUp') {
+      keyEvent.preventDefault();
+      const offset = keyEvent.key === 'ArrowDown' ? 1 : -1;
+      items[(index + offset + items.length) % items.length].focus();
+    }
+  });
+
+  // Keyboard-opened context menus report no pointer position
+  let { clientX: left, clientY: top } = event;
+  if (left === 0 && top === 0) {
+    const rect = folder.querySelector(`:scope > .${CLASS_NAMES.folderHeader}`).getBoundingClientRect();
+    left = rect.left;
+    top = rect.bottom;
+  }
+
+  menu.style.left = `${left}px`;
+  menu.style.top = `${top}px`;
+  document.body.appendChild(menu);
+  menu.querySelector(`.${CLASS_NAMES.folderMenuItem}`).focus();
+
+  folderMenuDismissHandler = (dismissEvent) => {
+    if (dismissEvent.type === 'scroll' || !menu.contains(dismissEvent.target)) {
+      closeFolderMenu();
+    }
+  };
+  document.addEventListener('mousedown', folderMenuDismissHandler, true);
+  window.addEventListener('scroll', folderMenuDismissHandler, true);
+}
+
+/**
+ * Opens the bulk action menu when a folder header is right-clicked
+ * Only active when a saved token applies to the repository; otherwise the browser's own context menu is left alone.
+ * The pinned and recent folders only repeat workflows from other folders, so they keep the browser's menu too.
+ * @param {HTMLElement} container - Folder container
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<void>}
+ */
+async function enableFolderBulkActions(container, owner, repo) {
+  if (!(await hasToken(owner, repo))) {
+    return;
+  }
+
+  container.addEventListener('contextmenu', (event) => {
+    const header = event.target.closest(`.${CLASS_NAMES.folderHeader}`);
+    if (!header || !container.contains(header)) {
+      return;
+    }
+
+    const folder = header.parentElement;
+    if (folder.classList.contains(CLASS_NAMES.pinnedFolder) || folder.classList.contains(CLASS_NAMES.recentFolder)) {
+      return;
+    }
+
+    event.preventDefault();
+    openFolderMenu(event, folder, owner, repo);
+  });
+}
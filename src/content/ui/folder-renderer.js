@@ -4,15 +4,20 @@
  * Follows Single Responsibility Principle - only responsible for folder rendering
  */
 
+// Folder path of the disabled folder, also the key its expanded state is saved under
+// The leading NUL character keeps it apart from config folders, including one named "Disabled"
+const DISABLED_FOLDER_PATH = '\u0000disabled';
+
 /**
  * Builds folder UI from workflow data objects
- * @param {Map} folders - Map of folder name to workflows array
+ * @param {Array} folders - Folder tree nodes from groupWorkflowsByFolder
  * @param {Array} uncategorized - Array of uncategorized workflows
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {Array} [disabled] - Disabled workflows to collect in a "Disabled" folder at the end
  * @returns {Promise<HTMLElement>} Container element with folder UI
  */
-async function buildFolderUIFromData(folders, uncategorized, owner, repo) {
+async function buildFolderUIFromData(folders, uncategorized, owner, repo, disabled = []) {
   const container = document.createElement('nav');
   container.className = CLASS_NAMES.folderContainer;
   container.setAttribute('aria-label', 'Organized Actions');
@@ -20,36 +25,60 @@ async function buildFolderUIFromData(folders, uncategorized, owner, repo) {
   // Load saved folder states
   const folderStates = await getFolderStates(owner, repo);
 
+  container.appendChild(createWorkflowFilter(container, owner, repo));
+
+  const workflowsByPath = collectWorkflowsByPath(folders, [...uncategorized, ...disabled]);
+
+  // Pinned and recent folders go right below the filter, above the configured folders
+  await setupPinnedWorkflows(container, workflowsByPath, owner, repo);
+
+  const recentFolder = await createRecentFolder(workflowsByPath, owner, repo, folderStates);
+  if (recentFolder) {
+    container.appendChild(recentFolder);
+  }
+
   // Create folders
-  folders.forEach((workflows, folderName) => {
-    const folder = createFolderFromData(folderName, workflows, owner, repo, folderStates);
+  folders.forEach(folderNode => {
+    const folder = createFolderFromData(folderNode, owner, repo, folderStates);
     container.appendChild(folder);
   });
 
   // Add uncategorized section if needed
   if (uncategorized.length > 0) {
-    const uncatFolder = createFolderFromData('Uncategorized', uncategorized, owner, repo, folderStates);
+    const uncatNode = { name: 'Uncategorized', path: 'Uncategorized', workflows: uncategorized, folders: [] };
+    const uncatFolder = createFolderFromData(uncatNode, owner, repo, folderStates);
     container.appendChild(uncatFolder);
   }
 
+  if (disabled.length > 0) {
+    const disabledNode = { name: 'Disabled', path: DISABLED_FOLDER_PATH, workflows: disabled, folders: [] };
+    container.appendChild(createFolderFromData(disabledNode, owner, repo, folderStates));
+  }
+
   return container;
 }
 
 /**
- * Creates a folder element from workflow data objects
- * @param {string} name - Folder name
- * @param {Array} workflows - Array of workflow data objects
+ * Creates a folder element from a folder tree node, rendering subfolders recursively
+ * @param {{name: string, path: string, workflows: Array, folders: Array}} folderNode - Folder tree node
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {Object} folderStates - Saved folder states
+ * @param {Object} folderStates - Saved folder states, keyed by folder path
+ * @param {number} depth - Nesting level, 0 for top-level folders
  * @returns {HTMLElement} Folder element
  */
-function createFolderFromData(name, workflows, owner, repo, folderStates) {
+function createFolderFromData(folderNode, owner, repo, folderStates, depth = 0) {
+  const { name, path, workflows, folders: subfolders } = folderNode;
+
   const folder = document.createElement('div');
   folder.className = CLASS_NAMES.folder;
+  folder.dataset.folderPath = path;
+  if (depth > 0) {
+    folder.classList.add(CLASS_NAMES.subfolder);
+  }
 
   // Determine initial state - default to expanded (true) if not saved
-  const savedState = folderStates[name];
+  const savedState = folderStates[path];
   const isExpanded = savedState !== undefined ? savedState : true;
 
   // Folder header
@@ -67,23 +96,28 @@ function createFolderFromData(name, workflows, owner, repo, folderStates) {
 
   const count = document.createElement('span');
   count.className = CLASS_NAMES.folderCount;
-  count.textContent = `(${workflows.length})`;
+  count.textContent = `(${countFolderWorkflows(folderNode)})`;
+
+  // Filled in by the run status module once the latest runs are known
+  const runCounts = document.createElement('span');
+  runCounts.className = CLASS_NAMES.folderRunCounts;
 
   header.appendChild(icon);
   header.appendChild(title);
   header.appendChild(count);
+  header.appendChild(runCounts);
 
   // Folder content
   const content = document.createElement('div');
   content.className = CLASS_NAMES.folderContent;
   content.style.display = isExpanded ? 'block' : 'none';
 
+  subfolders.forEach(subfolderNode => {
+    content.appendChild(createFolderFromData(subfolderNode, owner, repo, folderStates, depth + 1));
+  });
+
   workflows.forEach(workflowData => {
-    const link = document.createElement('a');
-    link.href = workflowData.url;
-    link.className = CLASS_NAMES.workflowLink;
-    link.textContent = workflowData.name;
-    content.appendChild(link);
+    content.appendChild(createWorkflowItem(workflowData));
   });
 
   // Toggle functionality with state persistence
@@ -94,12 +128,10 @@ function createFolderFromData(name, workflows, owner, repo, folderStates) {
     const isExpanded = header.getAttribute('aria-expanded') === 'true';
     const newState = !isExpanded;
 
-    header.setAttribute('aria-expanded', String(newState));
-    content.style.display = newState ? 'block' : 'none';
-    icon.textContent = newState ? '▼' : '▶';
+    setFolderExpanded(folder, newState);
 
     // Save the new state
-    await setFolderState(owner, repo, name, newState);
+    await setFolderState(owner, repo, path, newState);
   });
 
   folder.appendChild(header);
@@ -107,3 +139,134 @@ function createFolderFromData(name, workflows, owner, repo, folderStates) {
 
   return folder;
 }
+
+/**
+ * Expands or collapses a folder element without persisting the state
+ * @param {HTMLElement} folder - Folder element
+ * @param {boolean} isExpanded - Whether the folder should be expanded
+ */
+function setFolderExpanded(folder, isExpanded) {
+  const header = folder.querySelector(`:scope > .${CLASS_NAMES.folderHeader}`);
+  const content = folder.querySelector(`:scope > .${CLASS_NAMES.folderContent}`);
+  const icon = header.querySelector(`.${CLASS_NAMES.folderIcon}`);
+
+  header.setAttribute('aria-expanded', String(isExpanded));
+  content.style.display = isExpanded ? 'block' : 'none';
+  icon.textContent = isExpanded ? '▼' : '▶';
+}
+
+/**
+ * Creates the link for a single workflow
+ * Carries the workflow path so run statuses can be attached once they load; disabled workflows are marked
+ * @param {{name: string, path: string, url: string, state?: string}} workflowData - Workflow data object
+ * @returns {HTMLElement} Workflow link
+ */
+function createWorkflowLink(workflowData) {
+  const link = document.createElement('a');
+  link.href = workflowData.url;
+  link.className = CLASS_NAMES.workflowLink;
+  link.dataset.workflowPath = workflowData.path;
+  if (typeof workflowData.id === 'number') {
+    link.dataset.workflowId = workflowData.id;
+  }
+
+  link.dataset.workflowName = workflowData.name;
+
+  const name = document.createElement('span');
+  name.className = CLASS_NAMES.workflowName;
+  name.textContent = workflowData.name;
+  link.appendChild(name);
+
+  if (isWorkflowDisabled(workflowData)) {
+    link.classList.add(CLASS_NAMES.workflowDisabled);
+
+    const label = document.createElement('span');
+    label.className = CLASS_NAMES.workflowStateLabel;
+    label.textContent = 'Disabled';
+    label.title = workflowData.state === 'disabled_inactivity'
+      ? 'Disabled due to repository inactivity'
+      : 'Disabled manually';
+    link.appendChild(label);
+  }
+
+  return link;
+}
+
+/**
+ * Creates a workflow entry: the link plus its pin toggle
+ * The pin button sits next to the link rather than inside it, so clicking it does not navigate
+ * @param {{name: string, path: string, url: string}} workflowData - Workflow data object
+ * @returns {HTMLElement} Workflow item
+ */
+function createWorkflowItem(workflowData) {
+  const item = document.createElement('div');
+  item.className = CLASS_NAMES.workflowItem;
+
+  item.appendChild(createWorkflowLink(workflowData));
+  item.appendChild(createPinButton(workflowData));
+
+  return item;
+}
+
+/**
+ * Indexes every workflow of a grouped folder tree by path
+ * @param {Array} folders - Folder tree nodes
+ * @param {Array} uncategorized - Uncategorized workflows
+ * @returns {Map<string, Object>} Workflow path to workflow data
+ */
+function collectWorkflowsByPath(folders, uncategorized) {
+  const workflowsByPath = new Map();
+
+  const collect = nodes => nodes.forEach(node => {
+    node.workflows.forEach(workflowData => workflowsByPath.set(workflowData.path, workflowData));
+    collect(node.folders);
+  });
+
+  collect(folders);
+  uncategorized.forEach(workflowData => workflowsByPath.set(workflowData.path, workflowData));
+
+  return workflowsByPath;
+}
+
+/**
+ * Creates a small label showing which config file and branch the folders were built from
+ * Adds a visible note when the branch selected in the Actions UI has no config of its own
+ * @param {Object} configResult - Config response from the service worker, empty if the repo config is not used
+ * @param {Object|null} [personalLayout] - Personal layout applied on top, if any
+ * @returns {HTMLElement} Config source label
+ */
+function createConfigSourceLabel(configResult, personalLayout = null) {
+  const { configPath, branch, defaultBranch, requestedRef, refFallback } = configResult;
+
+  const label = document.createElement('div');
+  label.className = CLASS_NAMES.configSource;
+
+  if (!configPath) {
+    label.textContent = 'Personal layout';
+    label.title = 'Folders loaded from your personal layout, which only you can see';
+    return label;
+  }
+
+  label.textContent = branch ? `Config: ${configPath} @ ${branch}` : `Config: ${configPath}`;
+  label.title = branch ? `Folders loaded from ${configPath} on branch ${branch}` : `Folders loaded from ${configPath}`;
+
+  if (personalLayout) {
+    label.textContent += ' + personal layout';
+    label.title += ', extended by your personal layout';
+  }
+
+  if (branch && defaultBranch && branch !== defaultBranch && !requestedRef) {
+    label.title += ` (default branch ${defaultBranch} has no config)`;
+  }
+
+  if (refFallback) {
+    const note = document.createElement('div');
+    note.className = CLASS_NAMES.configSourceNote;
+    note.textContent = `No config on ${requestedRef}, showing ${branch || 'default branch'} config`;
+    label.appendChild(note);
+  } else if (requestedRef) {
+    label.classList.add(CLASS_NAMES.configSourceRef);
+  }
+
+  return label;
+}
@@ -0,0 +1,137 @@
+/**
+ * Personal Layout Dialog Module
+ * In-page editor for the user's personal folder layout
+ * Follows Single Responsibility Principle - only responsible for editing personal layouts
+ */
+
+/**
+ * Renders layout validation issues into a list element
+ * @param {HTMLElement} list - List element whose content is replaced
+ * @param {{errors: Array, warnings: Array}} validation - Result of validatePersonalLayout
+ */
+function renderLayoutIssues(list, validation) {
+  list.textContent = '';
+  validation.errors.forEach(issue => list.appendChild(createIssueItem(issue, 'error')));
+  validation.warnings.forEach(issue => list.appendChild(createIssueItem(issue, 'warning')));
+}
+
+/**
+ * Extracts a readable message and position from a JSON.parse error
+ * @param {Error} error - Error thrown by JSON.parse
+ * @param {string} text - Text that failed to parse
+ * @returns {{message: string, line?: number, column?: number}}
+ */
+function describeJsonError(error, text) {
+  const positionMatch = /position (\d+)/.exec(error.message);
+  if (positionMatch) {
+    return { message: error.message, ...offsetToLineColumn(text, Number(positionMatch[1])) };
+  }
+
+  return { message: error.message };
+}
+
+/**
+ * Opens the personal layout editor
+ * Saving reloads the page so the folder view is rebuilt with the new layout.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [options]
+ * @param {boolean} [options.hasRepoConfig] - Whether the repository has its own config
+ * @param {Array|null} [options.workflows] - Known workflows, used to warn about entries that match nothing
+ * @returns {Promise<void>}
+ */
+async function openPersonalLayoutDialog(owner, repo, { hasRepoConfig = false, workflows = null } = {}) {
+  const existingLayout = await getPersonalLayout(owner, repo);
+  const layout = existingLayout || createEmptyPersonalLayout(hasRepoConfig);
+
+  const content = document.createElement('div');
+  content.className = CLASS_NAMES.layoutEditor;
+
+  const description = document.createElement('p');
+  description.className = CLASS_NAMES.layoutEditorHint;
+  description.textContent = hasRepoConfig
+    ? 'Only you see this layout. "extend" adds your folders to the repository config, "replace" ignores it. ' +
+      'Use "hide" to hide workflows and "order" to list folder names in the order you want.'
+    : 'Only you see this layout. This repository has no config, so your folders are used as-is. ' +
+      'Use "hide" to hide workflows and "order" to list folder names in the order you want.';
+
+  const textarea = document.createElement('textarea');
+  textarea.className = CLASS_NAMES.layoutEditorInput;
+  textarea.value = JSON.stringify(layout, null, 2);
+  textarea.rows = 16;
+  textarea.spellcheck = false;
+  textarea.setAttribute('aria-label', `Personal layout for ${owner}/${repo}`);
+
+  const issues = document.createElement('ul');
+  issues.className = CLASS_NAMES.layoutEditorIssues;
+
+  content.appendChild(description);
+  content.appendChild(textarea);
+  content.appendChild(issues);
+
+  // Warnings are shown once; saving again with the same text accepts them
+  let acknowledgedText = null;
+
+  const save = async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(textarea.value);
+    } catch (error) {
+      const { message, line, column } = describeJsonError(error, textarea.value);
+      renderLayoutIssues(issues, { errors: [{ message, line, column }], warnings: [] });
+      return false;
+    }
+
+    const validation = validatePersonalLayout(parsed, { workflows });
+    renderLayoutIssues(issues, validation);
+
+    if (!validation.valid) {
+      return false;
+    }
+
+    if (validation.warnings.length > 0 && acknowledgedText !== textarea.value) {
+      acknowledgedText = textarea.value;
+      const hint = document.createElement('li');
+      hint.className = CLASS_NAMES.validationHint;
+      hint.textContent = 'Save again to keep the layout with these warnings.';
+      issues.appendChild(hint);
+      return false;
+    }
+
+    try {
+      await setPersonalLayout(owner, repo, parsed);
+    } catch (error) {
+      // Sync storage rejects items over its per-item quota
+      renderLayoutIssues(issues, { errors: [{ message: `Could not save layout: ${error.message}` }], warnings: [] });
+      return false;
+    }
+
+    console.log('[GitHub Actions Folders] Personal layout saved for', owner + '/' + repo);
+    window.location.reload();
+  };
+
+  const actions = [
+    { label: 'Cancel', onClick: () => {} },
+    { label: 'Save layout', variant: 'primary', onClick: save }
+  ];
+
+  if (existingLayout) {
+    actions.unshift({
+      label: 'Remove layout',
+      variant: 'danger',
+      onClick: async () => {
+        await removePersonalLayout(owner, repo);
+        console.log('[GitHub Actions Folders] Personal layout removed for', owner + '/' + repo);
+        window.location.reload();
+      }
+    });
+  }
+
+  openModalDialog({
+    title: `Personal layout for ${owner}/${repo}`,
+    content,
+    actions
+  });
+
+  textarea.focus();
+}
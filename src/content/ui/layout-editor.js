@@ -0,0 +1,578 @@
+/**
+ * Layout Editor Module
+ * Edit layout mode: drag workflows between folders, manage folders and export the resulting config
+ * Follows Single Responsibility Principle - only responsible for interactive layout editing
+ */
+
+/**
+ * Removes a workflow from wherever it currently is in the model
+ * @param {Object} model - Editable model from createLayoutModel
+ * @param {string} workflowPath - Path of the workflow to remove
+ * @returns {Object|null} Removed workflow, or null if it was not found
+ */
+function takeModelWorkflow(model, workflowPath) {
+  const take = list => {
+    const index = list.findIndex(workflow => workflow.path === workflowPath);
+    return index === -1 ? null : list.splice(index, 1)[0];
+  };
+
+  const search = folders => {
+    for (const folder of folders) {
+      const found = take(folder.workflows) || search(folder.folders);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return search(model.folders) || take(model.uncategorized);
+}
+
+/**
+ * Collects the workflows of a model folder and all of its subfolders
+ * @param {Object} folder - Model folder
+ * @returns {Array} Workflows
+ */
+function collectModelWorkflows(folder) {
+  return folder.folders.reduce(
+    (workflows, subfolder) => workflows.concat(collectModelWorkflows(subfolder)),
+    folder.workflows.slice()
+  );
+}
+
+/**
+ * Picks a folder name that is not used by any sibling
+ * @param {Array} siblings - Sibling model folders
+ * @param {string} base - Preferred name
+ * @returns {string} Unused name
+ */
+function createUniqueFolderName(siblings, base) {
+  let name = base;
+  for (let suffix = 2; siblings.some(folder => folder.name === name); suffix++) {
+    name = `${base} ${suffix}`;
+  }
+  return name;
+}
+
+/**
+ * Makes an element accept dropped workflows
+ * @param {HTMLElement} element - Drop target
+ * @param {Object|null} targetFolder - Model folder to move into, null for Uncategorized
+ * @param {Object} state - Editor state
+ */
+function makeWorkflowDropTarget(element, targetFolder, state) {
+  element.addEventListener('dragover', (event) => {
+    if (!state.draggedPath) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = 'move';
+    element.classList.add(CLASS_NAMES.layoutEditDropTarget);
+  });
+
+  element.addEventListener('dragleave', (event) => {
+    if (!element.contains(event.relatedTarget)) {
+      element.classList.remove(CLASS_NAMES.layoutEditDropTarget);
+    }
+  });
+
+  element.addEventListener('drop', (event) => {
+    if (!state.draggedPath) return;
+    event.preventDefault();
+    event.stopPropagation();
+    element.classList.remove(CLASS_NAMES.layoutEditDropTarget);
+
+    const workflow = takeModelWorkflow(state.model, state.draggedPath);
+    state.draggedPath = null;
+
+    if (workflow) {
+      (targetFolder ? targetFolder.workflows : state.model.uncategorized).push(workflow);
+      state.render();
+    }
+  });
+}
+
+/**
+ * Creates a draggable workflow item
+ * @param {Object} workflow - Workflow data
+ * @param {Object} state - Editor state
+ * @returns {HTMLElement} Workflow item
+ */
+function createEditWorkflowItem(workflow, state) {
+  const item = document.createElement('div');
+  item.className = CLASS_NAMES.layoutEditWorkflow;
+  item.draggable = true;
+  item.textContent = workflow.name;
+  item.title = workflow.path;
+
+  item.addEventListener('dragstart', (event) => {
+    state.draggedPath = workflow.path;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', workflow.path);
+  });
+
+  item.addEventListener('dragend', () => {
+    state.draggedPath = null;
+  });
+
+  return item;
+}
+
+/**
+ * Creates a small icon button for the folder toolbar
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label and tooltip
+ * @param {Function} onClick - Click handler
+ * @param {boolean} [disabled] - Whether the button is disabled
+ * @returns {HTMLButtonElement} Button
+ */
+function createEditFolderButton(text, label, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = CLASS_NAMES.layoutEditFolderButton;
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.disabled = disabled;
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Creates the inline input used to name a folder
+ * @param {Object} folder - Model folder being renamed
+ * @param {Array} siblings - Sibling model folders
+ * @param {Object} state - Editor state
+ * @returns {HTMLInputElement} Name input
+ */
+function createFolderNameInput(folder, siblings, state) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = CLASS_NAMES.layoutEditNameInput;
+  input.value = folder.name;
+  input.setAttribute('aria-label', 'Folder name');
+
+  let finished = false;
+
+  const commit = () => {
+    if (finished) return;
+
+    const name = input.value.trim();
+    if (name === '' || name.includes('/')) {
+      input.setCustomValidity('Folder names must be non-empty and cannot contain "/"');
+      input.reportValidity();
+      return;
+    }
+    if (siblings.some(sibling => sibling !== folder && sibling.name === name)) {
+      input.setCustomValidity(`A folder named "${name}" already exists here`);
+      input.reportValidity();
+      return;
+    }
+
+    finished = true;
+    folder.name = name;
+    state.renaming = null;
+    state.render();
+  };
+
+  input.addEventListener('input', () => input.setCustomValidity(''));
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commit();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      finished = true;
+      state.renaming = null;
+      state.render();
+    }
+  });
+  input.addEventListener('blur', commit);
+
+  return input;
+}
+
+/**
+ * Creates an editable folder, rendering subfolders recursively
+ * @param {Object} folder - Model folder
+ * @param {Array} siblings - Model folder list the folder belongs to
+ * @param {Object} state - Editor state
+ * @returns {HTMLElement} Folder element
+ */
+function createEditFolder(folder, siblings, state) {
+  const element = document.createElement('div');
+  element.className = CLASS_NAMES.layoutEditFolder;
+
+  const header = document.createElement('div');
+  header.className = CLASS_NAMES.layoutEditFolderHeader;
+
+  if (state.renaming === folder) {
+    header.appendChild(createFolderNameInput(folder, siblings, state));
+  } else {
+    const title = document.createElement('span');
+    title.className = CLASS_NAMES.folderTitle;
+    title.textContent = folder.name;
+    title.addEventListener('dblclick', () => {
+      state.renaming = folder;
+      state.render();
+    });
+    header.appendChild(title);
+  }
+
+  const index = siblings.indexOf(folder);
+  const move = offset => {
+    siblings.splice(index, 1);
+    siblings.splice(index + offset, 0, folder);
+    state.render();
+  };
+
+  const toolbar = document.createElement('span');
+  toolbar.className = CLASS_NAMES.layoutEditFolderToolbar;
+  toolbar.appendChild(createEditFolderButton('✎', `Rename "${folder.name}"`, () => {
+    state.renaming = folder;
+    state.render();
+  }));
+  toolbar.appendChild(createEditFolderButton('+', `Add subfolder to "${folder.name}"`, () => {
+    const subfolder = { name: createUniqueFolderName(folder.folders, 'New folder'), entries: [], workflows: [], folders: [] };
+    folder.folders.push(subfolder);
+    state.renaming = subfolder;
+    state.render();
+  }));
+  toolbar.appendChild(createEditFolderButton('↑', `Move "${folder.name}" up`, () => move(-1), index === 0));
+  toolbar.appendChild(createEditFolderButton('↓', `Move "${folder.name}" down`, () => move(1), index === siblings.length - 1));
+  toolbar.appendChild(createEditFolderButton('✕', `Delete "${folder.name}"`, () => {
+    const workflows = collectModelWorkflows(folder);
+    if (workflows.length > 0 && !window.confirm(`Delete "${folder.name}"? Its ${workflows.length} workflow(s) move to Uncategorized.`)) {
+      return;
+    }
+    siblings.splice(siblings.indexOf(folder), 1);
+    state.model.uncategorized.push(...workflows);
+    state.render();
+  }));
+  header.appendChild(toolbar);
+
+  const content = document.createElement('div');
+  content.className = CLASS_NAMES.layoutEditFolderContent;
+
+  folder.folders.forEach(subfolder => {
+    content.appendChild(createEditFolder(subfolder, folder.folders, state));
+  });
+  folder.workflows.forEach(workflow => {
+    content.appendChild(createEditWorkflowItem(workflow, state));
+  });
+
+  element.appendChild(header);
+  element.appendChild(content);
+  makeWorkflowDropTarget(element, folder, state);
+
+  return element;
+}
+
+/**
+ * Re-renders the whole editor from the model
+ * @param {Object} state - Editor state
+ */
+function renderLayoutEditor(state) {
+  const { view } = state;
+  view.textContent = '';
+
+  const toolbar = document.createElement('div');
+  toolbar.className = CLASS_NAMES.layoutEditToolbar;
+
+  const hint = document.createElement('p');
+  hint.className = CLASS_NAMES.layoutEditorHint;
+  hint.textContent = 'Drag workflows between folders. Double-click a folder name to rename it.';
+
+  const newFolderButton = document.createElement('button');
+  newFolderButton.type = 'button';
+  newFolderButton.className = CLASS_NAMES.modalButton;
+  newFolderButton.textContent = 'New folder';
+  newFolderButton.addEventListener('click', () => {
+    const folder = { name: createUniqueFolderName(state.model.folders, 'New folder'), entries: [], workflows: [], folders: [] };
+    state.model.folders.push(folder);
+    state.renaming = folder;
+    state.render();
+  });
+
+  const reviewButton = document.createElement('button');
+  reviewButton.type = 'button';
+  reviewButton.className = `${CLASS_NAMES.modalButton} ${CLASS_NAMES.modalButton}-primary`;
+  reviewButton.textContent = 'Review changes';
+  reviewButton.addEventListener('click', () => {
+    openLayoutExportDialog(state).catch(error => {
+      console.error('[GitHub Actions Folders] Failed to export layout:', error);
+    });
+  });
+
+  const doneButton = document.createElement('button');
+  doneButton.type = 'button';
+  doneButton.className = CLASS_NAMES.modalButton;
+  doneButton.textContent = 'Done';
+  doneButton.addEventListener('click', () => exitLayoutEditMode(state));
+
+  toolbar.appendChild(newFolderButton);
+  toolbar.appendChild(reviewButton);
+  toolbar.appendChild(doneButton);
+
+  view.appendChild(hint);
+  view.appendChild(toolbar);
+
+  state.model.folders.forEach(folder => {
+    view.appendChild(createEditFolder(folder, state.model.folders, state));
+  });
+
+  const uncategorized = document.createElement('div');
+  uncategorized.className = `${CLASS_NAMES.layoutEditFolder} ${CLASS_NAMES.layoutEditUncategorized}`;
+
+  const uncategorizedHeader = document.createElement('div');
+  uncategorizedHeader.className = CLASS_NAMES.layoutEditFolderHeader;
+  uncategorizedHeader.textContent = 'Uncategorized';
+
+  const uncategorizedContent = document.createElement('div');
+  uncategorizedContent.className = CLASS_NAMES.layoutEditFolderContent;
+  state.model.uncategorized.forEach(workflow => {
+    uncategorizedContent.appendChild(createEditWorkflowItem(workflow, state));
+  });
+
+  uncategorized.appendChild(uncategorizedHeader);
+  uncategorized.appendChild(uncategorizedContent);
+  makeWorkflowDropTarget(uncategorized, null, state);
+  view.appendChild(uncategorized);
+
+  const nameInput = view.querySelector(`.${CLASS_NAMES.layoutEditNameInput}`);
+  if (nameInput) {
+    nameInput.focus();
+    nameInput.select();
+  }
+}
+
+/**
+ * Creates the diff view between the current and the exported config
+ * @param {string} oldText - Current config text
+ * @param {string} newText - Exported config text
+ * @returns {HTMLElement} Diff element
+ */
+function createConfigDiff(oldText, newText) {
+  const pre = document.createElement('pre');
+  pre.className = CLASS_NAMES.layoutDiff;
+
+  diffLines(oldText, newText).forEach(({ type, text }) => {
+    const line = document.createElement('span');
+    line.className = CLASS_NAMES.layoutDiffLine;
+    if (type === '+') line.classList.add(`${CLASS_NAMES.layoutDiffLine}-added`);
+    if (type === '-') line.classList.add(`${CLASS_NAMES.layoutDiffLine}-removed`);
+    line.textContent = `${type} ${text}\n`;
+    pre.appendChild(line);
+  });
+
+  return pre;
+}
+
+/**
+ * Shows the exported config with its diff and the ways to apply it
+ * Users with write access can open it on GitHub; everyone can copy it or keep it as a personal layout.
+ * @param {Object} state - Editor state
+ * @returns {Promise<void>}
+ */
+async function openLayoutExportDialog(state) {
+  const { owner, repo, configResult, personalLayout } = state.context;
+  const repoConfig = configResult.content || null;
+
+  const newConfig = exportLayoutConfig(state.model, repoConfig);
+  const newText = JSON.stringify(newConfig, null, 2);
+
+  let oldText = '';
+  if (repoConfig) {
+    oldText = configResult.configPath.endsWith('.json') && configResult.raw
+      ? configResult.raw.trimEnd()
+      : JSON.stringify(repoConfig, null, 2);
+  }
+
+  const [hasWriteAccess, canCommit] = await Promise.all([checkWriteAccess(owner, repo), hasToken(owner, repo)]);
+
+  const content = document.createElement('div');
+
+  const note = document.createElement('p');
+  note.className = CLASS_NAMES.layoutEditorHint;
+  note.textContent = repoConfig
+    ? `Changes to ${configResult.configPath}:`
+    : 'New .github/actions-folders.json:';
+  content.appendChild(note);
+  content.appendChild(createConfigDiff(oldText, newText));
+
+  // The editor starts from the layout on screen, so with a personal layout applied the export would carry it into the repo
+  const canExportToRepo = !personalLayout;
+
+  if (!canExportToRepo) {
+    const personalNote = document.createElement('p');
+    personalNote.className = CLASS_NAMES.layoutEditorHint;
+    personalNote.textContent = 'Your personal layout is applied, so this layout includes it. Remove the personal layout to change the repository config.';
+    content.appendChild(personalNote);
+  }
+
+  if (repoConfig && !configResult.configPath.endsWith('.json')) {
+    const yamlNote = document.createElement('p');
+    yamlNote.className = CLASS_NAMES.layoutEditorHint;
+    yamlNote.textContent = 'The exported config is JSON, which is also valid YAML. Comments in the current file are not kept.';
+    content.appendChild(yamlNote);
+  }
+
+  const status = document.createElement('p');
+  status.className = CLASS_NAMES.layoutEditorHint;
+  content.appendChild(status);
+
+  const copyToClipboard = async () => {
+    await navigator.clipboard.writeText(`${newText}\n`);
+  };
+
+  const getConfigBranch = async () => configResult.branch || configResult.defaultBranch || await getDefaultBranch(owner, repo);
+
+  const actions = [
+    {
+      label: 'Copy JSON',
+      onClick: async () => {
+        await copyToClipboard();
+        status.textContent = 'Copied to clipboard.';
+        return false;
+      }
+    },
+    {
+      label: 'Save as personal layout',
+      variant: hasWriteAccess && canExportToRepo ? undefined : 'primary',
+      onClick: async () => {
+        try {
+          await setPersonalLayout(owner, repo, {
+            mode: 'replace',
+            folders: newConfig.folders,
+            hide: personalLayout ? personalLayout.hide || [] : [],
+            order: []
+          });
+        } catch (error) {
+          // Sync storage rejects items over its per-item quota
+          status.textContent = `Could not save layout: ${error.message}`;
+          return false;
+        }
+
+        console.log('[GitHub Actions Folders] Edited layout saved as personal layout for', owner + '/' + repo);
+        window.location.reload();
+      }
+    }
+  ];
+
+  if (hasWriteAccess && canCommit && canExportToRepo) {
+    actions.push({
+      label: 'Commit…',
+      onClick: async (dialog) => {
+        const branch = await getConfigBranch();
+        dialog.close();
+        openCommitConfigDialog(owner, repo, {
+          content: `${newText}\n`,
+          branch,
+          path: configResult.configPath || undefined,
+          sha: configResult.sha
+        });
+      }
+    });
+  }
+
+  if (hasWriteAccess && canExportToRepo) {
+    actions.push({
+      label: repoConfig ? 'Open editor on GitHub' : 'Create on GitHub',
+      variant: 'primary',
+      onClick: async () => {
+        if (repoConfig) {
+          // The edit page cannot be pre-filled; hand the content over through the clipboard instead
+          await copyToClipboard();
+          window.open(buildConfigEditUrl(owner, repo, await getConfigBranch(), configResult.configPath), '_blank', 'noopener');
+          status.textContent = 'The new config was copied to your clipboard. Replace the file content with it on GitHub.';
+          return false;
+        }
+
+        window.open(await buildConfigCreationUrl(owner, repo, configResult.defaultBranch || null, newConfig), '_blank', 'noopener');
+      }
+    });
+  }
+
+  openModalDialog({
+    title: 'Export layout',
+    content,
+    actions
+  });
+}
+
+/**
+ * Leaves edit mode and shows the folder view again
+ * @param {Object} state - Editor state
+ */
+function exitLayoutEditMode(state) {
+  state.view.remove();
+  state.container.style.display = '';
+}
+
+/**
+ * Switches the folder view into edit layout mode
+ * @param {HTMLElement} container - Folder container
+ * @param {Object} context - What the folder view was built from
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {Object|null} context.config - Config the workflows were grouped with
+ * @param {{folders: Array, uncategorized: Array}} context.grouped - Result of groupWorkflowsByFolder
+ * @param {Object} context.configResult - Config response from the service worker
+ * @param {Object|null} context.personalLayout - Personal layout in use, if any
+ */
+function enterLayoutEditMode(container, context) {
+  const view = document.createElement('div');
+  view.className = CLASS_NAMES.layoutEditView;
+
+  const state = {
+    context,
+    container,
+    view,
+    model: createLayoutModel(context.config, context.grouped, context.personalLayout ? context.personalLayout.order : []),
+    renaming: null,
+    draggedPath: null
+  };
+  state.render = () => renderLayoutEditor(state);
+
+  state.render();
+  container.style.display = 'none';
+  container.parentElement.insertBefore(view, container);
+
+  console.log('[GitHub Actions Folders] Edit layout mode entered');
+}
+
+/**
+ * Creates the button that switches the folder view into edit layout mode
+ * @param {HTMLElement} container - Folder container
+ * @param {Object} context - Passed on to enterLayoutEditMode
+ * @returns {HTMLElement} Edit layout button container
+ */
+function createLayoutEditButton(container, context) {
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = CLASS_NAMES.toggleContainer;
+
+  const button = document.createElement('button');
+  button.className = CLASS_NAMES.toggleButton;
+
+  const icon = document.createElement('span');
+  icon.className = CLASS_NAMES.toggleIcon;
+  icon.textContent = '✥';
+
+  const label = document.createElement('span');
+  label.className = CLASS_NAMES.toggleLabel;
+  label.textContent = 'Edit layout';
+
+  button.appendChild(icon);
+  button.appendChild(label);
+  buttonContainer.appendChild(button);
+
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    enterLayoutEditMode(container, context);
+  });
+
+  return buttonContainer;
+}
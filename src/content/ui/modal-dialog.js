@@ -0,0 +1,88 @@
+/**
+ * Modal Dialog Module
+ * Generic modal dialog used by in-page editors and forms
+ * Follows Single Responsibility Principle - only responsible for dialog chrome
+ */
+
+/**
+ * Opens a modal dialog
+ * The dialog is removed from the page when it closes.
+ * @param {Object} options
+ * @param {string} options.title - Dialog title
+ * @param {HTMLElement} options.content - Dialog body
+ * @param {Array<{label: string, variant?: string, onClick: Function}>} options.actions - Footer buttons;
+ *   onClick receives the dialog and may return (a promise of) false to keep it open
+ * @returns {HTMLDialogElement} Open dialog
+ */
+function openModalDialog({ title, content, actions }) {
+  const dialog = document.createElement('dialog');
+  dialog.className = CLASS_NAMES.modal;
+
+  const header = document.createElement('div');
+  header.className = CLASS_NAMES.modalHeader;
+
+  const heading = document.createElement('h2');
+  heading.className = CLASS_NAMES.modalTitle;
+  heading.textContent = title;
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = CLASS_NAMES.modalClose;
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.textContent = '✕';
+  closeButton.addEventListener('click', () => dialog.close());
+
+  header.appendChild(heading);
+  header.appendChild(closeButton);
+
+  const body = document.createElement('div');
+  body.className = CLASS_NAMES.modalBody;
+  body.appendChild(content);
+
+  const footer = document.createElement('div');
+  footer.className = CLASS_NAMES.modalActions;
+
+  actions.forEach(({ label, variant, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = CLASS_NAMES.modalButton;
+    if (variant) {
+      button.classList.add(`${CLASS_NAMES.modalButton}-${variant}`);
+    }
+    button.textContent = label;
+
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        const keepOpen = (await onClick(dialog)) === false;
+        if (!keepOpen) {
+          dialog.close();
+        }
+      } catch (error) {
+        console.warn('[GitHub Actions Folders] Dialog action failed:', error);
+      } finally {
+        button.disabled = false;
+      }
+    });
+
+    footer.appendChild(button);
+  });
+
+  dialog.appendChild(header);
+  dialog.appendChild(body);
+  dialog.appendChild(footer);
+
+  dialog.addEventListener('close', () => dialog.remove());
+
+  // Clicks on the backdrop land on the dialog element itself
+  dialog.addEventListener('click', (event) => {
+    if (event.target === dialog) {
+      dialog.close();
+    }
+  });
+
+  document.body.appendChild(dialog);
+  dialog.showModal();
+
+  return dialog;
+}
@@ -9,9 +9,11 @@ const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
 
 /**
  * Checks if the notification should be shown
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
  * @returns {Promise<boolean>} True if notification should be displayed
  */
-async function shouldShowNotification() {
+async function shouldShowNotification(owner, repo) {
   // Check if we're on a private repo (imported from repo-detector.js)
   const isPrivate = isPrivateRepo();
   if (!isPrivate) {
@@ -20,8 +22,7 @@ async function shouldShowNotification() {
 
   // Check if token is already configured
   try {
-    const stored = await browser.storage.sync.get('github_token');
-    if (stored.github_token && stored.github_token.length > 0) {
+    if (await hasToken(owner, repo)) {
       return false; // Token already set, no need to show notification
     }
   } catch (error) {
@@ -52,9 +53,11 @@ async function shouldShowNotification() {
 
 /**
  * Creates and shows the token notification banner
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
  */
-async function showTokenNotification() {
-  const shouldShow = await shouldShowNotification();
+async function showTokenNotification(owner, repo) {
+  const shouldShow = await shouldShowNotification(owner, repo);
 
   if (!shouldShow) {
     console.log('[Notification] Skipping notification (criteria not met)');
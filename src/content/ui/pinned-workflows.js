@@ -0,0 +1,138 @@
+/**
+ * Pinned Workflows Module
+ * Star toggles on workflow links and the "Pinned" folder at the top of the folder view
+ * Follows Single Responsibility Principle - only responsible for pinning workflows
+ */
+
+// Folder path of the pinned folder, also the key its expanded state is saved under
+// The leading NUL character keeps it apart from config folders, including one named "Pinned"
+const PINNED_FOLDER_PATH = '\u0000pinned';
+
+/**
+ * Creates the star toggle for a workflow
+ * @param {{name: string, path: string}} workflowData - Workflow data object
+ * @returns {HTMLButtonElement} Pin button
+ */
+function createPinButton(workflowData) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = CLASS_NAMES.pinButton;
+  button.dataset.workflowPath = workflowData.path;
+  button.dataset.workflowName = workflowData.name;
+  setPinButtonState(button, false);
+  return button;
+}
+
+/**
+ * Updates a pin button to reflect whether its workflow is pinned
+ * @param {HTMLButtonElement} button - Pin button
+ * @param {boolean} isPinned - Whether the workflow is pinned
+ */
+function setPinButtonState(button, isPinned) {
+  const label = `${isPinned ? 'Unpin' : 'Pin'} ${button.dataset.workflowName}`;
+  button.textContent = isPinned ? '★' : '☆';
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.setAttribute('aria-pressed', String(isPinned));
+}
+
+/**
+ * Syncs every pin button in the container with the pinned list
+ * @param {HTMLElement} container - Folder container
+ * @param {Array<string>} pinnedPaths - Pinned workflow paths
+ */
+function updatePinButtons(container, pinnedPaths) {
+  container.querySelectorAll(`.${CLASS_NAMES.pinButton}`).forEach(button => {
+    setPinButtonState(button, pinnedPaths.includes(button.dataset.workflowPath));
+  });
+}
+
+/**
+ * Copies an already loaded run status onto a link in the pinned folder
+ * @param {HTMLElement} container - Folder container
+ * @param {HTMLElement} link - Workflow link without a status yet
+ */
+function copyRunStatus(container, link) {
+  const source = container.querySelector(
+    `.${CLASS_NAMES.workflowLink}[data-run-state][data-workflow-path="${CSS.escape(link.dataset.workflowPath)}"]`
+  );
+
+  if (!source) {
+    return;
+  }
+
+  link.dataset.runState = source.dataset.runState;
+  if (source.dataset.branchRunState) {
+    link.dataset.branchRunState = source.dataset.branchRunState;
+  }
+  link.appendChild(source.querySelector(`.${CLASS_NAMES.runStatus}`).cloneNode(true));
+}
+
+/**
+ * Renders the pinned folder right below the filter, replacing any previous one
+ * Pins of workflows that no longer exist are skipped; the folder is left out when nothing is pinned.
+ * @param {HTMLElement} container - Folder container
+ * @param {Map<string, Object>} workflowsByPath - Workflows shown in the folder view, by path
+ * @param {Array<string>} pinnedPaths - Pinned workflow paths, in pin order
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<void>}
+ */
+async function renderPinnedFolder(container, workflowsByPath, pinnedPaths, owner, repo) {
+  const existing = container.querySelector(`:scope > .${CLASS_NAMES.pinnedFolder}`);
+  if (existing) {
+    existing.remove();
+  }
+
+  const workflows = pinnedPaths
+    .filter(path => workflowsByPath.has(path))
+    .map(path => workflowsByPath.get(path));
+
+  if (workflows.length === 0) {
+    return;
+  }
+
+  const folderStates = await getFolderStates(owner, repo);
+  const pinnedNode = { name: 'Pinned', path: PINNED_FOLDER_PATH, workflows, folders: [] };
+  const folder = createFolderFromData(pinnedNode, owner, repo, folderStates);
+  folder.classList.add(CLASS_NAMES.pinnedFolder);
+
+  folder.querySelectorAll(`.${CLASS_NAMES.workflowLink}`).forEach(link => copyRunStatus(container, link));
+  updateFolderRunStatus(folder);
+  addRunButtons(container, folder);
+
+  const filter = container.querySelector(`:scope > .${CLASS_NAMES.filter}`);
+  container.insertBefore(folder, filter ? filter.nextSibling : container.firstChild);
+}
+
+/**
+ * Loads the pins of a repository, renders the pinned folder and handles star clicks
+ * @param {HTMLElement} container - Folder container
+ * @param {Map<string, Object>} workflowsByPath - Workflows shown in the folder view, by path
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<void>}
+ */
+async function setupPinnedWorkflows(container, workflowsByPath, owner, repo) {
+  let pinnedPaths = await getPinnedWorkflows(owner, repo);
+
+  container.addEventListener('click', async (event) => {
+    const button = event.target.closest(`.${CLASS_NAMES.pinButton}`);
+    if (!button || !container.contains(button)) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const path = button.dataset.workflowPath;
+    pinnedPaths = await setWorkflowPinned(owner, repo, path, !pinnedPaths.includes(path));
+    console.log(`[GitHub Actions Folders] ${pinnedPaths.includes(path) ? 'Pinned' : 'Unpinned'} ${path}`);
+
+    await renderPinnedFolder(container, workflowsByPath, pinnedPaths, owner, repo);
+    updatePinButtons(container, pinnedPaths);
+  });
+
+  await renderPinnedFolder(container, workflowsByPath, pinnedPaths, owner, repo);
+  updatePinButtons(container, pinnedPaths);
+}
@@ -0,0 +1,41 @@
+/**
+ * Rate Limit Notice Module
+ * Tells the user that GitHub API requests are rate limited, and until when
+ * Follows Single Responsibility Principle - only responsible for the rate limit notice
+ */
+
+/**
+ * Formats a timestamp as the local time shown in the notice
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Time as HH:MM
+ */
+function formatRateLimitResetTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+/**
+ * Shows the rate limit notice at the top of the folder view, or updates the one already shown
+ * The notice removes itself once the limit has reset.
+ * @param {HTMLElement} container - Folder container
+ * @param {number} resetAt - When requests can be sent again, in milliseconds
+ * @param {string} detail - What the user sees meanwhile (e.g. "Run statuses are paused.")
+ */
+function showRateLimitNotice(container, resetAt, detail) {
+  let notice = container.querySelector(`.${CLASS_NAMES.rateLimitNotice}`);
+
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = CLASS_NAMES.rateLimitNotice;
+    notice.setAttribute('role', 'status');
+    container.insertBefore(notice, container.firstChild);
+  }
+
+  resetAt = Math.max(resetAt, Number(notice.dataset.resetAt) || 0);
+  notice.dataset.resetAt = String(resetAt);
+  notice.textContent = `GitHub API rate limited until ${formatRateLimitResetTime(resetAt)}. ${detail}`;
+
+  clearTimeout(Number(notice.dataset.timer));
+  notice.dataset.timer = String(setTimeout(() => notice.remove(), Math.max(0, resetAt - Date.now())));
+
+  console.warn('[GitHub Actions Folders] Rate limited until', new Date(resetAt).toISOString());
+}
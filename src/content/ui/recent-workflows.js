@@ -0,0 +1,40 @@
+/**
+ * Recent Workflows Module
+ * The "Recent" folder listing the workflows the user opened last
+ * Follows Single Responsibility Principle - only responsible for the recent workflows folder
+ */
+
+// Folder path of the recent folder, also the key its expanded state is saved under
+// The leading NUL character keeps it apart from config folders, including one named "Recent"
+const RECENT_FOLDER_PATH = '\u0000recent';
+
+/**
+ * Creates the recent folder for a repository
+ * Visits to workflows that are no longer shown are skipped.
+ * @param {Map<string, Object>} workflowsByPath - Workflows shown in the folder view, by path
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} folderStates - Saved folder states, keyed by folder path
+ * @returns {Promise<HTMLElement|null>} Folder element, or null if there is nothing to show
+ */
+async function createRecentFolder(workflowsByPath, owner, repo, folderStates) {
+  const [limit, recentPaths] = await Promise.all([
+    getRecentWorkflowsLimit(),
+    getRecentWorkflows(owner, repo)
+  ]);
+
+  const workflows = recentPaths
+    .filter(path => workflowsByPath.has(path))
+    .slice(0, limit)
+    .map(path => workflowsByPath.get(path));
+
+  if (workflows.length === 0) {
+    return null;
+  }
+
+  const recentNode = { name: 'Recent', path: RECENT_FOLDER_PATH, workflows, folders: [] };
+  const folder = createFolderFromData(recentNode, owner, repo, folderStates);
+  folder.classList.add(CLASS_NAMES.recentFolder);
+
+  return folder;
+}
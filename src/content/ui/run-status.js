@@ -0,0 +1,262 @@
+/**
+ * Run Status Module
+ * Decorates workflow links and folder headers with the latest run results
+ * Follows Single Responsibility Principle - only responsible for run status display
+ */
+
+// Display details per run state, in rollup priority order (first match wins for folders)
+const RUN_STATES = {
+  failure: { icon: '✗', label: 'Failed' },
+  in_progress: { icon: '●', label: 'In progress' },
+  cancelled: { icon: '⊘', label: 'Cancelled' },
+  success: { icon: '✓', label: 'Succeeded' },
+  neutral: { icon: '–', label: 'Skipped' }
+};
+
+// States counted in folder headers, in display order
+const FOLDER_RUN_COUNTS = {
+  failure: 'failing',
+  in_progress: 'running',
+  success: 'succeeding'
+};
+
+// Interval id of the periodic run status refresh; cleared on navigation
+let runStatusRefreshTimer = null;
+
+/**
+ * Maps a run's status/conclusion pair onto one of the displayed states
+ * @param {{status: string, conclusion: string|null}} run - Run summary from the service worker
+ * @returns {string} Key of RUN_STATES
+ */
+function getRunState(run) {
+  if (run.status !== 'completed') {
+    return 'in_progress';
+  }
+
+  switch (run.conclusion) {
+    case 'success':
+      return 'success';
+    case 'failure':
+    case 'timed_out':
+    case 'startup_failure':
+      return 'failure';
+    case 'cancelled':
+      return 'cancelled';
+    default:
+      return 'neutral';
+  }
+}
+
+/**
+ * Formats a timestamp as a compact relative time (e.g. "5m ago")
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string} Relative time
+ */
+function formatRelativeTime(timestamp) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 30 * 86400) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Creates or updates the status badge inside a workflow link
+ * @param {HTMLElement} link - Workflow link element
+ * @param {Object} run - Run summary from the service worker
+ */
+function setWorkflowRunStatus(link, run) {
+  const state = getRunState(run);
+  const { icon, label } = RUN_STATES[state];
+
+  let badge = link.querySelector(`.${CLASS_NAMES.runStatus}`);
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = CLASS_NAMES.runStatus;
+
+    const iconElement = document.createElement('span');
+    iconElement.className = CLASS_NAMES.runStatusIcon;
+
+    const time = document.createElement('span');
+    time.className = CLASS_NAMES.runStatusTime;
+
+    badge.appendChild(iconElement);
+    badge.appendChild(time);
+    link.appendChild(badge);
+  }
+
+  link.dataset.runState = state;
+  badge.dataset.runState = state;
+  badge.querySelector(`.${CLASS_NAMES.runStatusIcon}`).textContent = icon;
+  badge.querySelector(`.${CLASS_NAMES.runStatusTime}`).textContent = formatRelativeTime(run.updatedAt);
+  badge.title = `${label} · #${run.runNumber} on ${run.branch} · ${new Date(run.updatedAt).toLocaleString()}`;
+}
+
+/**
+ * Shows how many workflows of a folder are failing, running and succeeding in its header
+ * @param {HTMLElement} header - Folder header element
+ * @param {Array<string>} states - Run states of the folder's workflows
+ */
+function setFolderRunCounts(header, states) {
+  const counts = header.querySelector(`.${CLASS_NAMES.folderRunCounts}`);
+  if (!counts) {
+    return;
+  }
+
+  counts.textContent = '';
+
+  const parts = [];
+  Object.entries(FOLDER_RUN_COUNTS).forEach(([state, description]) => {
+    const total = states.filter(runState => runState === state).length;
+    if (total === 0) {
+      return;
+    }
+
+    const count = document.createElement('span');
+    count.className = CLASS_NAMES.folderRunCount;
+    count.dataset.runState = state;
+    count.textContent = `${RUN_STATES[state].icon} ${total}`;
+    counts.appendChild(count);
+
+    parts.push(`${total} ${description}`);
+  });
+
+  counts.title = parts.length > 0 ? `Latest runs on the default branch: ${parts.join(', ')}` : '';
+}
+
+/**
+ * Rolls the states of all workflows inside a folder (including subfolders) up into its header
+ * The status dot follows the badges; the counts only cover runs on the default branch.
+ * @param {HTMLElement} folder - Folder element
+ */
+function updateFolderRunStatus(folder) {
+  const header = folder.querySelector(`:scope > .${CLASS_NAMES.folderHeader}`);
+  if (!header) {
+    return;
+  }
+
+  const states = Array.from(folder.querySelectorAll(`.${CLASS_NAMES.workflowLink}[data-run-state]`))
+    .map(link => link.dataset.runState);
+
+  const branchStates = Array.from(folder.querySelectorAll(`.${CLASS_NAMES.workflowLink}[data-branch-run-state]`))
+    .map(link => link.dataset.branchRunState);
+
+  setFolderRunCounts(header, branchStates);
+
+  const rollup = Object.keys(RUN_STATES).find(state => states.includes(state));
+
+  let dot = header.querySelector(`.${CLASS_NAMES.folderStatus}`);
+  if (!rollup) {
+    if (dot) dot.remove();
+    return;
+  }
+
+  if (!dot) {
+    dot = document.createElement('span');
+    dot.className = CLASS_NAMES.folderStatus;
+    header.insertBefore(dot, header.querySelector(`.${CLASS_NAMES.folderCount}`));
+  }
+
+  dot.dataset.runState = rollup;
+  dot.title = rollup === 'failure'
+    ? 'A workflow in this folder last failed'
+    : `Latest runs: ${RUN_STATES[rollup].label.toLowerCase()}`;
+}
+
+/**
+ * Applies latest run statuses to every workflow link and folder header in the container
+ * @param {HTMLElement} container - Folder container
+ * @param {Object<string, Object>} runs - Latest run per workflow path on any branch, shown as badges
+ * @param {Object<string, Object>} branchRuns - Latest run per workflow path on the default branch, counted in headers
+ */
+function applyRunStatuses(container, runs, branchRuns) {
+  container.querySelectorAll(`.${CLASS_NAMES.workflowLink}[data-workflow-path]`).forEach(link => {
+    const run = runs[link.dataset.workflowPath];
+    if (run) {
+      setWorkflowRunStatus(link, run);
+    }
+
+    const branchRun = branchRuns[link.dataset.workflowPath];
+    if (branchRun) {
+      link.dataset.branchRunState = getRunState(branchRun);
+    } else {
+      delete link.dataset.branchRunState;
+    }
+  });
+
+  container.querySelectorAll(`.${CLASS_NAMES.folder}`).forEach(updateFolderRunStatus);
+}
+
+/**
+ * Fetches latest runs in the background and decorates the folder view once they arrive
+ * @param {HTMLElement} container - Folder container
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} workflows - Workflows shown in the folder view
+ * @returns {Promise<void>}
+ */
+async function loadRunStatuses(container, owner, repo, workflows) {
+  const { runs, branchRuns, rateLimitedUntil } = await fetchWorkflowRuns(owner, repo, workflows);
+
+  if (!container.isConnected) {
+    return;
+  }
+
+  if (rateLimitedUntil) {
+    showRateLimitNotice(container, rateLimitedUntil, 'Run statuses are paused until then.');
+  }
+
+  applyRunStatuses(container, runs, branchRuns);
+  console.log('[GitHub Actions Folders] Run statuses applied for', Object.keys(runs).length, 'workflows');
+}
+
+/**
+ * Stops the periodic run status refresh, if one is running
+ */
+function stopRunStatusRefresh() {
+  if (runStatusRefreshTimer !== null) {
+    clearInterval(runStatusRefreshTimer);
+    runStatusRefreshTimer = null;
+  }
+}
+
+/**
+ * Reloads run statuses on an interval while the folder view is shown
+ * Skips refreshes while the tab is in the background and stops once the container is removed.
+ * Refreshes less often without a token, so an open tab does not use up the anonymous rate limit.
+ * @param {HTMLElement} container - Folder container
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} workflows - Workflows shown in the folder view
+ * @returns {Promise<void>}
+ */
+async function startRunStatusRefresh(container, owner, repo, workflows) {
+  stopRunStatusRefresh();
+
+  const interval = await hasToken(owner, repo)
+    ? RUN_STATUS_REFRESH_INTERVAL_MS
+    : RUN_STATUS_ANONYMOUS_REFRESH_INTERVAL_MS;
+
+  if (!container.isConnected) {
+    return;
+  }
+
+  stopRunStatusRefresh();
+
+  runStatusRefreshTimer = setInterval(() => {
+    if (!container.isConnected) {
+      stopRunStatusRefresh();
+      return;
+    }
+
+    if (document.hidden) {
+      return;
+    }
+
+    loadRunStatuses(container, owner, repo, workflows).catch(error => {
+      console.warn('[GitHub Actions Folders] Failed to refresh run statuses:', error);
+    });
+  }, interval);
+}
@@ -50,11 +50,14 @@ function createToggleButton(owner, repo, isEnabled) {
 
 /**
  * Creates a "Create Config File" button
+ * With the repository's workflows at hand, it opens a preview of folders generated from them;
+ * otherwise it goes straight to GitHub's file creation page with an example config.
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {Array|null} [workflows] - Repository workflows
  * @returns {HTMLElement} Create config button container
  */
-function createConfigButton(owner, repo) {
+function createConfigButton(owner, repo, workflows = null) {
   const buttonContainer = document.createElement('div');
   buttonContainer.className = CLASS_NAMES.toggleContainer;
 
@@ -73,11 +76,16 @@ function createConfigButton(owner, repo) {
   button.appendChild(label);
   buttonContainer.appendChild(button);
 
-  // Handle button click - navigate to GitHub's file creation page
+  // Handle button click - preview generated folders, or navigate to GitHub's file creation page
   button.addEventListener('click', async (event) => {
     event.preventDefault();
     event.stopPropagation();
 
+    if (workflows && workflows.length > 0) {
+      await openConfigPreviewDialog(owner, repo, workflows);
+      return;
+    }
+
     const configUrl = await buildConfigCreationUrl(owner, repo);
     console.log('[GitHub Actions Folders] Navigating to config creation:', configUrl);
 
@@ -88,6 +96,92 @@ function createConfigButton(owner, repo) {
   return buttonContainer;
 }
 
+/**
+ * Creates a button that opens the personal layout editor
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [options] - Passed on to openPersonalLayoutDialog
+ * @param {boolean} [options.hasLayout] - Whether a personal layout is already saved
+ * @returns {HTMLElement} Layout button container
+ */
+function createLayoutButton(owner, repo, { hasLayout = false, ...dialogOptions } = {}) {
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = CLASS_NAMES.toggleContainer;
+
+  const button = document.createElement('button');
+  button.className = CLASS_NAMES.toggleButton;
+
+  const icon = document.createElement('span');
+  icon.className = CLASS_NAMES.toggleIcon;
+  icon.textContent = '⚙';
+
+  const label = document.createElement('span');
+  label.className = CLASS_NAMES.toggleLabel;
+  label.textContent = hasLayout ? 'Edit personal layout' : 'Create personal layout';
+
+  button.appendChild(icon);
+  button.appendChild(label);
+  buttonContainer.appendChild(button);
+
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    openPersonalLayoutDialog(owner, repo, dialogOptions).catch(error => {
+      console.error('[GitHub Actions Folders] Failed to open personal layout editor:', error);
+    });
+  });
+
+  return buttonContainer;
+}
+
+/**
+ * Creates a button that cycles how disabled workflows are shown in this repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} mode - Current mode, one of DISABLED_WORKFLOW_MODES
+ * @returns {HTMLElement} Button container
+ */
+function createDisabledWorkflowsButton(owner, repo, mode) {
+  const labels = {
+    show: 'Disabled workflows: marked',
+    hide: 'Disabled workflows: hidden',
+    folder: 'Disabled workflows: in own folder'
+  };
+  const nextMode = DISABLED_WORKFLOW_MODES[(DISABLED_WORKFLOW_MODES.indexOf(mode) + 1) % DISABLED_WORKFLOW_MODES.length];
+
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = CLASS_NAMES.toggleContainer;
+
+  const button = document.createElement('button');
+  button.className = CLASS_NAMES.toggleButton;
+  button.title = `Switch to: ${labels[nextMode].replace('Disabled workflows: ', '')}`;
+
+  const icon = document.createElement('span');
+  icon.className = CLASS_NAMES.toggleIcon;
+  icon.textContent = '⊘';
+
+  const label = document.createElement('span');
+  label.className = CLASS_NAMES.toggleLabel;
+  label.textContent = labels[mode];
+
+  button.appendChild(icon);
+  button.appendChild(label);
+  buttonContainer.appendChild(button);
+
+  button.addEventListener('click', async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    await setDisabledWorkflowsMode(owner, repo, nextMode);
+    console.log('[GitHub Actions Folders] Disabled workflows mode set to', nextMode, 'for', owner + '/' + repo);
+
+    window.location.reload();
+  });
+
+  return buttonContainer;
+}
+
 /**
  * Adds toggle button to the original workflow list
  * @param {string} owner - Repository owner
@@ -111,9 +205,10 @@ function addToggleButton(owner, repo, workflowList, isEnabled) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {HTMLElement} workflowList - Workflow list element
+ * @param {Array|null} [workflows] - Repository workflows, used to suggest folders
  */
-function addConfigButton(owner, repo, workflowList) {
-  const configButton = createConfigButton(owner, repo);
+function addConfigButton(owner, repo, workflowList, workflows = null) {
+  const configButton = createConfigButton(owner, repo, workflows);
 
   const parent = workflowList.parentElement;
   if (parent) {
@@ -122,3 +217,21 @@ function addConfigButton(owner, repo, workflowList) {
     console.log('[GitHub Actions Folders] Create config button added');
   }
 }
+
+/**
+ * Adds personal layout button to the original workflow list
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {HTMLElement} workflowList - Workflow list element
+ * @param {Object} [options] - Passed on to createLayoutButton
+ */
+function addLayoutButton(owner, repo, workflowList, options) {
+  const layoutButton = createLayoutButton(owner, repo, options);
+
+  const parent = workflowList.parentElement;
+  if (parent) {
+    // Insert after the workflow list
+    parent.insertBefore(layoutButton, workflowList.nextSibling);
+    console.log('[GitHub Actions Folders] Personal layout button added');
+  }
+}
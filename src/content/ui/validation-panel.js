@@ -0,0 +1,111 @@
+/**
+ * Validation Panel Module
+ * Shows config errors and warnings in a collapsible panel above the sidebar
+ * Follows Single Responsibility Principle - only responsible for validation reporting UI
+ */
+
+/**
+ * Formats the location of an issue for display
+ * @param {{path?: string, line?: number, column?: number}} issue - Validation issue
+ * @returns {string} Location text, empty if unknown
+ */
+function formatIssueLocation(issue) {
+  if (issue.line) {
+    return issue.column ? `line ${issue.line}, column ${issue.column}` : `line ${issue.line}`;
+  }
+
+  return issue.path || '';
+}
+
+/**
+ * Creates a list item for a single validation issue
+ * @param {Object} issue - Validation issue
+ * @param {string} level - 'error' or 'warning'
+ * @returns {HTMLElement} List item
+ */
+function createIssueItem(issue, level) {
+  const item = document.createElement('li');
+  item.className = `${CLASS_NAMES.validationIssue} ${CLASS_NAMES.validationIssue}-${level}`;
+
+  const icon = document.createElement('span');
+  icon.className = CLASS_NAMES.validationIcon;
+  icon.textContent = level === 'error' ? '✗' : '!';
+
+  const message = document.createElement('span');
+  message.textContent = issue.message;
+
+  item.appendChild(icon);
+  item.appendChild(message);
+
+  const location = formatIssueLocation(issue);
+  if (location) {
+    const locationLabel = document.createElement('span');
+    locationLabel.className = CLASS_NAMES.validationLocation;
+    locationLabel.textContent = location;
+    item.appendChild(locationLabel);
+  }
+
+  return item;
+}
+
+/**
+ * Creates the collapsible validation panel
+ * Starts expanded when there are errors, collapsed when there are only warnings
+ * @param {{errors: Array, warnings: Array}} validation - Result of validateConfig
+ * @param {string} configPath - Path of the config file the issues refer to
+ * @returns {HTMLElement} Panel element
+ */
+function createValidationPanel(validation, configPath) {
+  const { errors, warnings } = validation;
+
+  const panel = document.createElement('details');
+  panel.className = CLASS_NAMES.validationPanel;
+  if (errors.length > 0) {
+    panel.classList.add(`${CLASS_NAMES.validationPanel}-error`);
+    panel.open = true;
+  }
+
+  const summary = document.createElement('summary');
+  const parts = [];
+  if (errors.length > 0) parts.push(`${errors.length} error${errors.length === 1 ? '' : 's'}`);
+  if (warnings.length > 0) parts.push(`${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+  summary.textContent = `${configPath}: ${parts.join(', ')}`;
+  panel.appendChild(summary);
+
+  if (errors.length > 0) {
+    const hint = document.createElement('p');
+    hint.className = CLASS_NAMES.validationHint;
+    hint.textContent = 'Folders are disabled until the errors below are fixed.';
+    panel.appendChild(hint);
+  }
+
+  const list = document.createElement('ul');
+  errors.forEach(issue => list.appendChild(createIssueItem(issue, 'error')));
+  warnings.forEach(issue => list.appendChild(createIssueItem(issue, 'warning')));
+  panel.appendChild(list);
+
+  return panel;
+}
+
+/**
+ * Inserts the validation panel above the given sidebar element
+ * @param {{errors: Array, warnings: Array}} validation - Result of validateConfig
+ * @param {string} configPath - Path of the config file the issues refer to
+ * @param {HTMLElement} anchor - Element the panel is placed before
+ * @returns {HTMLElement|null} Inserted panel, or null if there was nothing to report
+ */
+function showValidationPanel(validation, configPath, anchor) {
+  if (validation.errors.length === 0 && validation.warnings.length === 0) {
+    return null;
+  }
+
+  const panel = createValidationPanel(validation, configPath);
+
+  const parent = anchor.parentElement;
+  if (parent) {
+    parent.insertBefore(panel, anchor);
+    console.log('[GitHub Actions Folders] Validation panel added:', validation.errors.length, 'errors,', validation.warnings.length, 'warnings');
+  }
+
+  return panel;
+}
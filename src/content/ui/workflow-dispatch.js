@@ -0,0 +1,305 @@
+/**
+ * Workflow Dispatch Module
+ * Run buttons on manually triggerable workflows and the inline form that starts a run
+ * Follows Single Responsibility Principle - only responsible for dispatching workflows from the folder view
+ */
+
+// Dispatch inputs per workflow path, per folder container
+const dispatchableWorkflowsByContainer = new WeakMap();
+
+/**
+ * Creates the run button for a workflow
+ * @param {HTMLElement} link - Workflow link the button belongs to
+ * @returns {HTMLButtonElement} Run button
+ */
+function createRunButton(link) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = CLASS_NAMES.runButton;
+  button.dataset.workflowPath = link.dataset.workflowPath;
+  button.textContent = '▶';
+  button.title = `Run ${link.dataset.workflowName}`;
+  button.setAttribute('aria-label', `Run ${link.dataset.workflowName}`);
+  button.setAttribute('aria-expanded', 'false');
+  return button;
+}
+
+/**
+ * Adds run buttons to the dispatchable workflows below an element
+ * Called again for folders rendered later, such as the pinned folder.
+ * @param {HTMLElement} container - Folder container
+ * @param {HTMLElement} root - Element to look for workflows in, defaults to the whole container
+ */
+function addRunButtons(container, root = container) {
+  const dispatchable = dispatchableWorkflowsByContainer.get(container);
+  if (!dispatchable) {
+    return;
+  }
+
+  root.querySelectorAll(`.${CLASS_NAMES.workflowItem}`).forEach(item => {
+    const link = item.querySelector(`.${CLASS_NAMES.workflowLink}`);
+
+    if (dispatchable[link.dataset.workflowPath] && !item.querySelector(`.${CLASS_NAMES.runButton}`)) {
+      item.insertBefore(createRunButton(link), link.nextSibling);
+    }
+  });
+}
+
+/**
+ * Creates a labelled field of the run form
+ * @param {string} labelText - Label text
+ * @param {HTMLElement} control - Form control
+ * @param {string} description - Shown as a tooltip on the label, may be empty
+ * @returns {HTMLElement} Field element
+ */
+function createDispatchField(labelText, control, description = '') {
+  const field = document.createElement('label');
+  field.className = CLASS_NAMES.dispatchField;
+  if (control.type === 'checkbox') {
+    field.classList.add(`${CLASS_NAMES.dispatchField}-checkbox`);
+  }
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  if (description) {
+    label.title = description;
+  }
+
+  field.appendChild(label);
+  field.appendChild(control);
+
+  return field;
+}
+
+/**
+ * Creates the form control for a workflow_dispatch input
+ * @param {{name: string, description: string, required: boolean, type: string, default: string, options: Array<string>}} input - Input definition
+ * @returns {HTMLElement} Labelled field
+ */
+function createDispatchInputField(input) {
+  let control;
+
+  if (input.type === 'boolean') {
+    control = document.createElement('input');
+    control.type = 'checkbox';
+    control.checked = input.default === 'true';
+  } else if (input.type === 'choice') {
+    control = document.createElement('select');
+    input.options.forEach(option => {
+      control.appendChild(new Option(option, option, false, option === input.default));
+    });
+  } else {
+    control = document.createElement('input');
+    control.type = input.type === 'number' ? 'number' : 'text';
+    control.value = input.default;
+    control.spellcheck = false;
+  }
+
+  control.className = CLASS_NAMES.dispatchInput;
+  control.dataset.inputName = input.name;
+  control.dataset.inputType = input.type;
+  control.required = input.required && input.type !== 'boolean';
+
+  return createDispatchField(input.required ? `${input.name} *` : input.name, control, input.description);
+}
+
+/**
+ * Reads the input values from a run form
+ * @param {HTMLElement} form - Run form
+ * @returns {{inputs: Object<string, string>, missing: Array<string>}} Values by name, and required inputs left empty
+ */
+function readDispatchInputs(form) {
+  const inputs = {};
+  const missing = [];
+
+  form.querySelectorAll(`.${CLASS_NAMES.dispatchInput}[data-input-name]`).forEach(control => {
+    const { inputName, inputType } = control.dataset;
+    const value = inputType === 'boolean' ? String(control.checked) : control.value.trim();
+
+    if (value === '') {
+      if (control.required) {
+        missing.push(inputName);
+      }
+      return;
+    }
+
+    inputs[inputName] = value;
+  });
+
+  return { inputs, missing };
+}
+
+/**
+ * Shows the outcome of a dispatch in the run form
+ * @param {HTMLElement} status - Status element
+ * @param {Object} result - Response from dispatchWorkflow
+ * @param {string} runsUrl - URL of the workflow's runs page
+ */
+function renderDispatchResult(status, result, runsUrl) {
+  status.textContent = '';
+  status.className = CLASS_NAMES.dispatchStatus;
+
+  if (!result.success) {
+    status.classList.add(`${CLASS_NAMES.dispatchStatus}-error`);
+    status.textContent = result.error || 'Could not start the workflow';
+    return;
+  }
+
+  status.classList.add(`${CLASS_NAMES.dispatchStatus}-success`);
+  status.appendChild(document.createTextNode(`Run requested on ${result.ref}. `));
+
+  const link = document.createElement('a');
+  link.href = runsUrl;
+  link.textContent = 'View runs';
+  status.appendChild(link);
+}
+
+/**
+ * Closes the open run form of a container, if any
+ * @param {HTMLElement} container - Folder container
+ */
+function closeDispatchForm(container) {
+  const form = container.querySelector(`.${CLASS_NAMES.dispatchForm}`);
+  if (!form) {
+    return;
+  }
+
+  const button = form.parentElement.querySelector(`.${CLASS_NAMES.runButton}`);
+  if (button) {
+    button.setAttribute('aria-expanded', 'false');
+  }
+
+  form.remove();
+}
+
+/**
+ * Opens the run form below a workflow, with a ref picker and a field per workflow_dispatch input
+ * @param {HTMLElement} item - Workflow item
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {{inputs: Array<Object>}} dispatch - Dispatch inputs of the workflow
+ */
+function openDispatchForm(item, owner, repo, dispatch) {
+  const link = item.querySelector(`.${CLASS_NAMES.workflowLink}`);
+  const button = item.querySelector(`.${CLASS_NAMES.runButton}`);
+
+  const form = document.createElement('form');
+  form.className = CLASS_NAMES.dispatchForm;
+  form.noValidate = true;
+
+  const refInput = document.createElement('input');
+  refInput.type = 'text';
+  refInput.className = CLASS_NAMES.dispatchInput;
+  refInput.placeholder = 'Loading branches...';
+  refInput.spellcheck = false;
+  refInput.setAttribute('list', 'gaf-dispatch-refs');
+
+  const refList = document.createElement('datalist');
+  refList.id = 'gaf-dispatch-refs';
+
+  const refField = createDispatchField('Use workflow from', refInput);
+  refField.appendChild(refList);
+  form.appendChild(refField);
+
+  dispatch.inputs.forEach(input => form.appendChild(createDispatchInputField(input)));
+
+  const actions = document.createElement('div');
+  actions.className = CLASS_NAMES.dispatchActions;
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = CLASS_NAMES.modalButton;
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => closeDispatchForm(item.closest(`.${CLASS_NAMES.folderContainer}`)));
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = `${CLASS_NAMES.modalButton} ${CLASS_NAMES.modalButton}-primary`;
+  submitButton.textContent = 'Run workflow';
+
+  actions.appendChild(cancelButton);
+  actions.appendChild(submitButton);
+  form.appendChild(actions);
+
+  const status = document.createElement('p');
+  status.className = CLASS_NAMES.dispatchStatus;
+  form.appendChild(status);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const ref = refInput.value.trim();
+    const { inputs, missing } = readDispatchInputs(form);
+
+    if (!ref || missing.length > 0) {
+      renderDispatchResult(status, {
+        success: false,
+        error: !ref ? 'Please enter a branch or tag' : `Please fill in ${missing.join(', ')}`
+      });
+      return;
+    }
+
+    submitButton.disabled = true;
+    status.className = CLASS_NAMES.dispatchStatus;
+    status.textContent = 'Starting run...';
+
+    const result = await dispatchWorkflow(owner, repo, { workflowPath: link.dataset.workflowPath, ref, inputs });
+
+    submitButton.disabled = false;
+    renderDispatchResult(status, result, link.href);
+    console.log('[GitHub Actions Folders] Workflow dispatch', result.success ? 'succeeded' : 'failed', result);
+  });
+
+  item.appendChild(form);
+  button.setAttribute('aria-expanded', 'true');
+  refInput.focus();
+
+  fetchDispatchRefs(owner, repo).then(({ defaultBranch, branches }) => {
+    refInput.placeholder = 'Branch or tag';
+    if (!refInput.value && defaultBranch) {
+      refInput.value = defaultBranch;
+    }
+    branches.forEach(branch => refList.appendChild(new Option(branch)));
+  });
+}
+
+/**
+ * Adds run buttons to workflows with a workflow_dispatch trigger and handles their clicks
+ * Only runs when a saved token applies to the repository, since both reading the workflow files and dispatching need one.
+ * @param {HTMLElement} container - Folder container
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<void>}
+ */
+async function enableWorkflowDispatch(container, owner, repo) {
+  if (!(await hasToken(owner, repo))) {
+    return;
+  }
+
+  const dispatchable = await fetchDispatchableWorkflows(owner, repo);
+
+  if (!container.isConnected || Object.keys(dispatchable).length === 0) {
+    return;
+  }
+
+  dispatchableWorkflowsByContainer.set(container, dispatchable);
+  addRunButtons(container);
+
+  container.addEventListener('click', (event) => {
+    const button = event.target.closest(`.${CLASS_NAMES.runButton}`);
+    if (!button || !container.contains(button)) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const item = button.closest(`.${CLASS_NAMES.workflowItem}`);
+    const isOpen = item.querySelector(`.${CLASS_NAMES.dispatchForm}`) !== null;
+
+    closeDispatchForm(container);
+
+    if (!isOpen) {
+      openDispatchForm(item, owner, repo, dispatchable[button.dataset.workflowPath]);
+    }
+  });
+}
@@ -0,0 +1,233 @@
+/**
+ * Workflow Filter Module
+ * Filter box that searches workflows across all folders
+ * Follows Single Responsibility Principle - only responsible for filtering the folder view
+ */
+
+let filterShortcutRegistered = false;
+
+/**
+ * Fuzzy-matches a query against text
+ * A contiguous substring match is preferred; otherwise the query characters must appear in order.
+ * @param {string} query - Lowercased filter query
+ * @param {string} text - Text to search in
+ * @returns {Array<number>|null} Indices of matched characters, or null if there is no match
+ */
+function fuzzyMatch(query, text) {
+  const lowerText = text.toLowerCase();
+  const substringIndex = lowerText.indexOf(query);
+
+  if (substringIndex !== -1) {
+    return Array.from({ length: query.length }, (_, offset) => substringIndex + offset);
+  }
+
+  const indices = [];
+  let position = 0;
+
+  for (const char of query) {
+    if (char === ' ') {
+      continue;
+    }
+
+    position = lowerText.indexOf(char, position);
+    if (position === -1) {
+      return null;
+    }
+
+    indices.push(position);
+    position++;
+  }
+
+  return indices;
+}
+
+/**
+ * Renders text into an element, wrapping matched characters in <mark>
+ * @param {HTMLElement} element - Element whose content is replaced
+ * @param {string} text - Text to render
+ * @param {Array<number>} indices - Indices of characters to highlight
+ */
+function renderHighlightedText(element, text, indices) {
+  element.textContent = '';
+  const highlighted = new Set(indices);
+  let buffer = '';
+  let bufferHighlighted = false;
+
+  const flush = () => {
+    if (!buffer) return;
+    if (bufferHighlighted) {
+      const mark = document.createElement('mark');
+      mark.className = CLASS_NAMES.filterHighlight;
+      mark.textContent = buffer;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(buffer));
+    }
+    buffer = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const isHighlighted = highlighted.has(i);
+    if (isHighlighted !== bufferHighlighted) {
+      flush();
+      bufferHighlighted = isHighlighted;
+    }
+    buffer += text[i];
+  }
+
+  flush();
+}
+
+/**
+ * Shows only workflows matching the query, expanding folders with matches and hiding the rest
+ * Folder expansion is temporary and never saved
+ * @param {HTMLElement} container - Folder container
+ * @param {string} query - Filter query
+ * @returns {number} Number of matching workflows
+ */
+function applyWorkflowFilter(container, query) {
+  const normalizedQuery = query.trim().toLowerCase();
+  let matches = 0;
+
+  container.querySelectorAll(`.${CLASS_NAMES.workflowLink}`).forEach(link => {
+    const name = link.dataset.workflowName;
+    const filename = (link.dataset.workflowPath || '').split('/').pop();
+    const nameElement = link.querySelector(`.${CLASS_NAMES.workflowName}`);
+
+    const nameMatch = fuzzyMatch(normalizedQuery, name);
+    const isMatch = nameMatch !== null || fuzzyMatch(normalizedQuery, filename) !== null;
+
+    link.closest(`.${CLASS_NAMES.workflowItem}`).style.display = isMatch ? '' : 'none';
+    renderHighlightedText(nameElement, name, nameMatch || []);
+
+    if (isMatch) {
+      matches++;
+    }
+  });
+
+  container.querySelectorAll(`.${CLASS_NAMES.folder}`).forEach(folder => {
+    const hasMatch = Array.from(folder.querySelectorAll(`.${CLASS_NAMES.workflowItem}`))
+      .some(item => item.style.display !== 'none');
+
+    folder.style.display = hasMatch ? '' : 'none';
+    if (hasMatch) {
+      setFolderExpanded(folder, true);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Removes the filter: shows every workflow and folder again and restores saved folder states
+ * @param {HTMLElement} container - Folder container
+ * @param {Object} folderStates - Saved folder states, keyed by folder path
+ */
+function clearWorkflowFilter(container, folderStates) {
+  container.querySelectorAll(`.${CLASS_NAMES.workflowLink}`).forEach(link => {
+    link.closest(`.${CLASS_NAMES.workflowItem}`).style.display = '';
+    link.querySelector(`.${CLASS_NAMES.workflowName}`).textContent = link.dataset.workflowName;
+  });
+
+  container.querySelectorAll(`.${CLASS_NAMES.folder}`).forEach(folder => {
+    folder.style.display = '';
+    const savedState = folderStates[folder.dataset.folderPath];
+    setFolderExpanded(folder, savedState !== undefined ? savedState : true);
+  });
+}
+
+/**
+ * Focuses the filter box on Alt+Shift+F
+ * Registered once per page; looks up the current filter since the folder view is rebuilt on navigation
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleFilterShortcut(event) {
+  if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.code !== FILTER_SHORTCUT_KEY) {
+    return;
+  }
+
+  const input = document.querySelector(`.${CLASS_NAMES.filterInput}`);
+  if (input && input.offsetParent !== null) {
+    event.preventDefault();
+    input.focus();
+    input.select();
+  }
+}
+
+/**
+ * Creates the filter box for the folder container
+ * @param {HTMLElement} container - Folder container the filter applies to
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {HTMLElement} Filter element
+ */
+function createWorkflowFilter(container, owner, repo) {
+  const wrapper = document.createElement('div');
+  wrapper.className = CLASS_NAMES.filter;
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = CLASS_NAMES.filterInput;
+  input.placeholder = 'Filter workflows (Alt+Shift+F)';
+  input.setAttribute('aria-label', 'Filter workflows');
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+
+  const empty = document.createElement('div');
+  empty.className = CLASS_NAMES.filterEmpty;
+  empty.textContent = 'No matching workflows';
+  empty.style.display = 'none';
+
+  // Folder states are read once when filtering starts, so clearing can restore them right away
+  let savedFolderStates = null;
+  // Bumped on every input; a clear still waiting for the saved states is dropped once the query changed again
+  let filterGeneration = 0;
+
+  input.addEventListener('input', async () => {
+    const generation = ++filterGeneration;
+
+    if (input.value.trim() === '') {
+      empty.style.display = 'none';
+
+      if (!savedFolderStates) {
+        return;
+      }
+
+      const folderStates = await savedFolderStates;
+      if (generation === filterGeneration) {
+        clearWorkflowFilter(container, folderStates);
+        savedFolderStates = null;
+      }
+      return;
+    }
+
+    if (!savedFolderStates) {
+      savedFolderStates = getFolderStates(owner, repo).catch(error => {
+        console.warn('[GitHub Actions Folders] Failed to read folder states:', error);
+        return {};
+      });
+    }
+
+    const matches = applyWorkflowFilter(container, input.value);
+    empty.style.display = matches === 0 ? 'block' : 'none';
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      input.value = '';
+      input.dispatchEvent(new Event('input'));
+      input.blur();
+    }
+  });
+
+  wrapper.appendChild(input);
+  wrapper.appendChild(empty);
+
+  if (!filterShortcutRegistered) {
+    document.addEventListener('keydown', handleFilterShortcut);
+    filterShortcutRegistered = true;
+  }
+
+  return wrapper;
+}
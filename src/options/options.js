@@ -1,84 +1,341 @@
 /**
  * Options Page JavaScript
- * Manages extension settings including GitHub token and cache
+ * Manages extension settings including GitHub tokens and cache
  */
 
 document.addEventListener('DOMContentLoaded', () => {
   // Token management elements
+  const tokenList = document.getElementById('tokenList');
+  const tokenNameInput = document.getElementById('tokenNameInput');
+  const tokenHostInput = document.getElementById('tokenHostInput');
+  const tokenOwnersInput = document.getElementById('tokenOwnersInput');
   const tokenInput = document.getElementById('tokenInput');
-  const testTokenBtn = document.getElementById('testToken');
   const saveTokenBtn = document.getElementById('saveToken');
-  const clearTokenBtn = document.getElementById('clearToken');
+  const signInBtn = document.getElementById('signIn');
   const tokenStatus = document.getElementById('tokenStatus');
   const rateLimitInfo = document.getElementById('rateLimitInfo');
   const rateLimitRemaining = document.getElementById('rateLimitRemaining');
   const rateLimitTotal = document.getElementById('rateLimitTotal');
   const rateLimitReset = document.getElementById('rateLimitReset');
 
+  // Token diagnostics elements
+  const tokenDiagnostics = document.getElementById('tokenDiagnostics');
+  const diagnosticsTitle = document.getElementById('diagnosticsTitle');
+  const diagnosticsRepoInput = document.getElementById('diagnosticsRepoInput');
+  const runDiagnosticsBtn = document.getElementById('runDiagnostics');
+  const diagnosticsResult = document.getElementById('diagnosticsResult');
+
+  // Token the diagnostics panel is open for
+  let diagnosedToken = null;
+
+  // Device flow sign-in elements
+  const deviceFlowPanel = document.getElementById('deviceFlowPanel');
+  const deviceFlowLink = document.getElementById('deviceFlowLink');
+  const deviceFlowCode = document.getElementById('deviceFlowCode');
+  const deviceFlowState = document.getElementById('deviceFlowState');
+  const cancelSignInBtn = document.getElementById('cancelSignIn');
+  const clientIdInput = document.getElementById('clientIdInput');
+  const oauthUrlInput = document.getElementById('oauthUrlInput');
+  const saveOAuthSettingsBtn = document.getElementById('saveOAuthSettings');
+
+  // Next poll of a running sign-in
+  let deviceFlowTimer = null;
+
   // Cache and folder elements
   const clearCacheBtn = document.getElementById('clearAllCache');
   const cacheStatus = document.getElementById('cacheStatus');
   const folderStatus = document.getElementById('folderStatus');
   const repoList = document.getElementById('repoList');
 
-  // Load existing token status
-  loadTokenStatus();
+  // Personal layout elements
+  const layoutList = document.getElementById('layoutList');
+  const layoutRepoInput = document.getElementById('layoutRepoInput');
+  const addLayoutBtn = document.getElementById('addLayout');
+  const layoutStatus = document.getElementById('layoutStatus');
+
+  // Pinned workflow elements
+  const pinnedList = document.getElementById('pinnedList');
+  const pinnedStatus = document.getElementById('pinnedStatus');
+
+  // Recent workflow elements
+  const recentLimitInput = document.getElementById('recentLimitInput');
+  const saveRecentLimitBtn = document.getElementById('saveRecentLimit');
+  const recentStatus = document.getElementById('recentStatus');
+
+  // Workflow limit elements
+  const workflowsLimitInput = document.getElementById('workflowsLimitInput');
+  const saveWorkflowsLimitBtn = document.getElementById('saveWorkflowsLimit');
+  const workflowsLimitStatus = document.getElementById('workflowsLimitStatus');
+
+  // Enterprise host elements
+  const hostList = document.getElementById('hostList');
+  const hostInput = document.getElementById('hostInput');
+  const hostApiInput = document.getElementById('hostApiInput');
+  const hostRawInput = document.getElementById('hostRawInput');
+  const addHostBtn = document.getElementById('addHost');
+  const hostStatus = document.getElementById('hostStatus');
+
+  // Load and display saved tokens
+  loadTokens();
+
+  // Load the OAuth app of github.com
+  loadOAuthSettings();
 
   // Load and display repositories with saved states
   loadRepositories();
 
-  // Token: Test button
-  testTokenBtn.addEventListener('click', async () => {
+  // Load and display personal layouts
+  loadLayouts();
+
+  // Load and display pinned workflows
+  loadPinnedWorkflows();
+
+  // Load the recent folder size
+  loadRecentLimit();
+
+  // Load the workflow limit
+  loadWorkflowsLimit();
+
+  // Load and display enterprise hosts
+  loadHostProfiles();
+
+  // Token: Save button, saves the token with the result of its first test
+  saveTokenBtn.addEventListener('click', async () => {
     const token = tokenInput.value.trim();
+    const host = normalizeHostInput(tokenHostInput.value) || DEFAULT_GITHUB_HOST;
+    const owners = parseOwnerPatterns(tokenOwnersInput.value);
 
     if (!token) {
       showStatus(tokenStatus, 'Please enter a token', 'error');
       return;
     }
 
+    if (!owners) {
+      showStatus(tokenStatus, 'Please enter owners as *, owner, or owner/repo', 'error');
+      return;
+    }
+
+    const apiUrl = await getApiUrlForHost(host);
+    if (!apiUrl) {
+      showStatus(tokenStatus, `Please add ${host} under GitHub Enterprise Hosts first`, 'error');
+      return;
+    }
+
     showStatus(tokenStatus, 'Testing token...', 'info');
 
-    // Test token with API call
-    const result = await testGitHubToken(token);
+    try {
+      const saved = await saveTokenEntry({ name: tokenNameInput.value.trim() || host, host, owners, token });
+      const result = await testToken(token, apiUrl);
+      await recordTokenTest(saved.id, result);
 
-    if (result.valid) {
-      showStatus(tokenStatus, `✅ Valid token! Rate limit: ${result.rateLimit.remaining}/${result.rateLimit.limit}`, 'success');
-      displayRateLimit(result.rateLimit);
-    } else {
-      showStatus(tokenStatus, `❌ Invalid token: ${result.error}`, 'error');
-      rateLimitInfo.style.display = 'none';
+      if (result.valid) {
+        showStatus(tokenStatus, `✅ Token saved. Rate limit: ${result.rateLimit.remaining}/${result.rateLimit.limit}`, 'success');
+        displayRateLimit(result.rateLimit);
+      } else {
+        showStatus(tokenStatus, `Token saved, but the test failed: ${result.error}`, 'error');
+      }
+
+      // Clear inputs for security
+      tokenNameInput.value = '';
+      tokenHostInput.value = '';
+      tokenOwnersInput.value = '';
+      tokenInput.value = '';
+      loadTokens();
+    } catch (error) {
+      showStatus(tokenStatus, `❌ Failed to save token: ${error.message}`, 'error');
     }
   });
 
-  // Token: Save button
-  saveTokenBtn.addEventListener('click', async () => {
-    const token = tokenInput.value.trim();
+  // Tokens: show the OAuth app of the entered host
+  tokenHostInput.addEventListener('change', loadOAuthSettings);
 
-    if (!token) {
-      showStatus(tokenStatus, 'Please enter a token', 'error');
+  // Tokens: Save OAuth App button
+  saveOAuthSettingsBtn.addEventListener('click', async () => {
+    const host = normalizeHostInput(tokenHostInput.value) || DEFAULT_GITHUB_HOST;
+    const clientId = clientIdInput.value.trim();
+    const oauthUrl = oauthUrlInput.value.trim().replace(/\/+$/, '');
+
+    if (!clientId) {
+      showStatus(tokenStatus, 'Please enter the client ID of your OAuth app', 'error');
+      return;
+    }
+
+    let origin = null;
+    if (oauthUrl) {
+      origin = getOAuthOrigin(oauthUrl);
+      if (!origin) {
+        showStatus(tokenStatus, 'Please enter an https URL, or http://localhost for a mock server', 'error');
+        return;
+      }
+    }
+
+    // Must be requested before any other await, while the click still counts as a user gesture
+    if (origin && !(await browser.permissions.request({ origins: [`${origin}/*`] }))) {
+      showStatus(tokenStatus, `Access to ${origin} was not granted`, 'error');
       return;
     }
 
     try {
-      await browser.storage.sync.set({ github_token: token });
-      showStatus(tokenStatus, '✅ Token saved successfully', 'success');
-      tokenInput.value = ''; // Clear input for security
-      loadTokenStatus(); // Reload status
+      await saveOAuthSettings(host, { clientId, oauthUrl });
+      showStatus(tokenStatus, `✅ OAuth app saved for ${host}`, 'success');
     } catch (error) {
-      showStatus(tokenStatus, `❌ Failed to save token: ${error.message}`, 'error');
+      showStatus(tokenStatus, `❌ Failed to save OAuth app: ${error.message}`, 'error');
+    }
+  });
+
+  // Tokens: Sign in button, starts the device flow and polls until it ends
+  signInBtn.addEventListener('click', async () => {
+    const host = normalizeHostInput(tokenHostInput.value) || DEFAULT_GITHUB_HOST;
+    const owners = parseOwnerPatterns(tokenOwnersInput.value);
+
+    if (!owners) {
+      showStatus(tokenStatus, 'Please enter owners as *, owner, or owner/repo', 'error');
+      return;
+    }
+
+    if (!(await getApiUrlForHost(host))) {
+      showStatus(tokenStatus, `Please add ${host} under GitHub Enterprise Hosts first`, 'error');
+      return;
+    }
+
+    stopDeviceFlowPolling();
+    const result = await browser.runtime.sendMessage({ action: 'startDeviceFlow', host });
+
+    if (!result.success) {
+      const hint = result.reason === 'no_client_id' ? ' Add it under "OAuth app for signing in".' : '';
+      showStatus(tokenStatus, `❌ Could not start signing in: ${result.error}.${hint}`, 'error');
+      return;
+    }
+
+    deviceFlowLink.href = result.verificationUri;
+    deviceFlowLink.textContent = result.verificationUri;
+    deviceFlowCode.textContent = result.userCode;
+    deviceFlowState.textContent = `Waiting for you to authorize... The code expires at ${new Date(result.expiresAt).toLocaleTimeString()}.`;
+    deviceFlowPanel.style.display = 'block';
+
+    scheduleDeviceFlowPoll({ name: tokenNameInput.value.trim() || host, host, owners }, result.interval);
+  });
+
+  // Tokens: Check Repository button of the diagnostics panel
+  runDiagnosticsBtn.addEventListener('click', async () => {
+    const match = /^([\w.-]+)\/([\w.-]+)$/.exec(diagnosticsRepoInput.value.trim());
+
+    if (!match) {
+      showStatus(tokenStatus, 'Please enter a repository as owner/repo', 'error');
+      return;
+    }
+
+    const apiUrl = await getApiUrlForHost(diagnosedToken.host);
+    if (!apiUrl) {
+      showStatus(tokenStatus, `${diagnosedToken.host} is no longer configured as an enterprise host`, 'error');
+      return;
+    }
+
+    const [, owner, repo] = match;
+    diagnosticsResult.innerHTML = '<p class="empty-state">Checking...</p>';
+    renderDiagnostics(await diagnoseToken(diagnosedToken.token, apiUrl, owner, repo));
+  });
+
+  // Tokens: Cancel sign-in button
+  cancelSignInBtn.addEventListener('click', async () => {
+    stopDeviceFlowPolling();
+    await browser.runtime.sendMessage({ action: 'cancelDeviceFlow' });
+    showStatus(tokenStatus, 'Sign-in cancelled', 'info');
+  });
+
+  // Layouts: Add button
+  addLayoutBtn.addEventListener('click', async () => {
+    // Owners cannot contain dots, so a leading part with dots is an enterprise host
+    const match = /^(?:([\w-]+(?:\.[\w-]+)+)\/)?([\w-]+)\/([\w.-]+)$/.exec(layoutRepoInput.value.trim());
+
+    if (!match) {
+      showStatus(layoutStatus, 'Please enter a repository as owner/repo or host/owner/repo', 'error');
+      return;
     }
+
+    const [, host = DEFAULT_GITHUB_HOST, owner, repo] = match;
+    const existing = await getPersonalLayout(owner, repo, host);
+
+    layoutRepoInput.value = '';
+    await loadLayouts();
+    openLayoutEditor(host, owner, repo, existing || createEmptyPersonalLayout(true));
   });
 
-  // Token: Clear button
-  clearTokenBtn.addEventListener('click', async () => {
+  // Recent: Save button
+  saveRecentLimitBtn.addEventListener('click', async () => {
+    const limit = Number(recentLimitInput.value);
+
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_RECENT_WORKFLOWS_LIMIT) {
+      showStatus(recentStatus, `Please enter a number between 0 and ${MAX_RECENT_WORKFLOWS_LIMIT}`, 'error');
+      return;
+    }
+
     try {
-      await browser.storage.sync.remove('github_token');
-      showStatus(tokenStatus, 'Token cleared successfully', 'success');
-      rateLimitInfo.style.display = 'none';
-      tokenInput.value = '';
-      loadTokenStatus(); // Reload status
+      await setRecentWorkflowsLimit(limit);
+      showStatus(recentStatus, limit === 0 ? 'Recent folder turned off' : `Recent folder shows ${limit} workflows`, 'success');
     } catch (error) {
-      showStatus(tokenStatus, `Failed to clear token: ${error.message}`, 'error');
+      showStatus(recentStatus, `Failed to save: ${error.message}`, 'error');
+    }
+  });
+
+  // Workflow limit: Save button
+  saveWorkflowsLimitBtn.addEventListener('click', async () => {
+    const limit = Number(workflowsLimitInput.value);
+
+    if (!Number.isInteger(limit) || limit < 100 || limit > MAX_WORKFLOWS_FETCH_LIMIT) {
+      showStatus(workflowsLimitStatus, `Please enter a number between 100 and ${MAX_WORKFLOWS_FETCH_LIMIT}`, 'error');
+      return;
+    }
+
+    try {
+      await setWorkflowsFetchLimit(limit);
+      showStatus(workflowsLimitStatus, `Up to ${limit} workflows are loaded per repository`, 'success');
+    } catch (error) {
+      showStatus(workflowsLimitStatus, `Failed to save: ${error.message}`, 'error');
+    }
+  });
+
+  // Hosts: suggest the API and raw URLs of the entered host
+  hostInput.addEventListener('input', () => {
+    const suggestion = suggestHostProfile(normalizeHostInput(hostInput.value) || 'github.example.com');
+    hostApiInput.placeholder = suggestion.apiUrl;
+    hostRawInput.placeholder = suggestion.rawUrl;
+  });
+
+  // Hosts: Add button
+  addHostBtn.addEventListener('click', async () => {
+    const host = normalizeHostInput(hostInput.value);
+
+    if (!host || host === DEFAULT_GITHUB_HOST) {
+      showStatus(hostStatus, 'Please enter the hostname of a GitHub Enterprise instance', 'error');
+      return;
+    }
+
+    const suggestion = suggestHostProfile(host);
+    const profile = {
+      host,
+      apiUrl: (hostApiInput.value.trim() || suggestion.apiUrl).replace(/\/+$/, ''),
+      rawUrl: hostRawInput.value.trim() || suggestion.rawUrl
+    };
+
+    const origins = getHostOrigins(profile);
+    if (!origins) {
+      showStatus(hostStatus, 'Please enter https URLs for the API and raw files', 'error');
+      return;
+    }
+
+    // Must be requested before any other await, while the click still counts as a user gesture
+    const granted = await browser.permissions.request({ origins });
+
+    try {
+      await saveHostProfile(profile);
+      showStatus(hostStatus, granted ? `Added ${host}` : `Added ${host}, but access was not granted`, granted ? 'success' : 'error');
+      hostInput.value = '';
+      hostApiInput.value = '';
+      hostRawInput.value = '';
+      loadHostProfiles();
+    } catch (error) {
+      showStatus(hostStatus, `Failed to add host: ${error.message}`, 'error');
     }
   });
 
@@ -99,6 +356,13 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  /**
+   * Names a repository for display, with its host unless it is on github.com
+   */
+  function formatRepoName(host, owner, repo) {
+    return host === DEFAULT_GITHUB_HOST ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+  }
+
   /**
    * Loads and displays all repositories with saved folder states
    */
@@ -115,7 +379,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const list = document.createElement('div');
       list.className = 'repo-list';
 
-      repos.forEach(({ owner, repo }) => {
+      repos.forEach(({ host, owner, repo }) => {
         const repoItem = document.createElement('div');
         repoItem.className = 'repo-item';
 
@@ -124,14 +388,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const repoName = document.createElement('span');
         repoName.className = 'repo-name';
-        repoName.textContent = `${owner}/${repo}`;
+        repoName.textContent = formatRepoName(host, owner, repo);
 
         repoInfo.appendChild(repoName);
 
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'btn btn-danger btn-small';
         deleteBtn.textContent = 'Clear States';
-        deleteBtn.onclick = () => clearRepoStates(owner, repo);
+        deleteBtn.onclick = () => clearRepoStates(host, owner, repo);
 
         repoItem.appendChild(repoInfo);
         repoItem.appendChild(deleteBtn);
@@ -149,10 +413,10 @@ document.addEventListener('DOMContentLoaded', () => {
   /**
    * Clears folder states for a specific repository
    */
-  async function clearRepoStates(owner, repo) {
+  async function clearRepoStates(host, owner, repo) {
     try {
-      await clearFolderStatesForRepo(owner, repo);
-      showStatus(folderStatus, `Cleared folder states for ${owner}/${repo}`, 'success');
+      await clearFolderStatesForRepo(owner, repo, host);
+      showStatus(folderStatus, `Cleared folder states for ${formatRepoName(host, owner, repo)}`, 'success');
 
       // Reload the list
       loadRepositories();
@@ -162,74 +426,765 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Loads and displays all personal layouts
+   */
+  async function loadLayouts() {
+    try {
+      const layouts = await getAllPersonalLayouts();
+
+      if (layouts.length === 0) {
+        layoutList.innerHTML = '<p class="empty-state">No personal layouts yet.</p>';
+        return;
+      }
+
+      const list = document.createElement('div');
+      list.className = 'repo-list';
+
+      layouts.forEach(({ host, owner, repo, layout }) => {
+        const repoItem = document.createElement('div');
+        repoItem.className = 'repo-item';
+        repoItem.dataset.repo = formatRepoName(host, owner, repo);
+
+        const repoInfo = document.createElement('div');
+        repoInfo.className = 'repo-info';
+
+        const repoName = document.createElement('span');
+        repoName.className = 'repo-name';
+        repoName.textContent = formatRepoName(host, owner, repo);
+
+        const mode = document.createElement('span');
+        mode.className = 'layout-mode';
+        mode.textContent = layout.mode === 'replace' ? 'replaces repo config' : 'extends repo config';
+
+        repoInfo.appendChild(repoName);
+        repoInfo.appendChild(mode);
+
+        const actions = document.createElement('div');
+        actions.className = 'repo-actions';
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = () => openLayoutEditor(host, owner, repo, layout);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Remove';
+        deleteBtn.onclick = () => removeLayout(host, owner, repo);
+
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+
+        repoItem.appendChild(repoInfo);
+        repoItem.appendChild(actions);
+        list.appendChild(repoItem);
+      });
+
+      layoutList.innerHTML = '';
+      layoutList.appendChild(list);
+    } catch (error) {
+      console.error('Error loading personal layouts:', error);
+      layoutList.innerHTML = '<p class="error-state">Failed to load personal layouts</p>';
+    }
+  }
 
   /**
-   * Loads and displays current token status
+   * Shows a JSON editor for a repository's layout below the layout list
    */
-  async function loadTokenStatus() {
+  function openLayoutEditor(host, owner, repo, layout) {
+    const existingEditor = layoutList.querySelector('.layout-editor');
+    if (existingEditor) {
+      existingEditor.remove();
+    }
+
+    const editor = document.createElement('div');
+    editor.className = 'layout-editor';
+
+    const title = document.createElement('h3');
+    title.textContent = `Layout for ${formatRepoName(host, owner, repo)}`;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'layout-input';
+    textarea.rows = 14;
+    textarea.spellcheck = false;
+    textarea.value = JSON.stringify(layout, null, 2);
+
+    const issues = document.createElement('ul');
+    issues.className = 'layout-issues';
+
+    const actions = document.createElement('div');
+    actions.className = 'token-actions';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-primary';
+    saveBtn.textContent = 'Save Layout';
+    saveBtn.onclick = () => saveLayout(host, owner, repo, textarea.value, issues);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => editor.remove();
+
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+
+    editor.appendChild(title);
+    editor.appendChild(textarea);
+    editor.appendChild(issues);
+    editor.appendChild(actions);
+
+    layoutList.appendChild(editor);
+    textarea.focus();
+  }
+
+  /**
+   * Validates and saves a layout, listing problems in the editor
+   */
+  async function saveLayout(host, owner, repo, text, issues) {
+    issues.innerHTML = '';
+
+    const addIssue = (message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      issues.appendChild(item);
+    };
+
+    let layout;
     try {
-      const stored = await browser.storage.sync.get('github_token');
+      layout = JSON.parse(text);
+    } catch (error) {
+      addIssue(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    // Workflows are unknown here, so only the structure is checked
+    const validation = validatePersonalLayout(layout);
+    validation.errors.forEach(issue => addIssue(issue.path ? `${issue.message} (${issue.path})` : issue.message));
+
+    if (!validation.valid) {
+      return;
+    }
+
+    try {
+      await setPersonalLayout(owner, repo, layout, host);
+      showStatus(layoutStatus, `Saved personal layout for ${formatRepoName(host, owner, repo)}`, 'success');
+      loadLayouts();
+    } catch (error) {
+      console.error('Error saving personal layout:', error);
+      addIssue(`Failed to save layout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes the personal layout for a specific repository
+   */
+  async function removeLayout(host, owner, repo) {
+    try {
+      await removePersonalLayout(owner, repo, host);
+      showStatus(layoutStatus, `Removed personal layout for ${formatRepoName(host, owner, repo)}`, 'success');
+      loadLayouts();
+    } catch (error) {
+      console.error('Error removing personal layout:', error);
+      showStatus(layoutStatus, 'Failed to remove personal layout: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Loads and displays pinned workflows grouped by repository
+   */
+  async function loadPinnedWorkflows() {
+    try {
+      const repos = await getAllPinnedWorkflows();
+
+      if (repos.length === 0) {
+        pinnedList.innerHTML = '<p class="empty-state">No pinned workflows yet. Hover a workflow in the folder view and click the star to pin it.</p>';
+        return;
+      }
+
+      const list = document.createElement('div');
+      list.className = 'repo-list';
+
+      repos.forEach(({ host, owner, repo, paths }) => {
+        const repoItem = document.createElement('div');
+        repoItem.className = 'repo-item pinned-repo';
+
+        const repoInfo = document.createElement('div');
+        repoInfo.className = 'repo-info';
+
+        const repoName = document.createElement('span');
+        repoName.className = 'repo-name';
+        repoName.textContent = formatRepoName(host, owner, repo);
+
+        const pathList = document.createElement('ul');
+        pathList.className = 'pinned-paths';
+
+        paths.forEach(path => {
+          const pathItem = document.createElement('li');
 
-      if (stored.github_token && stored.github_token.length > 0) {
-        showStatus(tokenStatus, '✅ Token configured (masked for security)', 'success');
+          const pathName = document.createElement('span');
+          pathName.textContent = path.split('/').pop();
+          pathName.title = path;
 
-        // Load and display rate limit if available
-        const rateLimit = await browser.storage.local.get('rate_limit');
-        if (rateLimit.rate_limit) {
-          displayRateLimit(rateLimit.rate_limit);
+          const unpinBtn = document.createElement('button');
+          unpinBtn.className = 'btn btn-secondary btn-small';
+          unpinBtn.textContent = 'Unpin';
+          unpinBtn.onclick = () => unpinWorkflow(host, owner, repo, path);
+
+          pathItem.appendChild(pathName);
+          pathItem.appendChild(unpinBtn);
+          pathList.appendChild(pathItem);
+        });
+
+        repoInfo.appendChild(repoName);
+        repoInfo.appendChild(pathList);
+
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn btn-danger btn-small';
+        clearBtn.textContent = 'Clear Pins';
+        clearBtn.onclick = () => clearRepoPins(host, owner, repo);
+
+        repoItem.appendChild(repoInfo);
+        repoItem.appendChild(clearBtn);
+        list.appendChild(repoItem);
+      });
+
+      pinnedList.innerHTML = '';
+      pinnedList.appendChild(list);
+    } catch (error) {
+      console.error('Error loading pinned workflows:', error);
+      pinnedList.innerHTML = '<p class="error-state">Failed to load pinned workflows</p>';
+    }
+  }
+
+  /**
+   * Unpins a single workflow
+   */
+  async function unpinWorkflow(host, owner, repo, path) {
+    try {
+      await setWorkflowPinned(owner, repo, path, false, host);
+      showStatus(pinnedStatus, `Unpinned ${path.split('/').pop()} in ${formatRepoName(host, owner, repo)}`, 'success');
+      loadPinnedWorkflows();
+    } catch (error) {
+      console.error('Error unpinning workflow:', error);
+      showStatus(pinnedStatus, 'Failed to unpin workflow: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Clears all pinned workflows for a specific repository
+   */
+  async function clearRepoPins(host, owner, repo) {
+    try {
+      await clearPinnedWorkflows(owner, repo, host);
+      showStatus(pinnedStatus, `Cleared pinned workflows for ${formatRepoName(host, owner, repo)}`, 'success');
+      loadPinnedWorkflows();
+    } catch (error) {
+      console.error('Error clearing pinned workflows:', error);
+      showStatus(pinnedStatus, 'Failed to clear pinned workflows: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Loads the configured workflow limit into its input
+   */
+  async function loadWorkflowsLimit() {
+    try {
+      workflowsLimitInput.max = MAX_WORKFLOWS_FETCH_LIMIT;
+      workflowsLimitInput.value = await getWorkflowsFetchLimit();
+    } catch (error) {
+      console.error('Failed to load workflow limit:', error);
+    }
+  }
+
+  /**
+   * Loads the configured size of the recent folder into its input
+   */
+  async function loadRecentLimit() {
+    try {
+      recentLimitInput.max = MAX_RECENT_WORKFLOWS_LIMIT;
+      recentLimitInput.value = await getRecentWorkflowsLimit();
+    } catch (error) {
+      console.error('Failed to load recent folder size:', error);
+    }
+  }
+
+  /**
+   * Turns user input like "https://github.example.com/" into a bare hostname
+   */
+  function normalizeHostInput(value) {
+    const trimmed = value.trim().toLowerCase();
+    if (!trimmed) {
+      return null;
+    }
+
+    try {
+      return new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Suggests the API and raw URLs of a host
+   * GHE.com exposes its API on an api. subdomain, GitHub Enterprise Server under /api/v3.
+   */
+  function suggestHostProfile(host) {
+    return {
+      apiUrl: host.endsWith('.ghe.com') ? `https://api.${host}` : `https://${host}/api/v3`,
+      rawUrl: `https://${host}/{owner}/{repo}/raw/{branch}/{path}`
+    };
+  }
+
+  /**
+   * Lists the origins a host profile needs access to, or null if one of its URLs is invalid
+   */
+  function getHostOrigins(profile) {
+    try {
+      const urls = [
+        `https://${profile.host}/`,
+        profile.apiUrl,
+        profile.rawUrl.replace(/\{(owner|repo|branch|path)\}/g, 'x')
+      ].map(url => new URL(url));
+
+      if (urls.some(url => url.protocol !== 'https:')) {
+        return null;
+      }
+
+      return [...new Set(urls.map(url => `${url.origin}/*`))];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Loads and displays the configured enterprise hosts with their access status
+   */
+  async function loadHostProfiles() {
+    try {
+      const profiles = await getHostProfiles();
+
+      if (profiles.length === 0) {
+        hostList.innerHTML = '<p class="empty-state">No enterprise hosts yet. The extension only runs on github.com.</p>';
+        return;
+      }
+
+      const list = document.createElement('div');
+      list.className = 'repo-list';
+
+      for (const profile of profiles) {
+        const origins = getHostOrigins(profile);
+        const hasAccess = origins !== null && await browser.permissions.contains({ origins });
+
+        const repoItem = document.createElement('div');
+        repoItem.className = 'repo-item';
+
+        const repoInfo = document.createElement('div');
+        repoInfo.className = 'repo-info';
+
+        const hostName = document.createElement('span');
+        hostName.className = 'repo-name';
+        hostName.textContent = profile.host;
+
+        const details = document.createElement('span');
+        details.className = 'layout-mode';
+        details.textContent = profile.apiUrl;
+
+        repoInfo.appendChild(hostName);
+        repoInfo.appendChild(details);
+
+        if (!hasAccess) {
+          const access = document.createElement('span');
+          access.className = 'layout-mode host-access-missing';
+          access.textContent = 'access not granted';
+          repoInfo.appendChild(access);
         }
+
+        const actions = document.createElement('div');
+        actions.className = 'repo-actions';
+
+        if (!hasAccess && origins) {
+          const grantBtn = document.createElement('button');
+          grantBtn.className = 'btn btn-secondary btn-small';
+          grantBtn.textContent = 'Grant Access';
+          grantBtn.onclick = () => grantHostAccess(profile.host, origins);
+          actions.appendChild(grantBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => removeHost(profile, origins);
+        actions.appendChild(removeBtn);
+
+        repoItem.appendChild(repoInfo);
+        repoItem.appendChild(actions);
+        list.appendChild(repoItem);
+      }
+
+      hostList.innerHTML = '';
+      hostList.appendChild(list);
+    } catch (error) {
+      console.error('Error loading enterprise hosts:', error);
+      hostList.innerHTML = '<p class="error-state">Failed to load enterprise hosts</p>';
+    }
+  }
+
+  /**
+   * Asks for access to a host that was added without it
+   */
+  async function grantHostAccess(host, origins) {
+    const granted = await browser.permissions.request({ origins });
+    showStatus(hostStatus, granted ? `Access to ${host} granted` : `Access to ${host} was not granted`, granted ? 'success' : 'error');
+    loadHostProfiles();
+  }
+
+  /**
+   * Removes an enterprise host and gives up access to it
+   */
+  async function removeHost(profile, origins) {
+    try {
+      await removeHostProfile(profile.host);
+      if (origins) {
+        await browser.permissions.remove({ origins });
+      }
+      showStatus(hostStatus, `Removed ${profile.host}`, 'success');
+      loadHostProfiles();
+    } catch (error) {
+      console.error('Error removing enterprise host:', error);
+      showStatus(hostStatus, 'Failed to remove host: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Finds the API URL of a host, or null if it is no configured enterprise host
+   */
+  async function getApiUrlForHost(host) {
+    if (host === DEFAULT_GITHUB_HOST) {
+      return GITHUB_COM_API_URL;
+    }
+
+    const profile = (await getHostProfiles()).find(entry => entry.host === host);
+    return profile ? profile.apiUrl : null;
+  }
+
+  /**
+   * Fills the OAuth app fields with the settings of the entered host
+   */
+  async function loadOAuthSettings() {
+    const host = normalizeHostInput(tokenHostInput.value) || DEFAULT_GITHUB_HOST;
+    const settings = await getOAuthSettings(host);
+
+    clientIdInput.value = settings.clientId || '';
+    oauthUrlInput.value = settings.oauthUrl || '';
+    oauthUrlInput.placeholder = `https://${host}`;
+  }
+
+  /**
+   * Returns the origin of an OAuth URL, or null unless it is https or a local http mock server
+   */
+  function getOAuthOrigin(value) {
+    try {
+      const url = new URL(value);
+      const isLocal = url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+      return url.protocol === 'https:' || isLocal ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hides the sign-in panel and stops polling
+   */
+  function stopDeviceFlowPolling() {
+    clearTimeout(deviceFlowTimer);
+    deviceFlowTimer = null;
+    deviceFlowPanel.style.display = 'none';
+  }
+
+  /**
+   * Polls the running sign-in after the interval GitHub asked for, and saves the token once it is authorized
+   */
+  function scheduleDeviceFlowPoll(entry, interval) {
+    deviceFlowTimer = setTimeout(async () => {
+      const result = await browser.runtime.sendMessage({ action: 'pollDeviceFlow' });
+
+      if (deviceFlowTimer === null) {
+        return; // Cancelled while the request was running
+      }
+
+      if (result.success && result.status === 'pending') {
+        scheduleDeviceFlowPoll(entry, result.interval);
+        return;
+      }
+
+      stopDeviceFlowPolling();
+
+      if (!result.success) {
+        showStatus(tokenStatus, `❌ Signing in failed: ${result.error}`, 'error');
+      } else if (result.status === 'expired') {
+        showStatus(tokenStatus, 'The code expired, please sign in again', 'error');
+      } else if (result.status === 'denied') {
+        showStatus(tokenStatus, 'Authorization was denied', 'error');
       } else {
-        showStatus(tokenStatus, 'ℹ️ No token configured', 'info');
+        await saveSignedInToken(entry, result.token);
       }
+    }, interval * 1000);
+  }
+
+  /**
+   * Saves the token of a completed sign-in with the result of its first test
+   */
+  async function saveSignedInToken(entry, { token, ...oauth }) {
+    try {
+      const saved = await saveTokenEntry({ ...entry, token, oauth });
+      const result = await testToken(token, await getApiUrlForHost(entry.host));
+      await recordTokenTest(saved.id, result);
+
+      const expiry = oauth.expiresAt && !oauth.refreshToken ? `, valid until ${new Date(oauth.expiresAt).toLocaleString()}` : '';
+      showStatus(tokenStatus, `✅ Signed in as "${entry.name}"${expiry}`, 'success');
+
+      tokenNameInput.value = '';
+      tokenOwnersInput.value = '';
+      loadTokens();
     } catch (error) {
-      console.error('Failed to load token status:', error);
+      showStatus(tokenStatus, `❌ Failed to save token: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Tests a GitHub token by making an API call
+   * Finds when a token stops working: the refresh token for signed-in tokens that renew themselves,
+   * otherwise the token itself as known from sign-in or from its last test
    */
-  async function testGitHubToken(token) {
+  function getTokenExpiry(entry) {
+    if (entry.refreshToken) {
+      return entry.refreshTokenExpiresAt || null;
+    }
+
+    return entry.expiresAt || (entry.lastTest && entry.lastTest.expiresAt) || null;
+  }
+
+  /**
+   * Opens the diagnostics panel for a token, suggesting a repository from its owner patterns
+   */
+  function openTokenDiagnostics(entry) {
+    diagnosedToken = entry;
+    diagnosticsTitle.textContent = `Token Diagnostics: ${entry.name}`;
+    diagnosticsResult.innerHTML = '';
+
+    const repoPattern = entry.owners.find(pattern => /^[\w.-]+\/[\w.-]+$/.test(pattern));
+    if (repoPattern) {
+      diagnosticsRepoInput.value = repoPattern;
+    }
+
+    tokenDiagnostics.style.display = 'block';
+    diagnosticsRepoInput.focus();
+  }
+
+  /**
+   * Renders the result of diagnoseToken: token details and a matrix of the features that work
+   */
+  function renderDiagnostics(result) {
+    diagnosticsResult.innerHTML = '';
+
+    if (!result.valid) {
+      const error = document.createElement('p');
+      error.className = 'error-state';
+      error.textContent = `❌ ${result.error}`;
+      diagnosticsResult.appendChild(error);
+      return;
+    }
+
+    const summary = document.createElement('ul');
+    summary.className = 'diagnostics-summary';
+
+    const details = [
+      `Type: ${result.type}${result.login ? `, signed in as ${result.login}` : ''}`,
+      result.scopes === null
+        ? 'Scopes: none, this token type uses fine-grained permissions, which are checked below'
+        : `Scopes: ${result.scopes.length > 0 ? result.scopes.join(', ') : 'none (public data only)'}`,
+      result.expiresAt ? `Expires: ${new Date(result.expiresAt).toLocaleString()}` : 'Expires: never'
+    ];
+
+    if (result.repository) {
+      details.push(`Repository: ${result.repository.fullName} (${result.repository.private ? 'private' : 'public'}${result.repository.canPush ? '' : ', you cannot push'})`);
+    }
+
+    details.forEach((text, index) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      if (index === 2 && isTokenExpiringSoon(result.expiresAt)) {
+        item.className = 'token-expiry-warning';
+        item.textContent += ' ⚠️ soon, renew it before it stops working';
+      }
+      summary.appendChild(item);
+    });
+
+    const matrix = document.createElement('ul');
+    matrix.className = 'diagnostics-matrix';
+
+    result.features.forEach(({ feature, works, detail }) => {
+      const row = document.createElement('li');
+      row.className = 'diagnostics-row';
+      row.dataset.works = String(works);
+
+      const icon = document.createElement('span');
+      icon.className = 'diagnostics-icon';
+      icon.textContent = works === null ? '–' : works ? '✓' : '✗';
+
+      const name = document.createElement('span');
+      name.textContent = feature;
+
+      const description = document.createElement('span');
+      description.className = 'diagnostics-detail';
+      description.textContent = detail;
+
+      row.appendChild(icon);
+      row.appendChild(name);
+      row.appendChild(description);
+      matrix.appendChild(row);
+    });
+
+    diagnosticsResult.appendChild(summary);
+    diagnosticsResult.appendChild(matrix);
+  }
+
+  /**
+   * Describes the last test of a token
+   */
+  function describeTokenTest(lastTest) {
+    if (!lastTest) {
+      return 'not tested yet';
+    }
+
+    const testedAt = new Date(lastTest.testedAt).toLocaleString();
+    return lastTest.valid
+      ? `✅ valid (rate limit ${lastTest.remaining}/${lastTest.limit}), tested ${testedAt}`
+      : `❌ ${lastTest.error}, tested ${testedAt}`;
+  }
+
+  /**
+   * Loads and displays the saved tokens with their scope and last test result
+   */
+  async function loadTokens() {
     try {
-      const response = await fetch('https://api.github.com/rate_limit', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/vnd.github+json',
-          'X-GitHub-Api-Version': '2022-11-28'
+      const tokens = await getTokens();
+
+      if (tokens.length === 0) {
+        tokenList.innerHTML = '<p class="empty-state">No tokens saved. Requests are sent without authentication.</p>';
+        return;
+      }
+
+      const list = document.createElement('div');
+      list.className = 'repo-list';
+
+      tokens.forEach(entry => {
+        const repoItem = document.createElement('div');
+        repoItem.className = 'repo-item';
+
+        const repoInfo = document.createElement('div');
+        repoInfo.className = 'repo-info';
+
+        const tokenName = document.createElement('span');
+        tokenName.className = 'repo-name';
+        tokenName.textContent = entry.name;
+
+        const scope = document.createElement('span');
+        scope.className = 'layout-mode';
+        scope.textContent = `${entry.host} · ${entry.owners.join(', ')}${entry.clientId ? ' · signed in with GitHub' : ''}`;
+
+        const lastTest = document.createElement('span');
+        lastTest.className = entry.lastTest && !entry.lastTest.valid ? 'layout-mode token-test-failed' : 'layout-mode';
+        lastTest.textContent = describeTokenTest(entry.lastTest);
+
+        repoInfo.appendChild(tokenName);
+        repoInfo.appendChild(scope);
+        repoInfo.appendChild(lastTest);
+
+        const expiresAt = getTokenExpiry(entry);
+        if (expiresAt) {
+          const expiry = document.createElement('span');
+          const expired = expiresAt <= Date.now();
+          expiry.className = isTokenExpiringSoon(expiresAt) ? 'layout-mode token-expiry-warning' : 'layout-mode';
+          expiry.textContent = `${expired ? '⚠️ expired' : isTokenExpiringSoon(expiresAt) ? '⚠️ expires' : 'expires'} ${new Date(expiresAt).toLocaleString()}`;
+          repoInfo.appendChild(expiry);
         }
+
+        const actions = document.createElement('div');
+        actions.className = 'repo-actions';
+
+        const testBtn = document.createElement('button');
+        testBtn.className = 'btn btn-secondary btn-small';
+        testBtn.textContent = 'Test';
+        testBtn.onclick = () => testSavedToken(entry);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => removeToken(entry);
+
+        const diagnoseBtn = document.createElement('button');
+        diagnoseBtn.className = 'btn btn-secondary btn-small';
+        diagnoseBtn.textContent = 'Diagnose';
+        diagnoseBtn.onclick = () => openTokenDiagnostics(entry);
+
+        actions.appendChild(testBtn);
+        actions.appendChild(diagnoseBtn);
+        actions.appendChild(removeBtn);
+
+        repoItem.appendChild(repoInfo);
+        repoItem.appendChild(actions);
+        list.appendChild(repoItem);
       });
 
-      if (response.ok) {
-        const data = await response.json();
-        return {
-          valid: true,
-          rateLimit: {
-            limit: data.rate.limit,
-            remaining: data.rate.remaining,
-            reset: new Date(data.rate.reset * 1000)
-          }
-        };
-      } else if (response.status === 401) {
-        return {
-          valid: false,
-          error: 'Unauthorized - Token is invalid or expired'
-        };
-      } else if (response.status === 403) {
-        return {
-          valid: false,
-          error: 'Forbidden - Token lacks required permissions'
-        };
-      } else {
-        return {
-          valid: false,
-          error: `HTTP ${response.status}: ${response.statusText}`
-        };
+      tokenList.innerHTML = '';
+      tokenList.appendChild(list);
+    } catch (error) {
+      console.error('Error loading tokens:', error);
+      tokenList.innerHTML = '<p class="error-state">Failed to load tokens</p>';
+    }
+  }
+
+  /**
+   * Tests a saved token again and records the result
+   */
+  async function testSavedToken(entry) {
+    const apiUrl = await getApiUrlForHost(entry.host);
+    if (!apiUrl) {
+      showStatus(tokenStatus, `${entry.host} is no longer configured as an enterprise host`, 'error');
+      return;
+    }
+
+    showStatus(tokenStatus, `Testing "${entry.name}"...`, 'info');
+
+    const result = await testToken(entry.token, apiUrl);
+    await recordTokenTest(entry.id, result);
+
+    if (result.valid) {
+      showStatus(tokenStatus, `✅ "${entry.name}" is valid. Rate limit: ${result.rateLimit.remaining}/${result.rateLimit.limit}`, 'success');
+      displayRateLimit(result.rateLimit);
+    } else {
+      showStatus(tokenStatus, `❌ "${entry.name}" is invalid: ${result.error}`, 'error');
+    }
+
+    loadTokens();
+  }
+
+  /**
+   * Removes a saved token
+   */
+  async function removeToken(entry) {
+    try {
+      await removeTokenEntry(entry.id);
+      if (diagnosedToken && diagnosedToken.id === entry.id) {
+        tokenDiagnostics.style.display = 'none';
+        diagnosedToken = null;
       }
+      showStatus(tokenStatus, `Removed "${entry.name}"`, 'success');
+      loadTokens();
     } catch (error) {
-      return {
-        valid: false,
-        error: `Network error: ${error.message}`
-      };
+      console.error('Error removing token:', error);
+      showStatus(tokenStatus, 'Failed to remove token: ' + error.message, 'error');
     }
   }
 
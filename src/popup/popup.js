@@ -7,12 +7,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   const tokenStatus = document.getElementById('tokenStatus');
   const openSettingsBtn = document.getElementById('openSettings');
 
-  // Check if token is configured
+  // Check if tokens are configured
   try {
-    const stored = await browser.storage.sync.get('github_token');
+    const stored = await browser.storage.sync.get('github_tokens');
+    const count = Array.isArray(stored.github_tokens) ? stored.github_tokens.length : 0;
 
-    if (stored.github_token && stored.github_token.length > 0) {
-      tokenStatus.textContent = '✅ Configured';
+    if (count > 0) {
+      tokenStatus.textContent = count === 1 ? '✅ Configured' : `✅ ${count} tokens`;
       tokenStatus.className = 'status-value status-configured';
     } else {
       tokenStatus.textContent = 'ℹ️ Not set';
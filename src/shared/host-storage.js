@@ -0,0 +1,47 @@
+/**
+ * Host Storage
+ * Reads the configured GitHub Enterprise hosts and builds the storage ids of repositories on any host
+ * Shared by the service worker, the content scripts and the options page
+ */
+
+// Host of the public GitHub; GitHub Enterprise hosts are configured on the options page
+const DEFAULT_GITHUB_HOST = 'github.com';
+const HOST_PROFILES_STORAGE_KEY = 'github_hosts';
+
+/**
+ * Retrieves the configured GitHub Enterprise hosts
+ * @returns {Promise<Array<{host: string, apiUrl: string, rawUrl: string}>>} Host profiles
+ */
+async function getHostProfiles() {
+  const result = await browser.storage.sync.get(HOST_PROFILES_STORAGE_KEY);
+  return Array.isArray(result[HOST_PROFILES_STORAGE_KEY]) ? result[HOST_PROFILES_STORAGE_KEY] : [];
+}
+
+/**
+ * Builds the part of the storage keys that identifies a repository
+ * github.com keeps its unprefixed keys so existing settings and caches stay valid.
+ * @param {string} host - Hostname of the repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {string} Storage id (e.g. "octo_repo" or "github.example.com_octo_repo")
+ */
+function getRepoStorageId(host, owner, repo) {
+  return host === DEFAULT_GITHUB_HOST ? `${owner}_${repo}` : `${host}_${owner}_${repo}`;
+}
+
+/**
+ * Reads a storage id built by getRepoStorageId back into its parts
+ * Hostnames contain dots and owners cannot, which tells the two forms apart.
+ * @param {string} id - Storage id
+ * @returns {{host: string, owner: string, repo: string}|null} Repository, null if the id is malformed
+ */
+function parseRepoStorageId(id) {
+  const parts = id.split('_');
+  const host = parts[0].includes('.') ? parts.shift() : DEFAULT_GITHUB_HOST;
+
+  if (parts.length < 2) {
+    return null;
+  }
+
+  return { host, owner: parts[0], repo: parts.slice(1).join('_') };
+}